@@ -167,7 +167,7 @@ package_functions() {
     echo -e "${YELLOW}Packaging Lambda functions...${NC}"
     
     # Package Node.js functions
-    for service in email-processor document-extractor integration-adapter; do
+    for service in email-processor document-extractor integration-adapter circuit-breaker-admin; do
         if [ -d "../services/$service" ]; then
             echo -e "  Packaging $service..."
             cd "../services/$service"
@@ -187,7 +187,7 @@ deploy_functions() {
     # This would normally use SAM or CDK for each service
     # For now, showing the pattern for one service
     
-    for service in email-processor document-extractor integration-adapter; do
+    for service in email-processor document-extractor integration-adapter circuit-breaker-admin; do
         if [ -f "${service}.zip" ]; then
             echo -e "  Deploying $service..."
             
@@ -207,7 +207,8 @@ deploy_functions() {
                     DOCUMENTS_BUCKET=${PROJECT_NAME}-documents-${ENVIRONMENT},
                     STATE_TABLE=${PROJECT_NAME}-state-${ENVIRONMENT},
                     PROCESSING_QUEUE=${PROJECT_NAME}-processing-${ENVIRONMENT},
-                    EVENT_BUS=${PROJECT_NAME}-events-${ENVIRONMENT}
+                    EVENT_BUS=${PROJECT_NAME}-events-${ENVIRONMENT},
+                    COORDINATION_TABLE=${PROJECT_NAME}-coordination-${ENVIRONMENT}
                 }" \
                 --profile "$AWS_PROFILE" 2>/dev/null || \
             aws lambda update-function-code \
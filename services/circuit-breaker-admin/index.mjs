@@ -0,0 +1,289 @@
+/**
+ * Circuit Breaker Admin Service
+ * Reports circuit breaker status and lets operators force a breaker open,
+ * closed or reset by name - e.g. pausing MyDorway searches during a known
+ * state maintenance window
+ *
+ * With the coordination table configured, actions are written to the shared
+ * breaker state and honored by every container running that breaker. Status
+ * lists every breaker that has registered there, and actions on a name no
+ * breaker ever registered are refused.
+ *
+ * Direct invocation:
+ *   { "action": "status" }
+ *   { "action": "open", "name": "MyDorwaySite", "until": "2024-06-01T06:00:00Z", "reason": "State maintenance" }
+ *   { "action": "close" | "reset", "name": "MyDorwaySite" }
+ *
+ * HTTP (API Gateway / function URL):
+ *   GET  /circuit-breakers[/{name}]
+ *   POST /circuit-breakers/{name}/{open|close|reset}   body: { until, duration, reason }
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import Logger from '../shared/lib/logger.mjs';
+import { defaultRegistry } from '../shared/lib/circuitBreakerRegistry.mjs';
+import { createCircuitStateStore } from '../shared/lib/circuitStateStore.mjs';
+
+const logger = new Logger('CircuitBreakerAdmin');
+
+const ACTIONS = ['status', 'open', 'close', 'reset'];
+
+class CircuitBreakerAdmin {
+    constructor(options = {}) {
+        this.registry = options.registry || defaultRegistry;
+        this.stateStore = options.stateStore !== undefined ? options.stateStore : createCircuitStateStore();
+    }
+
+    /**
+     * Main handler for Lambda function
+     */
+    async handler(event, context = {}) {
+        const correlationId = context.requestId || uuidv4();
+
+        return await logger.withContext({ correlationId }, async () => {
+            try {
+                const request = this.parseRequest(event);
+                const result = await this.dispatch(request);
+
+                return this.respond(200, { ...result, correlationId });
+
+            } catch (error) {
+                const statusCode = error.statusCode || 500;
+                if (statusCode >= 500) {
+                    logger.error('Circuit breaker admin request failed', { error: error.message });
+                }
+
+                return this.respond(statusCode, {
+                    error: error.message,
+                    correlationId
+                });
+            } finally {
+                // Ship buffered logs before the container freezes
+                await logger.flush();
+            }
+        });
+    }
+
+    /**
+     * Normalize a direct invocation or HTTP event into { action, name, ... }
+     */
+    parseRequest(event = {}) {
+        const method = event.httpMethod || event.requestContext?.http?.method;
+        if (!method) {
+            return {
+                action: event.action || 'status',
+                name: event.name,
+                until: event.until,
+                duration: event.duration,
+                reason: event.reason,
+                requestedBy: event.requestedBy
+            };
+        }
+
+        const path = event.rawPath || event.path || '';
+        const segments = path.split('/').filter(Boolean);
+        const base = segments.indexOf('circuit-breakers');
+        const [name, action] = base >= 0 ? segments.slice(base + 1) : [];
+
+        let body = {};
+        if (event.body) {
+            try {
+                const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+                body = JSON.parse(raw);
+            } catch {
+                throw this.requestError(400, 'Request body must be JSON');
+            }
+        }
+
+        if (method === 'GET') {
+            return { action: 'status', name: name && decodeURIComponent(name) };
+        }
+        if (method !== 'POST') {
+            throw this.requestError(405, `Method ${method} not allowed`);
+        }
+
+        return {
+            action,
+            name: name && decodeURIComponent(name),
+            until: body.until,
+            duration: body.duration,
+            reason: body.reason,
+            requestedBy: event.requestContext?.identity?.userArn ||
+                event.requestContext?.authorizer?.iam?.userArn ||
+                body.requestedBy
+        };
+    }
+
+    async dispatch(request) {
+        if (!ACTIONS.includes(request.action)) {
+            throw this.requestError(400, `Unknown action: ${request.action}. Expected one of ${ACTIONS.join(', ')}`);
+        }
+
+        if (request.action === 'status') {
+            return await this.getStatus(request.name);
+        }
+
+        if (!request.name) {
+            throw this.requestError(400, `Action ${request.action} requires a breaker name`);
+        }
+
+        if (!this.registry.has(request.name) && !(await this.isRegistered(request.name))) {
+            throw this.requestError(404, `Unknown circuit breaker: ${request.name}`);
+        }
+
+        switch (request.action) {
+            case 'open':
+                await this.forceOpen(request);
+                break;
+            case 'close':
+                await this.forceClose(request);
+                break;
+            case 'reset':
+                await this.reset(request);
+                break;
+        }
+
+        return await this.getStatus(request.name);
+    }
+
+    /**
+     * Hold a breaker open until a given time
+     */
+    async forceOpen({ name, until, duration, reason, requestedBy }) {
+        let openUntil;
+        if (until !== undefined) {
+            openUntil = new Date(until).getTime();
+        } else if (duration !== undefined) {
+            openUntil = Date.now() + Number(duration);
+        }
+
+        if (!Number.isFinite(openUntil) || openUntil <= Date.now()) {
+            throw this.requestError(400, 'open requires a future `until` or a positive `duration` (ms)');
+        }
+
+        logger.warn('Circuit breaker forced open', {
+            name,
+            until: new Date(openUntil).toISOString(),
+            reason,
+            requestedBy
+        });
+
+        const breaker = this.registry.get(name);
+        if (breaker) {
+            await breaker.open({ until: openUntil, reason });
+        } else {
+            await this.stateStore.forceOpen(name, openUntil, 'admin', reason);
+        }
+    }
+
+    async forceClose({ name, requestedBy }) {
+        logger.warn('Circuit breaker forced closed', { name, requestedBy });
+
+        const breaker = this.registry.get(name);
+        if (breaker) {
+            await breaker.close();
+        } else {
+            await this.stateStore.markClosed(name, 'admin');
+        }
+    }
+
+    async reset({ name, requestedBy }) {
+        logger.warn('Circuit breaker reset requested', { name, requestedBy });
+
+        const breaker = this.registry.get(name);
+        if (breaker) {
+            await breaker.reset();
+        } else {
+            await this.stateStore.markClosed(name, 'admin');
+        }
+    }
+
+    /**
+     * Whether a breaker with this name has registered in the shared store
+     */
+    async isRegistered(name) {
+        if (!this.stateStore) {
+            return false;
+        }
+        return (await this.stateStore.getRegistration(name)) !== null;
+    }
+
+    /**
+     * Merge breakers registered in this process with the breakers registered
+     * by other containers and their shared state
+     */
+    async getStatus(name = null) {
+        const local = this.registry.getStatus();
+        const registered = {};
+        const shared = {};
+
+        if (this.stateStore) {
+            const [registrations, states] = await Promise.all([
+                this.stateStore.listRegistrations(),
+                this.stateStore.listStates()
+            ]);
+            for (const registration of registrations) {
+                registered[registration.name] = registration;
+            }
+            for (const state of states) {
+                shared[state.name] = state;
+            }
+        }
+
+        const names = new Set([...Object.keys(local), ...Object.keys(registered)]);
+        if (name && !names.has(name)) {
+            throw this.requestError(404, `Unknown circuit breaker: ${name}`);
+        }
+
+        const breakers = Array.from(names)
+            .filter(breakerName => !name || breakerName === name)
+            .sort()
+            .map(breakerName => ({
+                name: breakerName,
+                local: local[breakerName] || null,
+                registration: registered[breakerName] ? this.formatRegistration(registered[breakerName]) : null,
+                shared: shared[breakerName] ? this.formatSharedState(shared[breakerName]) : null
+            }));
+
+        return {
+            stateStore: this.stateStore ? this.stateStore.name : null,
+            breakers
+        };
+    }
+
+    formatRegistration({ name, ...registration }) {
+        return {
+            ...registration,
+            lastSeen: registration.lastSeen ? new Date(registration.lastSeen).toISOString() : null
+        };
+    }
+
+    formatSharedState({ name, ...state }) {
+        const toIso = value => (value ? new Date(value).toISOString() : null);
+        return {
+            ...state,
+            nextAttempt: toIso(state.nextAttempt),
+            probeExpiresAt: toIso(state.probeExpiresAt),
+            updatedAt: toIso(state.updatedAt)
+        };
+    }
+
+    requestError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    respond(statusCode, body) {
+        return {
+            statusCode,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        };
+    }
+}
+
+// Export handler for Lambda
+const admin = new CircuitBreakerAdmin();
+export const handler = admin.handler.bind(admin);
+export { CircuitBreakerAdmin };
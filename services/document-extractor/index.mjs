@@ -15,6 +15,8 @@ import OpenAI from 'openai';
 import { v4 as uuidv4 } from 'uuid';
 import CircuitBreaker from '../shared/lib/circuitBreaker.mjs';
 import Logger from '../shared/lib/logger.mjs';
+import { CounterDeltas } from '../shared/lib/metrics.mjs';
+import { extractTraceContext, injectTraceContext } from '../shared/lib/tracing.mjs';
 
 // Initialize AWS clients
 const s3 = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
@@ -46,13 +48,15 @@ let openaiClient = null;
 const ocrBreaker = new CircuitBreaker('OCR', {
     threshold: 3,
     timeout: 60000,
-    resetTimeout: 120000
+    resetTimeout: 120000,
+    adaptiveTimeout: true
 });
 
 const aiBreaker = new CircuitBreaker('OpenAI', {
     threshold: 5,
     timeout: 30000,
-    resetTimeout: 60000
+    resetTimeout: 60000,
+    adaptiveTimeout: true
 });
 
 const s3Breaker = new CircuitBreaker('S3Operations', {
@@ -71,6 +75,7 @@ class DocumentExtractor {
             aiProcessed: 0,
             extractionTime: []
         };
+        this.metricDeltas = new CounterDeltas();
     }
 
     /**
@@ -101,54 +106,65 @@ class DocumentExtractor {
      */
     async handler(event, context) {
         const correlationId = context.requestId || uuidv4();
-        logger.setCorrelationId(correlationId);
 
-        logger.info('Processing document extraction event', {
-            eventType: event.Records ? 'SQS' : 'S3',
-            recordCount: event.Records?.length || 1
-        });
+        // Pick up log level changes (and per-file DEBUG overrides) from SSM
+        await logger.refreshLevel();
 
-        try {
-            // Initialize OpenAI if needed
-            await this.initializeOpenAI();
-
-            if (event.Records) {
-                // Process SQS or S3 events
-                for (const record of event.Records) {
-                    if (record.eventSource === 'aws:s3') {
-                        await this.processS3Event(record, correlationId);
-                    } else {
-                        await this.processSQSMessage(record, correlationId);
+        return await logger.withContext({ correlationId, logLevel: event.logLevel }, () => logger.withSpan('document-extractor.handler', async span => {
+            logger.info('Processing document extraction event', {
+                eventType: event.Records ? 'SQS' : 'S3',
+                recordCount: event.Records?.length || 1
+            });
+
+            try {
+                // Initialize OpenAI if needed
+                await this.initializeOpenAI();
+
+                if (event.Records) {
+                    // Process SQS or S3 events
+                    for (const record of event.Records) {
+                        if (record.eventSource === 'aws:s3') {
+                            await this.processS3Event(record, correlationId);
+                        } else {
+                            await this.processSQSMessage(record, correlationId);
+                        }
                     }
+                } else {
+                    // Direct invocation
+                    await this.extractDocument(event, correlationId);
                 }
-            } else {
-                // Direct invocation
-                await this.extractDocument(event, correlationId);
-            }
 
-            await this.publishMetrics();
+                await this.publishMetrics();
 
-            return {
-                statusCode: 200,
-                body: JSON.stringify({
-                    message: 'Document extraction completed',
-                    metrics: this.metrics,
-                    correlationId
-                })
-            };
+                return {
+                    statusCode: 200,
+                    body: JSON.stringify({
+                        message: 'Document extraction completed',
+                        metrics: this.metrics,
+                        correlationId
+                    })
+                };
 
-        } catch (error) {
-            logger.error('Document extraction failed', { error: error.message });
+            } catch (error) {
+                logger.error('Document extraction failed', { error: error.message });
+                span.recordException(error);
             
-            return {
-                statusCode: 500,
-                body: JSON.stringify({
-                    error: 'Document extraction failed',
-                    message: error.message,
-                    correlationId
-                })
-            };
-        }
+                return {
+                    statusCode: 500,
+                    body: JSON.stringify({
+                        error: 'Document extraction failed',
+                        message: error.message,
+                        correlationId
+                    })
+                };
+            } finally {
+                // End the span first so its entry ships with this flush
+                span.end();
+
+                // Ship buffered logs before the container freezes
+                await logger.flush();
+            }
+        }, { parent: extractTraceContext(event) }));
     }
 
     /**
@@ -177,7 +193,7 @@ class DocumentExtractor {
             await this.extractDocument({
                 processingId: message.processingId,
                 attachments: message.attachments
-            }, correlationId);
+            }, correlationId, extractTraceContext(record));
 
             // Delete message from queue on success
             await sqs.send(new DeleteMessageCommand({
@@ -196,72 +212,75 @@ class DocumentExtractor {
 
     /**
      * Extract document data
+     * traceContext links the span to the sender of an SQS message
      */
-    async extractDocument(params, correlationId) {
+    async extractDocument(params, correlationId, traceContext = null) {
         const startTime = Date.now();
         const { processingId, bucket, key, attachments } = params;
 
-        logger.info('Starting document extraction', {
-            processingId,
-            documentCount: attachments?.length || 1
-        });
+        return await logger.withContext({ processingId }, () => logger.withSpan('document-extractor.extractDocument', async () => {
+            logger.info('Starting document extraction', {
+                processingId,
+                documentCount: attachments?.length || 1
+            });
 
-        try {
-            // Update status
-            await this.updateStatus(processingId, 'EXTRACTING');
+            try {
+                // Update status
+                await this.updateStatus(processingId, 'EXTRACTING');
 
-            let documents = [];
+                let documents = [];
 
-            if (attachments) {
-                // Process multiple attachments
-                for (const attachment of attachments) {
-                    const doc = await this.processDocument(attachment.s3Key, processingId);
+                if (attachments) {
+                    // Process multiple attachments
+                    for (const attachment of attachments) {
+                        const doc = await this.processDocument(attachment.s3Key, processingId);
+                        documents.push(doc);
+                    }
+                } else if (bucket && key) {
+                    // Process single document
+                    const doc = await this.processDocument(`${bucket}/${key}`, processingId);
                     documents.push(doc);
                 }
-            } else if (bucket && key) {
-                // Process single document
-                const doc = await this.processDocument(`${bucket}/${key}`, processingId);
-                documents.push(doc);
-            }
 
-            // Aggregate extracted data
-            const extractedData = await this.aggregateExtractedData(documents);
+                // Aggregate extracted data
+                const extractedData = await this.aggregateExtractedData(documents);
 
-            // Validate extracted data
-            const validation = await this.validateExtractedData(extractedData);
+                // Validate extracted data
+                const validation = await this.validateExtractedData(extractedData);
 
-            // Store results
-            await this.storeExtractionResults(processingId, extractedData, validation);
+                // Store results
+                await this.storeExtractionResults(processingId, extractedData, validation);
 
-            // Trigger downstream processing
-            await this.triggerDownstreamProcessing(processingId, extractedData);
+                // Trigger downstream processing
+                await this.triggerDownstreamProcessing(processingId, extractedData);
 
-            // Update metrics
-            const duration = Date.now() - startTime;
-            this.metrics.processed++;
-            this.metrics.extractionTime.push(duration);
+                // Update metrics
+                const duration = Date.now() - startTime;
+                this.metrics.processed++;
+                this.metrics.extractionTime.push(duration);
 
-            // Update status
-            await this.updateStatus(processingId, 'EXTRACTED', {
-                documentCount: documents.length,
-                duration
-            });
+                // Update status
+                await this.updateStatus(processingId, 'EXTRACTED', {
+                    documentCount: documents.length,
+                    duration
+                });
 
-            logger.info('Document extraction completed', {
-                processingId,
-                documentCount: documents.length,
-                duration
-            });
+                logger.info('Document extraction completed', {
+                    processingId,
+                    documentCount: documents.length,
+                    duration
+                });
 
-            return extractedData;
+                return extractedData;
 
-        } catch (error) {
-            this.metrics.failed++;
-            await this.updateStatus(processingId, 'EXTRACTION_FAILED', {
-                error: error.message
-            });
-            throw error;
-        }
+            } catch (error) {
+                this.metrics.failed++;
+                await this.updateStatus(processingId, 'EXTRACTION_FAILED', {
+                    error: error.message
+                });
+                throw error;
+            }
+        }, { parent: traceContext }));
     }
 
     /**
@@ -275,11 +294,11 @@ class DocumentExtractor {
 
         try {
             // Download document from S3
-            const document = await s3Breaker.execute(async () => {
+            const document = await s3Breaker.execute(async ({ signal }) => {
                 const response = await s3.send(new GetObjectCommand({
                     Bucket: bucket || CONFIG.processingBucket,
                     Key: key
-                }));
+                }), { abortSignal: signal });
                 return {
                     body: await response.Body.transformToByteArray(),
                     contentType: response.ContentType,
@@ -455,7 +474,7 @@ class DocumentExtractor {
         logger.info('Enhancing with AI');
 
         try {
-            return await aiBreaker.execute(async () => {
+            return await aiBreaker.execute(async ({ signal }) => {
                 const completion = await openaiClient.chat.completions.create({
                     model: CONFIG.openAIModel,
                     messages: [
@@ -472,7 +491,7 @@ class DocumentExtractor {
                     ],
                     temperature: 0.1,
                     max_tokens: 1000
-                });
+                }, { signal });
 
                 const aiData = JSON.parse(completion.choices[0].message.content);
                 this.metrics.aiProcessed++;
@@ -622,13 +641,13 @@ class DocumentExtractor {
             Entries: [{
                 Source: 'scdor.document.extractor',
                 DetailType: 'DocumentExtracted',
-                Detail: JSON.stringify({
+                Detail: JSON.stringify(injectTraceContext({
                     processingId,
                     summary: extractedData.summary,
                     confidence: extractedData.confidence,
                     documentCount: extractedData.documentCount,
                     timestamp: new Date().toISOString()
-                }),
+                }, logger.getActiveSpan())),
                 EventBusName: CONFIG.eventBus
             }]
         }));
@@ -668,15 +687,23 @@ class DocumentExtractor {
      * Publish metrics to CloudWatch
      */
     async publishMetrics() {
-        const avgExtractionTime = this.metrics.extractionTime.length > 0
-            ? this.metrics.extractionTime.reduce((a, b) => a + b, 0) / this.metrics.extractionTime.length
+        const delta = this.metricDeltas.next(this.metrics);
+        const avgExtractionTime = delta.extractionTime.length > 0
+            ? delta.extractionTime.reduce((a, b) => a + b, 0) / delta.extractionTime.length
             : 0;
 
-        logger.metric('DocumentsProcessed', this.metrics.processed);
-        logger.metric('DocumentsFailed', this.metrics.failed);
-        logger.metric('OCRProcessed', this.metrics.ocrProcessed);
-        logger.metric('AIProcessed', this.metrics.aiProcessed);
+        logger.metric('DocumentsProcessed', delta.processed);
+        logger.metric('DocumentsFailed', delta.failed);
+        logger.metric('OCRProcessed', delta.ocrProcessed);
+        logger.metric('AIProcessed', delta.aiProcessed);
         logger.metric('AverageExtractionTime', avgExtractionTime, 'Milliseconds');
+
+        const total = delta.processed + delta.failed;
+        if (total > 0) {
+            logger.metric('ErrorRate', (delta.failed / total) * 100, 'Percent');
+        }
+
+        logger.flushMetrics();
     }
 }
 
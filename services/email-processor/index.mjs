@@ -13,7 +13,10 @@ import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
 import { simpleParser } from 'mailparser';
 import CircuitBreaker from './lib/circuitBreaker.mjs';
+import RetryPolicy from './lib/retryPolicy.mjs';
 import Logger from './lib/logger.mjs';
+import { CounterDeltas } from './lib/metrics.mjs';
+import { extractTraceContext, injectSqsAttributes, injectTraceContext } from './lib/tracing.mjs';
 
 // Initialize AWS clients
 const s3 = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
@@ -58,6 +61,13 @@ const databaseBreaker = new CircuitBreaker('Database', {
     resetTimeout: 60000
 });
 
+// Retries throttled or failed S3/DynamoDB writes
+const awsRetryPolicy = new RetryPolicy({
+    name: 'EmailProcessorAws',
+    maxAttempts: CONFIG.retryAttempts,
+    baseDelay: CONFIG.retryDelay
+});
+
 class EmailProcessor {
     constructor() {
         this.sessionId = uuidv4();
@@ -67,6 +77,8 @@ class EmailProcessor {
             attachmentsExtracted: 0,
             validationErrors: 0
         };
+        // Metrics report per-invocation counts, not the container's running totals
+        this.metricDeltas = new CounterDeltas();
     }
 
     /**
@@ -74,48 +86,59 @@ class EmailProcessor {
      */
     async handler(event, context) {
         const correlationId = context.requestId || uuidv4();
-        logger.setCorrelationId(correlationId);
-        
-        logger.info('Processing email event', {
-            eventType: event.Records ? 'SQS' : 'Direct',
-            recordCount: event.Records?.length || 1
-        });
 
-        try {
-            if (event.Records) {
-                // Process SQS messages
-                for (const record of event.Records) {
-                    await this.processEmailMessage(record, correlationId);
+        // Pick up log level changes (and per-file DEBUG overrides) from SSM
+        await logger.refreshLevel();
+
+        return await logger.withContext({ correlationId, logLevel: event.logLevel }, () => logger.withSpan('email-processor.handler', async span => {
+            logger.info('Processing email event', {
+                eventType: event.Records ? 'SQS' : 'Direct',
+                recordCount: event.Records?.length || 1
+            });
+
+            try {
+                if (event.Records) {
+                    // Process SQS messages
+                    for (const record of event.Records) {
+                        await this.processEmailMessage(record, correlationId);
+                    }
+                } else {
+                    // Direct invocation
+                    await this.processEmail(event, correlationId);
                 }
-            } else {
-                // Direct invocation
-                await this.processEmail(event, correlationId);
-            }
 
-            await this.publishMetrics();
+                await this.publishMetrics();
             
-            return {
-                statusCode: 200,
-                body: JSON.stringify({
-                    message: 'Email processing completed',
-                    metrics: this.metrics,
-                    correlationId
-                })
-            };
+                return {
+                    statusCode: 200,
+                    body: JSON.stringify({
+                        message: 'Email processing completed',
+                        metrics: this.metrics,
+                        correlationId
+                    })
+                };
 
-        } catch (error) {
-            logger.error('Email processing failed', { error: error.message });
-            await this.handleProcessingError(error, correlationId);
+            } catch (error) {
+                logger.error('Email processing failed', { error: error.message });
+                span.recordException(error);
+                await this.handleProcessingError(error, correlationId);
             
-            return {
-                statusCode: 500,
-                body: JSON.stringify({
-                    error: 'Email processing failed',
-                    message: error.message,
-                    correlationId
-                })
-            };
-        }
+                return {
+                    statusCode: 500,
+                    body: JSON.stringify({
+                        error: 'Email processing failed',
+                        message: error.message,
+                        correlationId
+                    })
+                };
+            } finally {
+                // End the span first so its entry ships with this flush
+                span.end();
+
+                // Ship buffered logs before the container freezes
+                await logger.flush();
+            }
+        }, { parent: extractTraceContext(event) }));
     }
 
     /**
@@ -124,7 +147,7 @@ class EmailProcessor {
     async processEmailMessage(record, correlationId) {
         try {
             const message = JSON.parse(record.body);
-            await this.processEmail(message, correlationId);
+            await this.processEmail(message, correlationId, extractTraceContext(record));
             
             // Delete message from queue on success
             await sqs.send(new DeleteMessageCommand({
@@ -143,66 +166,70 @@ class EmailProcessor {
 
     /**
      * Process individual email
+     * traceContext links the span to the sender of an SQS message
      */
-    async processEmail(emailData, correlationId) {
+    async processEmail(emailData, correlationId, traceContext = null) {
         const processingId = uuidv4();
         const startTime = Date.now();
 
-        logger.info('Processing email', {
-            processingId,
-            subject: emailData.subject,
-            from: emailData.from
-        });
+        return await logger.withContext({ processingId }, () => logger.withSpan('email-processor.processEmail', async () => {
+            logger.info('Processing email', {
+                processingId,
+                subject: emailData.subject,
+                from: emailData.from
+            });
 
-        try {
-            // Record processing start
-            await this.recordProcessingStart(processingId, emailData, correlationId);
+            try {
+                // Record processing start
+                await this.recordProcessingStart(processingId, emailData, correlationId);
 
-            // Parse email with circuit breaker
-            const parsedEmail = await emailParsingBreaker.execute(async () => {
-                return await this.parseEmail(emailData);
-            });
+                // Parse email with circuit breaker
+                const parsedEmail = await emailParsingBreaker.execute(async () => {
+                    return await this.parseEmail(emailData);
+                });
 
-            // Validate email
-            const validation = await this.validateEmail(parsedEmail);
-            if (!validation.valid) {
-                throw new Error(`Email validation failed: ${validation.errors.join(', ')}`);
-            }
+                // Validate email
+                const validation = await this.validateEmail(parsedEmail);
+                if (!validation.valid) {
+                    throw new Error(`Email validation failed: ${validation.errors.join(', ')}`);
+                }
 
-            // Extract and process attachments
-            const attachments = await this.processAttachments(parsedEmail, processingId);
+                // Extract and process attachments
+                const attachments = await this.processAttachments(parsedEmail, processingId);
 
-            // Extract metadata
-            const metadata = this.extractMetadata(parsedEmail, attachments);
+                // Extract metadata
+                const metadata = this.extractMetadata(parsedEmail, attachments);
 
-            // Store processed email
-            await this.storeProcessedEmail(processingId, parsedEmail, attachments, metadata);
+                // Store processed email
+                await this.storeProcessedEmail(processingId, parsedEmail, attachments, metadata);
 
-            // Trigger downstream processing
-            await this.triggerDownstreamProcessing(processingId, metadata);
+                // Trigger downstream processing
+                await this.triggerDownstreamProcessing(processingId, metadata);
 
-            // Record success
-            await this.recordProcessingComplete(processingId, Date.now() - startTime);
+                // Record success
+                await this.recordProcessingComplete(processingId, Date.now() - startTime);
+                logger.metric('ProcessingTime', (Date.now() - startTime) / 1000, 'Seconds');
             
-            this.metrics.processed++;
+                this.metrics.processed++;
             
-            logger.info('Email processed successfully', {
-                processingId,
-                attachmentCount: attachments.length,
-                processingTime: Date.now() - startTime
-            });
+                logger.info('Email processed successfully', {
+                    processingId,
+                    attachmentCount: attachments.length,
+                    processingTime: Date.now() - startTime
+                });
 
-            return {
-                processingId,
-                attachments: attachments.length,
-                metadata
-            };
+                return {
+                    processingId,
+                    attachments: attachments.length,
+                    metadata
+                };
 
-        } catch (error) {
-            this.metrics.failed++;
-            await this.recordProcessingError(processingId, error);
-            throw error;
-        }
+            } catch (error) {
+                this.metrics.failed++;
+                await this.recordProcessingError(processingId, error);
+                throw error;
+            }
+        }, { parent: traceContext }));
     }
 
     /**
@@ -305,10 +332,10 @@ class EmailProcessor {
                     continue;
                 }
 
-                // Upload to S3 with circuit breaker
-                const s3Key = await s3UploadBreaker.execute(async () => {
-                    return await this.uploadAttachment(attachment, processingId);
-                });
+                // Upload to S3 with retries and circuit breaker
+                const s3Key = await awsRetryPolicy.execute(async ({ signal }) => {
+                    return await this.uploadAttachment(attachment, processingId, signal);
+                }, { circuitBreaker: s3UploadBreaker });
 
                 attachments.push({
                     filename: attachment.filename,
@@ -364,7 +391,7 @@ class EmailProcessor {
     /**
      * Upload attachment to S3
      */
-    async uploadAttachment(attachment, processingId) {
+    async uploadAttachment(attachment, processingId, signal = null) {
         const fileId = uuidv4();
         const extension = attachment.filename?.toLowerCase().match(/\.[^.]+$/)?.[0] || '';
         const s3Key = `emails/${processingId}/attachments/${fileId}${extension}`;
@@ -387,7 +414,7 @@ class EmailProcessor {
                 'upload-timestamp': new Date().toISOString()
             },
             ServerSideEncryption: 'AES256'
-        }));
+        }), { abortSignal: signal || undefined });
 
         logger.info('Attachment uploaded', {
             s3Key,
@@ -455,11 +482,11 @@ class EmailProcessor {
             Entries: [{
                 Source: 'scdor.email.processor',
                 DetailType: 'EmailProcessed',
-                Detail: JSON.stringify({
+                Detail: JSON.stringify(injectTraceContext({
                     processingId,
                     metadata,
                     timestamp: new Date().toISOString()
-                }),
+                }, logger.getActiveSpan())),
                 EventBusName: CONFIG.eventBus
             }]
         }));
@@ -474,12 +501,12 @@ class EmailProcessor {
                     attachmentCount: metadata.attachmentCount,
                     priority: this.determinePriority(metadata)
                 }),
-                MessageAttributes: {
+                MessageAttributes: injectSqsAttributes({
                     Type: {
                         DataType: 'String',
                         StringValue: 'DocumentExtraction'
                     }
-                }
+                }, logger.getActiveSpan())
             }));
         }
 
@@ -512,7 +539,7 @@ class EmailProcessor {
      * Record processing start in database
      */
     async recordProcessingStart(processingId, emailData, correlationId) {
-        await databaseBreaker.execute(async () => {
+        await awsRetryPolicy.execute(async () => {
             await dynamodb.send(new PutItemCommand({
                 TableName: CONFIG.stateTable,
                 Item: {
@@ -526,14 +553,14 @@ class EmailProcessor {
                     startTime: { S: new Date().toISOString() }
                 }
             }));
-        });
+        }, { circuitBreaker: databaseBreaker });
     }
 
     /**
      * Record processing completion
      */
     async recordProcessingComplete(processingId, processingTime) {
-        await databaseBreaker.execute(async () => {
+        await awsRetryPolicy.execute(async () => {
             await dynamodb.send(new UpdateItemCommand({
                 TableName: CONFIG.stateTable,
                 Key: {
@@ -550,7 +577,7 @@ class EmailProcessor {
                     ':processingTime': { N: processingTime.toString() }
                 }
             }));
-        });
+        }, { circuitBreaker: databaseBreaker });
     }
 
     /**
@@ -609,11 +636,11 @@ class EmailProcessor {
                 Entries: [{
                     Source: 'scdor.email.processor',
                     DetailType: 'ProcessingAlert',
-                    Detail: JSON.stringify({
+                    Detail: JSON.stringify(injectTraceContext({
                         severity,
                         message,
                         ...details
-                    }),
+                    }, logger.getActiveSpan())),
                     EventBusName: CONFIG.eventBus
                 }]
             }));
@@ -626,8 +653,21 @@ class EmailProcessor {
      * Publish metrics to CloudWatch
      */
     async publishMetrics() {
-        // In production, this would use CloudWatch PutMetricData
         logger.info('Processing metrics', this.metrics);
+
+        const delta = this.metricDeltas.next(this.metrics);
+
+        logger.metric('EmailsProcessed', delta.processed);
+        logger.metric('EmailsFailed', delta.failed);
+        logger.metric('AttachmentsExtracted', delta.attachmentsExtracted);
+        logger.metric('EmailValidationErrors', delta.validationErrors);
+
+        const total = delta.processed + delta.failed;
+        if (total > 0) {
+            logger.metric('ErrorRate', (delta.failed / total) * 100, 'Percent');
+        }
+
+        logger.flushMetrics();
     }
 }
 
@@ -12,6 +12,8 @@ import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda';
 import { v4 as uuidv4 } from 'uuid';
 import CircuitBreaker from '../shared/lib/circuitBreaker.mjs';
 import Logger from '../shared/lib/logger.mjs';
+import { CounterDeltas } from '../shared/lib/metrics.mjs';
+import { extractTraceContext, injectTraceContext } from '../shared/lib/tracing.mjs';
 
 // Initialize AWS clients
 const s3 = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
@@ -72,6 +74,7 @@ class IntegrationAdapter {
             existingServiceCalls: 0,
             newServiceCalls: 0
         };
+        this.metricDeltas = new CounterDeltas();
     }
 
     /**
@@ -79,59 +82,70 @@ class IntegrationAdapter {
      */
     async handler(event, context) {
         const correlationId = context.requestId || uuidv4();
-        logger.setCorrelationId(correlationId);
-        
-        logger.info('Processing integration event', {
-            mode: CONFIG.migrationMode,
-            eventType: event.Records ? 'SQS' : 'Direct'
-        });
 
-        try {
-            // Determine processing path based on migration mode
-            switch (CONFIG.migrationMode) {
-                case 'shadow':
-                    // Run both old and new in parallel, compare results
-                    await this.shadowModeProcessing(event, correlationId);
-                    break;
+        // Pick up log level changes (and per-file DEBUG overrides) from SSM
+        await logger.refreshLevel();
+
+        return await logger.withContext({ correlationId, logLevel: event.logLevel }, () => logger.withSpan('integration-adapter.handler', async span => {
+            logger.info('Processing integration event', {
+                mode: CONFIG.migrationMode,
+                eventType: event.Records ? 'SQS' : 'Direct'
+            });
+
+            try {
+                // Determine processing path based on migration mode
+                switch (CONFIG.migrationMode) {
+                    case 'shadow':
+                        // Run both old and new in parallel, compare results
+                        await this.shadowModeProcessing(event, correlationId);
+                        break;
                     
-                case 'cutover':
-                    // Use new infrastructure with fallback to old
-                    await this.cutoverModeProcessing(event, correlationId);
-                    break;
+                    case 'cutover':
+                        // Use new infrastructure with fallback to old
+                        await this.cutoverModeProcessing(event, correlationId);
+                        break;
                     
-                case 'rollback':
-                    // Use existing infrastructure only
-                    await this.rollbackModeProcessing(event, correlationId);
-                    break;
+                    case 'rollback':
+                        // Use existing infrastructure only
+                        await this.rollbackModeProcessing(event, correlationId);
+                        break;
                     
-                default:
-                    await this.defaultProcessing(event, correlationId);
-            }
-
-            await this.publishMetrics();
-
-            return {
-                statusCode: 200,
-                body: JSON.stringify({
-                    message: 'Integration processing completed',
-                    mode: CONFIG.migrationMode,
-                    metrics: this.metrics,
-                    correlationId
-                })
-            };
+                    default:
+                        await this.defaultProcessing(event, correlationId);
+                }
 
-        } catch (error) {
-            logger.error('Integration processing failed', { error: error.message });
+                await this.publishMetrics();
+
+                return {
+                    statusCode: 200,
+                    body: JSON.stringify({
+                        message: 'Integration processing completed',
+                        mode: CONFIG.migrationMode,
+                        metrics: this.metrics,
+                        correlationId
+                    })
+                };
+
+            } catch (error) {
+                logger.error('Integration processing failed', { error: error.message });
+                span.recordException(error);
             
-            return {
-                statusCode: 500,
-                body: JSON.stringify({
-                    error: 'Integration processing failed',
-                    message: error.message,
-                    correlationId
-                })
-            };
-        }
+                return {
+                    statusCode: 500,
+                    body: JSON.stringify({
+                        error: 'Integration processing failed',
+                        message: error.message,
+                        correlationId
+                    })
+                };
+            } finally {
+                // End the span first so its entry ships with this flush
+                span.end();
+
+                // Ship buffered logs before the container freezes
+                await logger.flush();
+            }
+        }, { parent: extractTraceContext(event) }));
     }
 
     /**
@@ -276,22 +290,22 @@ class IntegrationAdapter {
 
         // Call email processor
         if (this.shouldCallEmailProcessor(existingEvent)) {
-            results.emailProcessor = await emailProcessorBreaker.execute(async () => {
-                return await this.invokeLambda(CONFIG.existingEmailProcessor, existingEvent);
+            results.emailProcessor = await emailProcessorBreaker.execute(async ({ signal }) => {
+                return await this.invokeLambda(CONFIG.existingEmailProcessor, existingEvent, signal);
             });
         }
 
         // Call table extractor
         if (this.shouldCallTableExtractor(existingEvent)) {
-            results.tableExtractor = await tableExtractorBreaker.execute(async () => {
-                return await this.invokeLambda(CONFIG.existingTableExtractor, existingEvent);
+            results.tableExtractor = await tableExtractorBreaker.execute(async ({ signal }) => {
+                return await this.invokeLambda(CONFIG.existingTableExtractor, existingEvent, signal);
             });
         }
 
         // Call hit updater if we have bot responses
         if (this.shouldCallHitUpdater(existingEvent)) {
-            results.hitUpdater = await hitUpdaterBreaker.execute(async () => {
-                return await this.invokeLambda(CONFIG.existingHitUpdater, existingEvent);
+            results.hitUpdater = await hitUpdaterBreaker.execute(async ({ signal }) => {
+                return await this.invokeLambda(CONFIG.existingHitUpdater, existingEvent, signal);
             });
         }
 
@@ -340,20 +354,24 @@ class IntegrationAdapter {
 
     /**
      * Invoke Lambda function
+     * The payload carries the trace context so the callee joins this trace;
+     * `signal` cancels the request when the breaker times out
      */
-    async invokeLambda(functionName, payload) {
-        const response = await lambda.send(new InvokeCommand({
-            FunctionName: functionName,
-            Payload: JSON.stringify(payload)
-        }));
-        
-        const result = JSON.parse(new TextDecoder().decode(response.Payload));
-        
-        if (response.StatusCode !== 200 || result.errorMessage) {
-            throw new Error(result.errorMessage || 'Lambda invocation failed');
-        }
-        
-        return result;
+    async invokeLambda(functionName, payload, signal = null) {
+        return await logger.withSpan('integration-adapter.invokeLambda', async span => {
+            const response = await lambda.send(new InvokeCommand({
+                FunctionName: functionName,
+                Payload: JSON.stringify(injectTraceContext(payload, span))
+            }), { abortSignal: signal || undefined });
+
+            const result = JSON.parse(new TextDecoder().decode(response.Payload));
+
+            if (response.StatusCode !== 200 || result.errorMessage) {
+                throw new Error(result.errorMessage || 'Lambda invocation failed');
+            }
+
+            return result;
+        }, { attributes: { functionName } });
     }
 
     /**
@@ -548,11 +566,20 @@ class IntegrationAdapter {
      * Publish metrics to CloudWatch
      */
     async publishMetrics() {
-        logger.metric('IntegrationProcessed', this.metrics.processed);
-        logger.metric('IntegrationFailed', this.metrics.failed);
-        logger.metric('ExistingServiceCalls', this.metrics.existingServiceCalls);
-        logger.metric('NewServiceCalls', this.metrics.newServiceCalls);
+        const delta = this.metricDeltas.next(this.metrics);
+
+        logger.metric('IntegrationProcessed', delta.processed);
+        logger.metric('IntegrationFailed', delta.failed);
+        logger.metric('ExistingServiceCalls', delta.existingServiceCalls);
+        logger.metric('NewServiceCalls', delta.newServiceCalls);
         logger.metric('MigrationMode', CONFIG.migrationMode === 'shadow' ? 1 : 0);
+
+        const total = delta.processed + delta.failed;
+        if (total > 0) {
+            logger.metric('ErrorRate', (delta.failed / total) * 100, 'Percent');
+        }
+
+        logger.flushMetrics();
     }
 }
 
@@ -10,7 +10,13 @@ import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge
 import { v4 as uuidv4 } from 'uuid';
 import BrowserPool from '../shared/lib/browserPool.mjs';
 import CircuitBreaker from '../shared/lib/circuitBreaker.mjs';
+import RetryPolicy, { isRetryableError } from '../shared/lib/retryPolicy.mjs';
+import RateLimiter from '../shared/lib/rateLimiter.mjs';
+import ResultCache from '../shared/lib/resultCache.mjs';
+import { parseList } from '../shared/lib/requestPolicy.mjs';
 import Logger from '../shared/lib/logger.mjs';
+import { CounterDeltas } from '../shared/lib/metrics.mjs';
+import { extractTraceContext, injectTraceContext } from '../shared/lib/tracing.mjs';
 
 // Initialize AWS clients
 const dynamodb = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
@@ -30,30 +36,103 @@ const CONFIG = {
     maxRetries: 5,
     baseRetryDelay: 1000, // 1 second
     maxRetryDelay: 32000, // 32 seconds
+    retryDeadline: 480000, // 8 minutes across all attempts
     timeoutMs: 180000, // 3 minutes
     browserTimeout: 120000, // 2 minutes
-    healthCheckInterval: 30000 // 30 seconds
+    viewport: { width: 1280, height: 720 },
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+    healthCheckInterval: 30000, // 30 seconds
+    // Bulkhead: cap simultaneous sessions against the state site
+    maxConcurrentSessions: parseInt(process.env.MAX_CONCURRENT_SESSIONS || '3'),
+    maxQueuedSessions: parseInt(process.env.MAX_QUEUED_SESSIONS || '10'),
+    sessionQueueTimeout: parseInt(process.env.SESSION_QUEUE_TIMEOUT || '120000'), // 2 minutes
+    // Pacing shared by every container hitting the site
+    siteRateLimit: parseFloat(process.env.SITE_RATE_LIMIT || '1'), // navigations per second
+    siteRateLimitBurst: parseInt(process.env.SITE_RATE_LIMIT_BURST || '3'),
+    siteQuietHours: process.env.SITE_QUIET_HOURS || null, // e.g. "01:00-05:00" (America/New_York)
+    // Record a Playwright trace per search; kept only for failed or odd-looking runs
+    browserTracing: process.env.BROWSER_TRACING === 'true',
+    // Oldest prior result served when a search opts in to stale results
+    staleResultMaxAge: parseInt(process.env.STALE_RESULT_MAX_AGE || '86400000'), // 24 hours
+    // live, record (save each search's traffic as a HAR) or replay (serve it from the HARs)
+    networkMode: process.env.BOT_NETWORK_MODE || 'live',
+    harDir: process.env.HAR_DIR || './recordings/har',
+    // Remote browsers to connect to instead of launching Chromium in the Lambda
+    browserEndpoints: parseList(process.env.BROWSER_ENDPOINTS),
+    browserConnectProtocol: process.env.BROWSER_CONNECT_PROTOCOL || 'playwright', // or cdp
+    // Requests a search page may make; anything off the allowed hosts is dropped
+    requestPolicy: {
+        allowHosts: parseList(process.env.ALLOWED_HOSTS ?? 'scdor.gov'),
+        blockResourceTypes: parseList(process.env.BLOCKED_RESOURCE_TYPES ?? 'image,font,media'),
+        blockPatterns: parseList(process.env.BLOCKED_URL_PATTERNS)
+    }
 };
 
 // Initialize browser pool and circuit breakers
 const browserPool = new BrowserPool({
     maxBrowsers: 2,
-    maxPagesPerBrowser: 3,
-    browserTimeout: CONFIG.browserTimeout,
-    pageTimeout: 30000,
+    minBrowsers: 1,
+    maxPages: 3,
+    launchTimeout: CONFIG.browserTimeout,
+    timeout: 30000,
+    queueTimeout: CONFIG.sessionQueueTimeout,
+    tracing: CONFIG.browserTracing,
+    networkMode: CONFIG.networkMode,
+    harDir: CONFIG.harDir,
+    endpoints: CONFIG.browserEndpoints,
+    connectProtocol: CONFIG.browserConnectProtocol,
     healthCheckInterval: CONFIG.healthCheckInterval
 });
 
 const mydorwayBreaker = new CircuitBreaker('MyDorwaySite', {
     threshold: 3,
     timeout: CONFIG.timeoutMs,
-    resetTimeout: 300000 // 5 minutes
+    resetTimeout: 300000, // 5 minutes
+    successThreshold: 2,
+    // Only site trouble (timeouts, disconnects, 5xx) trips the breaker;
+    // bad input, failed form validation and our own rate limiting don't
+    isFailure: error => error.name !== 'RateLimitExceededError' && isRetryableError(error),
+    maxConcurrent: CONFIG.maxConcurrentSessions,
+    maxQueue: CONFIG.maxQueuedSessions,
+    queueTimeout: CONFIG.sessionQueueTimeout
 });
 
 const searchBreaker = new CircuitBreaker('MyDorwaySearch', {
     threshold: 5,
-    timeout: 60000, // 1 minute
-    resetTimeout: 180000 // 3 minutes
+    timeout: 60000, // 1 minute until enough searches have been timed
+    resetTimeout: 180000, // 3 minutes
+    adaptiveTimeout: true
+});
+
+const siteLimiter = new RateLimiter({
+    name: 'MyDorwaySite',
+    // A replay never reaches the site, so it isn't paced
+    limits: CONFIG.networkMode === 'replay' ? {} : {
+        [new URL(CONFIG.mydorwayBaseUrl).hostname]: {
+            rate: CONFIG.siteRateLimit,
+            burst: CONFIG.siteRateLimitBurst,
+            quietHours: CONFIG.siteQuietHours
+        }
+    }
+});
+
+const searchRetryPolicy = new RetryPolicy({
+    name: 'MyDorwaySearch',
+    maxAttempts: CONFIG.maxRetries,
+    baseDelay: CONFIG.baseRetryDelay,
+    maxDelay: CONFIG.maxRetryDelay,
+    jitter: 'decorrelated',
+    deadline: CONFIG.retryDeadline
+});
+
+// Result types that mean the page didn't look the way we expect
+const UNEXPECTED_RESULT_TYPES = new Set(['no_matches', 'processing_error']);
+
+// Last good result per subject, served while the site is down
+const searchResultCache = new ResultCache({
+    name: 'MyDorwaySearch',
+    maxAge: CONFIG.staleResultMaxAge,
+    shouldCache: result => !result.error
 });
 
 class MyDorwayBot {
@@ -68,6 +147,8 @@ class MyDorwayBot {
             browserCrashes: 0,
             sessionErrors: 0
         };
+        // publishMetrics() reports the change since its previous call
+        this.metricDeltas = new CounterDeltas();
     }
 
     /**
@@ -75,67 +156,75 @@ class MyDorwayBot {
      */
     async handler(event, context) {
         const correlationId = context.requestId || uuidv4();
-        logger.setCorrelationId(correlationId);
-        
-        logger.info('MyDorway bot processing started', {
-            sessionId: this.sessionId,
-            eventType: event.Records ? 'SQS' : 'Direct'
-        });
 
-        try {
-            // Process records
-            const results = [];
-            const records = event.Records || [event];
+        // Pick up log level changes (and per-file DEBUG overrides) from SSM
+        await logger.refreshLevel();
 
-            for (const record of records) {
-                try {
-                    const result = await this.processRecord(record, correlationId);
-                    results.push(result);
-                    this.metrics.processed++;
-                    this.metrics.successful++;
-                } catch (error) {
-                    logger.error('Record processing failed', { 
-                        error: error.message,
-                        recordId: record.messageId || 'direct'
-                    });
-                    results.push({
-                        success: false,
-                        error: error.message,
-                        recordId: record.messageId || 'direct'
-                    });
-                    this.metrics.processed++;
-                    this.metrics.failed++;
+        return await logger.withContext({ correlationId, logLevel: event.logLevel, sessionId: this.sessionId }, () => logger.withSpan('mydorway-bot.handler', async span => {
+            logger.info('MyDorway bot processing started', {
+                sessionId: this.sessionId,
+                eventType: event.Records ? 'SQS' : 'Direct'
+            });
+
+            try {
+                // Process records
+                const results = [];
+                const records = event.Records || [event];
+
+                for (const record of records) {
+                    try {
+                        const result = await this.processRecord(record, correlationId);
+                        results.push(result);
+                        this.metrics.processed++;
+                        this.metrics.successful++;
+                    } catch (error) {
+                        logger.error('Record processing failed', { 
+                            error: error.message,
+                            recordId: record.messageId || 'direct'
+                        });
+                        results.push({
+                            success: false,
+                            error: error.message,
+                            recordId: record.messageId || 'direct'
+                        });
+                        this.metrics.processed++;
+                        this.metrics.failed++;
+                    }
                 }
-            }
 
-            // Publish metrics
-            await this.publishMetrics();
+                // Publish metrics
+                await this.publishMetrics();
 
-            return {
-                statusCode: 200,
-                body: JSON.stringify({
-                    message: 'MyDorway processing completed',
-                    results,
-                    metrics: this.metrics,
-                    correlationId
-                })
-            };
+                return {
+                    statusCode: 200,
+                    body: JSON.stringify({
+                        message: 'MyDorway processing completed',
+                        results,
+                        metrics: this.metrics,
+                        correlationId
+                    })
+                };
 
-        } catch (error) {
-            logger.error('MyDorway bot processing failed', { error: error.message });
+            } catch (error) {
+                logger.error('MyDorway bot processing failed', { error: error.message });
+                span.recordException(error);
             
-            return {
-                statusCode: 500,
-                body: JSON.stringify({
-                    error: 'MyDorway processing failed',
-                    message: error.message,
-                    correlationId
-                })
-            };
-        } finally {
-            // Cleanup browser pool
-            await browserPool.cleanup();
-        }
+                return {
+                    statusCode: 500,
+                    body: JSON.stringify({
+                        error: 'MyDorway processing failed',
+                        message: error.message,
+                        correlationId
+                    })
+                };
+            } finally {
+                // End the span first so its entry ships with this flush
+                span.end();
+
+                // Ship buffered logs before the container freezes
+                await logger.flush();
+            }
+        }, { parent: extractTraceContext(event) }));
     }
 
     /**
@@ -153,126 +242,106 @@ class MyDorwayBot {
             searchCount: searchData.names.length
         });
 
-        // Record processing start
-        await this.recordProcessingStart(processingId, correlationId, searchData);
+        return await logger.withContext({ processingId, fileNumber: searchData.fileNumber }, () => logger.withSpan('mydorway-bot.processRecord', async () => {
+            // Record processing start
+            await this.recordProcessingStart(processingId, correlationId, searchData);
 
-        try {
-            // Search MyDorway for each name with retry logic
-            const results = [];
+            try {
+                // Search MyDorway for each name with retry logic
+                const results = [];
             
-            for (const nameData of searchData.names) {
-                const searchResult = await this.searchWithRetry(nameData, processingId);
-                results.push(searchResult);
-            }
-
-            // Store results
-            const s3Key = await this.storeResults(processingId, results, searchData);
+                for (const nameData of searchData.names) {
+                    const searchResult = await this.searchMyDorway(nameData, processingId, {
+                        allowStale: searchData.allowStaleResults,
+                        maxStaleAge: searchData.staleResultMaxAge,
+                        priority: searchData.priority
+                    });
+                    results.push(searchResult);
+                }
 
-            // Record completion
-            await this.recordProcessingComplete(processingId, {
-                resultCount: results.length,
-                s3Key,
-                duration: Date.now() - startTime
-            });
+                // Store results
+                const s3Key = await this.storeResults(processingId, results, searchData);
 
-            // Publish completion event
-            await this.publishCompletionEvent(processingId, s3Key, results);
+                // Record completion
+                await this.recordProcessingComplete(processingId, {
+                    resultCount: results.length,
+                    s3Key,
+                    duration: Date.now() - startTime
+                });
+                logger.metric('ProcessingTime', (Date.now() - startTime) / 1000, 'Seconds');
 
-            return {
-                success: true,
-                processingId,
-                resultCount: results.length,
-                s3Key,
-                duration: Date.now() - startTime
-            };
+                // Publish completion event
+                await this.publishCompletionEvent(processingId, s3Key, results);
 
-        } catch (error) {
-            await this.recordProcessingError(processingId, error);
-            throw error;
-        }
-    }
+                return {
+                    success: true,
+                    processingId,
+                    resultCount: results.length,
+                    s3Key,
+                    duration: Date.now() - startTime
+                };
 
-    /**
-     * Search with exponential backoff retry logic
-     */
-    async searchWithRetry(nameData, processingId, attempt = 1) {
-        try {
-            return await this.searchMyDorway(nameData, processingId);
-        } catch (error) {
-            if (attempt >= CONFIG.maxRetries) {
-                logger.error('Max retries exceeded', {
-                    name: nameData,
-                    attempt,
-                    error: error.message
-                });
+            } catch (error) {
+                await this.recordProcessingError(processingId, error);
                 throw error;
             }
-
-            // Calculate exponential backoff delay
-            const delay = Math.min(
-                CONFIG.baseRetryDelay * Math.pow(2, attempt - 1),
-                CONFIG.maxRetryDelay
-            );
-
-            logger.warn('Search failed, retrying', {
-                name: nameData,
-                attempt,
-                nextAttempt: attempt + 1,
-                delay,
-                error: error.message
-            });
-
-            this.metrics.retries++;
-
-            // Wait before retry
-            await new Promise(resolve => setTimeout(resolve, delay));
-
-            return await this.searchWithRetry(nameData, processingId, attempt + 1);
-        }
+        }, { parent: extractTraceContext(record) }));
     }
 
     /**
      * Search MyDorway for a specific name
+     * With `options.allowStale`, a search the site can't answer falls back
+     * to the last good result for the subject (no older than `maxStaleAge`),
+     * marked `stale: true`. `options.priority` orders the wait for a
+     * browser when the pool is full.
      */
-    async searchMyDorway(nameData, processingId) {
-        return await mydorwayBreaker.execute(async () => {
-            const browser = await browserPool.getBrowser();
-            let page = null;
-            
-            try {
-                page = await browser.newPage();
-                
-                // Configure page for better reliability
-                await page.setViewport({ width: 1280, height: 720 });
-                await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-                
-                // Set longer timeouts for MyDorway
-                page.setDefaultTimeout(45000);
-                page.setDefaultNavigationTimeout(45000);
+    async searchMyDorway(nameData, processingId, options = {}) {
+        const searchLogger = logger.child({
+            processingId,
+            subject: this.formatSubject(nameData)
+        });
+        const cacheKey = this.searchCacheKey(nameData);
 
+        return await searchLogger.withSpan('mydorway-bot.search', () => searchRetryPolicy.execute(({ signal }) => searchResultCache.remember(cacheKey, () => browserPool.withPage(async (page, lease) => {
+            try {
                 // Navigate to MyDorway search
-                await page.goto(`${CONFIG.mydorwayBaseUrl}/DORway/Delinquent.aspx`, { 
-                    waitUntil: 'networkidle0',
-                    timeout: 45000 
-                });
-
-                // Validate page loaded correctly
-                await this.validatePageLoad(page);
+                await siteLimiter.acquire(CONFIG.mydorwayBaseUrl, { signal });
+                await browserPool.withTimeout('mydorway.search-page', timeout => page.goto(`${CONFIG.mydorwayBaseUrl}/DORway/Delinquent.aspx`, { 
+                    waitUntil: 'networkidle',
+                    timeout
+                }), 45000);
+
+                // Validate page loaded correctly; a saved session that led
+                // anywhere else is stale
+                try {
+                    await this.validatePageLoad(page);
+                } catch (error) {
+                    await lease.invalidateSession();
+                    throw error;
+                }
 
                 // Fill search form
                 await this.fillSearchForm(page, nameData);
 
                 // Submit search and wait for results
-                const searchResults = await this.submitSearchAndWaitForResults(page, nameData);
+                await siteLimiter.acquire(CONFIG.mydorwayBaseUrl, { signal });
+                const searchResults = await this.submitSearchAndWaitForResults(page, nameData, signal);
+                await lease.saveSession();
 
                 // Take screenshot for evidence
-                const screenshotUrl = await this.takeScreenshot(page, processingId, nameData);
+                const screenshotUrl = await this.takeScreenshot(page, processingId, nameData, 'result', signal);
+
+                // Keep the trace when the results page looked wrong
+                const traceKey = UNEXPECTED_RESULT_TYPES.has(searchResults.details?.type)
+                    ? await this.uploadTrace(lease, processingId, nameData, signal)
+                    : null;
 
                 return {
                     name: nameData,
                     hit: searchResults.hit,
                     details: searchResults.details,
                     screenshotUrl,
+                    traceKey,
                     timestamp: new Date().toISOString()
                 };
 
@@ -287,20 +356,30 @@ class MyDorwayBot {
                     this.metrics.browserCrashes++;
                 }
                 
-                logger.error('MyDorway search failed', {
-                    name: nameData,
+                searchLogger.error('MyDorway search failed', {
                     error: error.message,
                     type: error.name
                 });
+                logger.getActiveSpan()?.recordException(error);
 
-                // Take error screenshot
+                // Take error screenshot and keep the trace (not after an
+                // abort: the page is gone)
                 let errorScreenshotUrl = null;
-                if (page) {
+                let traceKey = null;
+                if (!signal.aborted) {
                     try {
                         errorScreenshotUrl = await this.takeScreenshot(page, processingId, nameData, 'error');
                     } catch (screenshotError) {
-                        logger.warn('Error screenshot failed', { error: screenshotError.message });
+                        searchLogger.warn('Error screenshot failed', { error: screenshotError.message });
                     }
+                    traceKey = await this.uploadTrace(lease, processingId, nameData);
+                }
+
+                // Transient failures go back to the retry policy (and count
+                // against the circuit), as do rate limit rejections so quiet
+                // hours fail the record; anything else is reported as a result
+                if (isRetryableError(error) || error.name === 'RateLimitExceededError') {
+                    throw error;
                 }
 
                 return {
@@ -309,22 +388,35 @@ class MyDorwayBot {
                     error: {
                         message: error.message,
                         type: error.name,
-                        screenshotUrl: errorScreenshotUrl
+                        screenshotUrl: errorScreenshotUrl,
+                        traceKey
                     },
                     timestamp: new Date().toISOString()
                 };
-            } finally {
-                if (page) {
-                    try {
-                        await page.close();
-                    } catch (closeError) {
-                        logger.warn('Failed to close page', { error: closeError.message });
-                    }
-                }
-                
-                await browserPool.releaseBrowser(browser);
             }
-        });
+        }, {
+            viewport: CONFIG.viewport,
+            userAgent: CONFIG.userAgent,
+            priority: options.priority,
+            // Start from the site's saved cookies to skip landing pages and CAPTCHAs
+            sessionKey: new URL(CONFIG.mydorwayBaseUrl).hostname,
+            requestPolicy: CONFIG.requestPolicy,
+            // One HAR per site and subject in record/replay mode
+            harName: `${new URL(CONFIG.mydorwayBaseUrl).hostname}/${cacheKey}`,
+            // Longer timeouts for MyDorway (adapted to its recent load times)
+            timeout: browserPool.getTimeout('mydorway.search-page', 45000),
+            // Releasing the lease on abort stops a timed-out search from
+            // driving the browser
+            signal
+        })), {
+            circuitBreaker: mydorwayBreaker,
+            onRetry: () => {
+                this.metrics.retries++;
+            },
+            fallback: options.allowStale
+                ? searchResultCache.fallback(cacheKey, { maxAge: options.maxStaleAge })
+                : undefined
+        }));
     }
 
     /**
@@ -394,29 +486,55 @@ class MyDorwayBot {
 
     /**
      * Submit search and wait for results with circuit breaker
+     * The search's signal also cancels the call. When the breaker gives up
+     * (timeout or abort) the page stops loading and the pending wait fails
+     * at once, so the page is left for the error screenshot and released
+     * with the lease.
      */
-    async submitSearchAndWaitForResults(page, nameData) {
-        return await searchBreaker.execute(async () => {
-            // Submit the search form
-            await page.click('input[type="submit"]');
+    async submitSearchAndWaitForResults(page, nameData, signal = null) {
+        return await searchBreaker.execute(async ({ signal: searchSignal }) => {
+            searchSignal.throwIfAborted();
+
+            // Playwright's waits take no AbortSignal, so race them against it
+            let onAbort;
+            const aborted = new Promise((resolve, reject) => {
+                onAbort = () => {
+                    page.evaluate(() => window.stop()).catch(() => {});
+                    reject(searchSignal.reason);
+                };
+                searchSignal.addEventListener('abort', onAbort, { once: true });
+            });
+            aborted.catch(() => {});
+            const untilAborted = promise => Promise.race([promise, aborted]);
 
-            // Wait for either results or no results message
             try {
-                await page.waitForSelector('.search-results, .no-results, .grid, table', { 
-                    timeout: 30000 
-                });
-            } catch (error) {
-                // If timeout, check if page is still loading
-                const loadingElement = await page.$('.loading, [id*="loading"]');
-                if (loadingElement) {
-                    throw new Error('Search timed out - page still loading');
+                // Submit the search form
+                await untilAborted(page.click('input[type="submit"]'));
+
+                // Wait for either results or no results message
+                try {
+                    await untilAborted(browserPool.withTimeout('mydorway.results', timeout => page.waitForSelector('.search-results, .no-results, .grid, table', { 
+                        timeout
+                    }), 30000));
+                } catch (error) {
+                    if (searchSignal.aborted) {
+                        throw error;
+                    }
+
+                    // If timeout, check if page is still loading
+                    const loadingElement = await page.$('.loading, [id*="loading"]');
+                    if (loadingElement) {
+                        throw new Error('Search timed out - page still loading');
+                    }
+                    throw error;
                 }
-                throw error;
-            }
 
-            // Process the results
-            return await this.processSearchResults(page, nameData);
-        });
+                // Process the results
+                return await untilAborted(this.processSearchResults(page, nameData));
+            } finally {
+                searchSignal.removeEventListener('abort', onAbort);
+            }
+        }, null, { signal });
     }
 
     /**
@@ -557,7 +675,7 @@ class MyDorwayBot {
     /**
      * Take screenshot for evidence
      */
-    async takeScreenshot(page, processingId, nameData, type = 'result') {
+    async takeScreenshot(page, processingId, nameData, type = 'result', signal = null) {
         try {
             const timestamp = Date.now();
             const fileName = `${processingId}-${nameData.firstName || 'unknown'}-${nameData.lastName || 'unknown'}-${type}-${timestamp}.png`;
@@ -573,7 +691,7 @@ class MyDorwayBot {
                 Key: s3Key,
                 Body: screenshot,
                 ContentType: 'image/png'
-            }));
+            }), { abortSignal: signal || undefined });
 
             const screenshotUrl = `https://${CONFIG.documentsBucket}.s3.amazonaws.com/${s3Key}`;
             logger.info('Screenshot saved', { s3Key, type });
@@ -586,6 +704,53 @@ class MyDorwayBot {
         }
     }
 
+    /**
+     * Upload the lease's Playwright trace next to the screenshots
+     * Returns the S3 key, or null when the lease wasn't tracing
+     */
+    async uploadTrace(lease, processingId, nameData, signal = null) {
+        try {
+            const trace = await lease.stopTrace();
+            if (!trace) {
+                return null;
+            }
+
+            const timestamp = Date.now();
+            const fileName = `${processingId}-${nameData.firstName || 'unknown'}-${nameData.lastName || 'unknown'}-trace-${timestamp}.zip`;
+            const s3Key = `screenshots/mydorway/${processingId}/${fileName}`;
+
+            await s3.send(new PutObjectCommand({
+                Bucket: CONFIG.documentsBucket,
+                Key: s3Key,
+                Body: trace,
+                ContentType: 'application/zip'
+            }), { abortSignal: signal || undefined });
+
+            logger.info('Trace saved', { s3Key });
+            return s3Key;
+
+        } catch (error) {
+            logger.error('Trace upload failed', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Format a subject's name for log bindings
+     */
+    formatSubject(nameData) {
+        return [nameData.firstName, nameData.lastName].filter(Boolean).join(' ') || 'unknown';
+    }
+
+    /**
+     * Result cache key for a subject: the search inputs, normalized
+     */
+    searchCacheKey(nameData) {
+        return [nameData.lastName, nameData.firstName]
+            .map(part => String(part || '').trim().toLowerCase())
+            .join('|');
+    }
+
     /**
      * Extract search data from event record
      */
@@ -597,7 +762,10 @@ class MyDorwayBot {
                 names: body.names || [body],
                 user: body.user || 'unknown',
                 fileNumber: body.fileNumber || 'unknown',
-                uuid: body.uuid || uuidv4()
+                uuid: body.uuid || uuidv4(),
+                allowStaleResults: body.allowStaleResults === true,
+                staleResultMaxAge: body.staleResultMaxAge || null,
+                priority: body.priority || 'NORMAL'
             };
         }
 
@@ -606,7 +774,10 @@ class MyDorwayBot {
             names: record.names || [record],
             user: record.user || 'unknown', 
             fileNumber: record.fileNumber || 'unknown',
-            uuid: record.uuid || uuidv4()
+            uuid: record.uuid || uuidv4(),
+            allowStaleResults: record.allowStaleResults === true,
+            staleResultMaxAge: record.staleResultMaxAge || null,
+            priority: record.priority || 'NORMAL'
         };
     }
 
@@ -717,13 +888,13 @@ class MyDorwayBot {
             Entries: [{
                 Source: 'scdor-rebuild.mydorway-bot',
                 DetailType: 'MyDorway Search Completed',
-                Detail: JSON.stringify({
+                Detail: JSON.stringify(injectTraceContext({
                     processingId,
                     s3Key,
                     resultCount: results.length,
                     hitCount,
                     timestamp: new Date().toISOString()
-                }),
+                }, logger.getActiveSpan())),
                 EventBusName: CONFIG.eventBus
             }]
         }));
@@ -735,28 +906,33 @@ class MyDorwayBot {
      * Publish metrics to CloudWatch
      */
     async publishMetrics() {
-        logger.metric('MyDorwayProcessed', this.metrics.processed);
-        logger.metric('MyDorwaySuccessful', this.metrics.successful);
-        logger.metric('MyDorwayFailed', this.metrics.failed);
-        logger.metric('MyDorwayRetries', this.metrics.retries);
-        logger.metric('MyDorwayTimeouts', this.metrics.timeouts);
-        logger.metric('MyDorwayBrowserCrashes', this.metrics.browserCrashes);
-        logger.metric('MyDorwaySessionErrors', this.metrics.sessionErrors);
+        const delta = this.metricDeltas.next(this.metrics);
+
+        logger.metric('MyDorwayProcessed', delta.processed);
+        logger.metric('MyDorwaySuccessful', delta.successful);
+        logger.metric('MyDorwayFailed', delta.failed);
+        logger.metric('MyDorwayRetries', delta.retries);
+        logger.metric('MyDorwayTimeouts', delta.timeouts);
+        logger.metric('MyDorwayBrowserCrashes', delta.browserCrashes);
+        logger.metric('MyDorwaySessionErrors', delta.sessionErrors);
         
-        // Calculate success rate
-        const successRate = this.metrics.processed > 0 
-            ? (this.metrics.successful / this.metrics.processed) * 100 
-            : 0;
-        logger.metric('MyDorwaySuccessRate', successRate);
-
-        // Calculate retry rate
-        const retryRate = this.metrics.processed > 0 
-            ? (this.metrics.retries / this.metrics.processed) * 100 
-            : 0;
-        logger.metric('MyDorwayRetryRate', retryRate);
+        // Rates only when this invocation processed something
+        if (delta.processed > 0) {
+            const successRate = (delta.successful / delta.processed) * 100;
+            logger.metric('MyDorwaySuccessRate', successRate, 'Percent');
+            logger.metric('MyDorwayRetryRate', (delta.retries / delta.processed) * 100, 'Percent');
+
+            // Namespace-level metrics feeding the monitoring alarms
+            logger.metric('ErrorRate', (delta.failed / delta.processed) * 100, 'Percent');
+            logger.metric('SuccessRate', successRate, 'Percent');
+        }
+
+        browserPool.publishMetrics();
+        logger.flushMetrics();
     }
 }
 
 // Export handler for Lambda
 const mydorwayBot = new MyDorwayBot();
-export const handler = mydorwayBot.handler.bind(mydorwayBot);
\ No newline at end of file
+export const handler = mydorwayBot.handler.bind(mydorwayBot);
+export { MyDorwayBot, browserPool };
@@ -0,0 +1,71 @@
+/**
+ * Replay test
+ * Runs a MyDorway search in `replay` network mode against a synthetic HAR
+ * (tests/fixtures/mydorway-search.har), so the search flow and results
+ * parsing run in a real browser without reaching the site. The names and
+ * accounts in the fixture are made up; never commit a real recording.
+ *
+ * Needs Chromium (`npx playwright install chromium`); skipped without it.
+ */
+
+import { existsSync } from 'fs';
+import { copyFile, mkdir, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { chromium } from 'playwright';
+
+const FIXTURE = join(dirname(fileURLToPath(import.meta.url)), '../fixtures/mydorway-search.har');
+const SUBJECT = { firstName: 'Jane', lastName: 'Sample' };
+
+const describeWithBrowser = existsSync(chromium.executablePath()) ? describe : describe.skip;
+
+describeWithBrowser('MyDorway search in replay mode', () => {
+    let harDir;
+    let bot;
+    let browserPool;
+
+    beforeAll(async () => {
+        harDir = await mkdtemp(join(tmpdir(), 'mydorway-har-'));
+
+        // The bot reads its configuration when it is imported
+        process.env.BOT_NETWORK_MODE = 'replay';
+        process.env.HAR_DIR = harDir;
+        process.env.RESULT_CACHE_STORE = 'memory';
+
+        const module = await import('../../index.mjs');
+        bot = new module.MyDorwayBot();
+        browserPool = module.browserPool;
+
+        const harPath = browserPool.harPath(`mydorway.scdor.gov/${bot.searchCacheKey(SUBJECT)}`);
+        await mkdir(dirname(harPath), { recursive: true });
+        await copyFile(FIXTURE, harPath);
+    }, 60000);
+
+    afterAll(async () => {
+        await browserPool?.shutdown();
+        if (harDir) {
+            await rm(harDir, { recursive: true, force: true });
+        }
+    });
+
+    test('parses the recorded results page', async () => {
+        const result = await bot.searchMyDorway(SUBJECT, 'replay-test');
+
+        expect(result.error).toBeUndefined();
+        expect(result.hit).toBe(true);
+        expect(result.details).toEqual({
+            type: 'results_found',
+            count: 2,
+            results: [
+                { Name: 'SAMPLE, JANE', Account: '000-TEST-0001', 'Tax Year': '2023', 'Amount Due': '$1,234.56' },
+                { Name: 'SAMPLE, JANE Q', Account: '000-TEST-0002', 'Tax Year': '2024', 'Amount Due': '$78.90' }
+            ]
+        });
+    }, 120000);
+
+    test('fails a subject without a recording instead of reaching the site', async () => {
+        await expect(bot.searchMyDorway({ firstName: 'John', lastName: 'Nobody' }, 'replay-test'))
+            .rejects.toThrow('No HAR recording');
+    }, 120000);
+});
@@ -2,32 +2,143 @@
  * Browser Pool Manager
  * Manages Playwright browser instances with health monitoring and automatic recovery
  * Prevents resource exhaustion and memory leaks
+ *
+ * Work runs on a lease: a fresh context and page on a pooled browser,
+ * closed again on release. The pool starts on the first lease.
+ *
+ *   await pool.withPage(async (page) => {
+ *       await page.goto(url);
+ *   }, { viewport: { width: 1280, height: 720 }, signal });
+ *
+ * When every browser is full, leases wait in a queue: HIGH priority first,
+ * then MEDIUM, then NORMAL, first come first served within a priority.
+ *
+ * A lease with a `sessionKey` (e.g. the site's host) starts from the
+ * cookies and localStorage last saved under that key; `lease.saveSession()`
+ * and `lease.invalidateSession()` manage them (see sessionStateStore.mjs).
+ *
+ * With `tracing` on (pool-wide or per lease) each lease records a Playwright
+ * trace; `lease.stopTrace()` returns the zip for the runs worth keeping and
+ * the rest are discarded with the context.
+ *
+ * A `requestPolicy` (pool-wide or per lease) blocks resource types, URL
+ * patterns or hosts through context routing (see requestPolicy.mjs); each
+ * lease counts the requests it allowed and blocked.
+ *
+ * `networkMode` switches the network of every lease: `live` (default),
+ * `record`, which saves each lease's traffic to a HAR under `harDir`, or
+ * `replay`, which serves all requests from those HARs and lets nothing
+ * through. Leases pick their HAR by `harName` (default: the sessionKey);
+ * the file is named by a salted hash of it, since bots name HARs after the
+ * subject they search for. Recordings hold that subject's data too, so keep
+ * them out of the repository.
+ *
+ * With `endpoints` the pool connects to running browsers instead of
+ * launching them: Playwright browser servers (`browserType.connect`) or
+ * Chromium DevTools endpoints (`connectOverCDP`). Endpoints are tried in
+ * order; one that fails is skipped, with backoff, until a health check
+ * reaches it again, and a lost connection is replaced straight away.
  */
 
+import { createHmac, randomUUID } from 'crypto';
+import { existsSync } from 'fs';
+import { mkdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
 import { chromium, firefox, webkit } from 'playwright';
 import { EventEmitter } from 'events';
+import { connect as connectSocket } from 'net';
 import Logger from './logger.mjs';
+import LatencyTracker from './latencyTracker.mjs';
+import { CounterDeltas } from './metrics.mjs';
+import { isSupported as canSampleProcesses, listChildPids, sampleProcessTrees, cpuPercent } from './processStats.mjs';
+import { createSessionStateStore } from './sessionStateStore.mjs';
+import RequestPolicy from './requestPolicy.mjs';
 
 const logger = new Logger('BrowserPool');
 
+// Order priorities (see determinePriority in the email processor)
+const Priority = {
+    HIGH: 'HIGH',
+    MEDIUM: 'MEDIUM',
+    NORMAL: 'NORMAL'
+};
+
+const NETWORK_MODES = ['live', 'record', 'replay'];
+const CONNECT_PROTOCOLS = ['playwright', 'cdp'];
+
+/**
+ * Endpoint from a URL or { url, protocol, headers, name }
+ * `name` (default: the URL's host) is what logs and metrics show, so
+ * tokens in the URL stay out of them.
+ */
+const normalizeEndpoint = (endpoint, protocol) => {
+    const { url, ...rest } = typeof endpoint === 'string' ? { url: endpoint } : endpoint;
+    let name;
+    try {
+        name = new URL(url).host;
+    } catch {
+        name = url;
+    }
+
+    const normalized = { name, protocol, ...rest, url };
+    if (!CONNECT_PROTOCOLS.includes(normalized.protocol)) {
+        throw new Error(`Unknown browser connect protocol: ${normalized.protocol}`);
+    }
+    return normalized;
+};
+
+const PRIORITY_RANK = {
+    [Priority.HIGH]: 0,
+    [Priority.MEDIUM]: 1,
+    [Priority.NORMAL]: 2
+};
+
 class BrowserPool extends EventEmitter {
     constructor(options = {}) {
         super();
         
         this.config = {
             maxBrowsers: options.maxBrowsers || 5,
+            minBrowsers: options.minBrowsers ?? Math.min(2, options.maxBrowsers || 5), // Kept warm
             maxPages: options.maxPages || 10,
+            queueTimeout: options.queueTimeout || 10000, // Default wait for a free page slot
             browserType: options.browserType || 'chromium',
             headless: options.headless !== false,
-            timeout: options.timeout || 30000,
+            timeout: options.timeout || 30000, // Page default timeout
+            launchTimeout: options.launchTimeout || options.timeout || 30000,
             healthCheckInterval: options.healthCheckInterval || 30000,
-            maxMemoryMB: options.maxMemoryMB || 500,
-            maxCpuPercent: options.maxCpuPercent || 80,
+            // Recycling: a browser over any of these limits takes no new
+            // pages and closes once its sessions have drained
+            maxMemoryMB: options.maxMemoryMB || 500,       // RSS of the browser's process tree
+            maxCpuPercent: options.maxCpuPercent || 80,    // Of one core, between health checks
+            maxBrowserAge: options.maxBrowserAge || 1800000, // 30 minutes
+            maxPagesServed: options.maxPagesServed || 100, // Pages over the browser's lifetime
+            drainTimeout: options.drainTimeout || 120000,  // Then remaining sessions are closed
             sessionTimeout: options.sessionTimeout || 300000, // 5 minutes
+            sessionRefreshInterval: options.sessionRefreshInterval || 900000, // Saved state rewritten at most every 15 minutes
+            tracing: options.tracing || false, // Record a Playwright trace per lease
+            requestPolicy: options.requestPolicy || null, // Default interception rules for leases
+            networkMode: options.networkMode || 'live', // live, record or replay
+            harDir: options.harDir || './recordings/har',
+            // HAR file names are keyed hashes of harName, salted like the log redactor's
+            harSalt: options.harSalt || process.env.REDACTION_SALT || 'scdor-rebuild',
+            // Remote browsers: connect to these instead of launching
+            endpoints: options.endpoints || [],
+            connectProtocol: options.connectProtocol || 'playwright', // playwright or cdp
+            // Launch locally when no endpoint connects, unless BROWSER_LOCAL_FALLBACK=false
+            localFallback: options.localFallback ?? process.env.BROWSER_LOCAL_FALLBACK !== 'false',
+            endpointRetryDelay: options.endpointRetryDelay || 5000, // Doubles per failure
+            endpointProbeTimeout: options.endpointProbeTimeout || 5000,
+            maxEndpointRetryDelay: options.maxEndpointRetryDelay || 300000, // 5 minutes
             retryAttempts: options.retryAttempts || 3,
             ...options
         };
 
+        if (!NETWORK_MODES.includes(this.config.networkMode)) {
+            throw new Error(`Unknown network mode: ${this.config.networkMode}`);
+        }
+
         this.browsers = new Map();
         this.sessions = new Map();
         this.metrics = {
@@ -38,26 +149,88 @@ class BrowserPool extends EventEmitter {
             unhealthy: 0,
             activePages: 0,
             totalRequests: 0,
-            failedRequests: 0
+            failedRequests: 0,
+            retired: 0,
+            queued: 0,
+            queueTimeouts: 0,
+            totalQueueWaitMs: 0,
+            sessionsRestored: 0,
+            sessionsSaved: 0,
+            sessionsInvalidated: 0,
+            tracesSaved: 0,
+            requestsAllowed: 0,
+            requestsBlocked: 0,
+            connections: 0,
+            connectFailures: 0,
+            reconnects: 0,
+            localFallbacks: 0
         };
 
+        // Counters published so far, so each publish reports only new activity
+        this.metricDeltas = new CounterDeltas();
+
+        this.endpoints = this.config.endpoints.map(endpoint => ({
+            ...normalizeEndpoint(endpoint, this.config.connectProtocol),
+            healthy: true,
+            failures: 0,
+            downUntil: 0,
+            lastError: null
+        }));
+
+        // Saved storageState per site; null disables it. A replay must not
+        // start from, or overwrite, live sessions.
+        this.sessionStore = options.sessionStore !== undefined
+            ? options.sessionStore
+            : (this.config.networkMode === 'replay' ? null : createSessionStateStore());
+
+        // Per-operation latency for adaptive page timeouts (see withTimeout)
+        this.latency = this.config.adaptiveTimeouts === false
+            ? null
+            : new LatencyTracker({
+                minTimeout: 5000,
+                maxTimeout: 120000,
+                ...this.config.adaptiveTimeouts
+            });
+        this.defaultTimeouts = {};
+
+        // Page slots are accounted in each browser's `sessions` as soon as
+        // they are claimed; launches in flight hold a place under maxBrowsers
+        this.waiters = [];
+        this.pendingLaunches = 0;
+
         this.healthCheckTimer = null;
+        this.launchLock = Promise.resolve();
+        this.browserSequence = 0;
+        this.initialized = null;
         this.isShuttingDown = false;
     }
 
     /**
      * Initialize the browser pool
+     * Called by the first acquire(); calling it up front only pre-warms.
+     * Safe to call more than once.
      */
     async initialize() {
+        if (!this.initialized) {
+            this.initialized = this.start().catch(error => {
+                this.initialized = null;
+                throw error;
+            });
+        }
+        return await this.initialized;
+    }
+
+    async start() {
         logger.info('Initializing browser pool', {
             maxBrowsers: this.config.maxBrowsers,
-            browserType: this.config.browserType
+            browserType: this.config.browserType,
+            endpoints: this.endpoints.map(endpoint => endpoint.name)
         });
 
         // Pre-warm pool with minimum browsers
-        const minBrowsers = Math.min(2, this.config.maxBrowsers);
-        for (let i = 0; i < minBrowsers; i++) {
-            await this.createBrowser();
+        while (this.browsers.size + this.pendingLaunches < this.config.minBrowsers) {
+            this.pendingLaunches++;
+            await this.launchReserved();
         }
 
         // Start health monitoring
@@ -69,58 +242,118 @@ class BrowserPool extends EventEmitter {
     }
 
     /**
-     * Get a browser page for automation
+     * Lease a fresh context and page on a pooled browser
+     * Returns { id, browser, context, page, release() }; release() closes
+     * the page and context and may be called more than once. Context
+     * options (viewport, userAgent, locale, timezoneId, permissions,
+     * contextOptions) apply to this lease only, and `timeout` sets its page
+     * default timeouts. With `options.signal`, an abort (e.g. a circuit
+     * breaker timeout) releases the lease so the work behind it stops.
+     * When the pool is full the lease waits by `options.priority` (HIGH,
+     * MEDIUM, NORMAL) for up to `options.queueTimeout`.
+     * With `options.sessionKey` the context starts from the state saved
+     * under that key, and the lease gets saveSession()/invalidateSession().
+     * `options.tracing` overrides the pool's tracing setting, and
+     * `options.requestPolicy` its request policy (null for none).
+     * `options.harName` names the HAR recorded or replayed in those modes.
      */
-    async getPage(sessionId, options = {}) {
+    async acquire(options = {}) {
+        const { signal, sessionKey } = options;
+        const sessionId = options.sessionId || randomUUID();
         this.metrics.totalRequests++;
         
         try {
+            signal?.throwIfAborted();
+
             // Check if we're shutting down
             if (this.isShuttingDown) {
                 throw new Error('Browser pool is shutting down');
             }
 
-            // Find or create a browser
-            const browser = await this.getAvailableBrowser();
-            if (!browser) {
-                throw new Error('No available browsers in pool');
+            await this.initialize();
+
+            // Read the saved state before holding a slot
+            const saved = sessionKey ? await this.loadSessionState(sessionKey) : null;
+
+            // Claim a page slot on a browser, waiting for one if needed
+            const entry = await this.reserveBrowser(sessionId, options);
+            const browser = entry.instance;
+
+            const requestPolicy = this.resolveRequestPolicy(options);
+            const requests = requestPolicy ? { allowed: 0, blocked: 0, blockedBy: {} } : null;
+
+            // Create new context and page for isolation
+            let context;
+            let page;
+            try {
+                ({ context, page } = await this.openPage(browser, sessionId, {
+                    ...options,
+                    storageState: saved?.storageState,
+                    requestPolicy,
+                    requests,
+                    harName: options.harName || sessionKey || 'default'
+                }));
+            } catch (error) {
+                await this.freeSlot(entry, sessionId);
+                throw error;
             }
 
-            // Create new context for isolation
-            const context = await browser.newContext({
-                viewport: options.viewport || { width: 1920, height: 1080 },
-                userAgent: options.userAgent,
-                locale: options.locale || 'en-US',
-                timezoneId: options.timezoneId || 'America/New_York',
-                permissions: options.permissions,
-                recordVideo: options.recordVideo ? {
-                    dir: `./recordings/${sessionId}`,
-                    size: { width: 1280, height: 720 }
-                } : undefined,
-                ...options.contextOptions
-            });
-
-            // Set default timeout
-            context.setDefaultTimeout(this.config.timeout);
-            context.setDefaultNavigationTimeout(this.config.timeout);
-
-            // Create page
-            const page = await context.newPage();
+            const tracing = (options.tracing ?? this.config.tracing)
+                ? await this.startTrace(context, sessionId)
+                : false;
 
-            // Track session
+            // Track session; the session is the lease handed to the caller
             const session = {
+                id: sessionId,
                 sessionId,
+                browserId: entry.id,
                 browser,
                 context,
                 page,
                 createdAt: Date.now(),
                 lastActivity: Date.now(),
                 memoryUsage: 0,
-                cpuUsage: 0
+                cpuUsage: 0,
+                sessionKey: sessionKey || null,
+                restoredSession: Boolean(saved),
+                sessionSavedAt: saved?.savedAt || null,
+                tracing,
+                requests,
+                release: async () => {
+                    if (this.sessions.get(sessionId) === session) {
+                        await this.releasePage(sessionId);
+                    }
+                },
+                saveSession: (saveOptions) => this.saveSessionState(session, saveOptions),
+                invalidateSession: () => this.invalidateSessionState(sessionKey),
+                stopTrace: () => this.stopTrace(session)
             };
 
             this.sessions.set(sessionId, session);
             this.metrics.activePages++;
+            entry.metrics.pagesCreated++;
+
+            if (entry.metrics.pagesCreated >= this.config.maxPagesServed) {
+                await this.retireBrowser(entry.id, 'pages');
+            }
+
+            if (signal) {
+                const onAbort = () => {
+                    logger.warn('Session aborted, releasing page', {
+                        sessionId,
+                        reason: signal.reason?.message
+                    });
+                    session.release();
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                session.removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+
+                // Aborted while the context was being created
+                if (signal.aborted) {
+                    await session.release();
+                    signal.throwIfAborted();
+                }
+            }
 
             // Set up error handlers
             page.on('crash', () => this.handlePageCrash(sessionId));
@@ -133,10 +366,11 @@ class BrowserPool extends EventEmitter {
 
             logger.info('Page created', {
                 sessionId,
-                browserPid: browser._process?.pid
+                browserId: entry.id,
+                browserPid: entry.pid
             });
 
-            return page;
+            return session;
 
         } catch (error) {
             this.metrics.failedRequests++;
@@ -148,6 +382,291 @@ class BrowserPool extends EventEmitter {
         }
     }
 
+    /**
+     * Create a lease's context and page
+     */
+    async openPage(browser, sessionId, options) {
+        const context = await browser.newContext({
+            viewport: options.viewport || { width: 1920, height: 1080 },
+            userAgent: options.userAgent,
+            locale: options.locale || 'en-US',
+            timezoneId: options.timezoneId || 'America/New_York',
+            permissions: options.permissions,
+            storageState: options.storageState,
+            // Service workers fetch outside context routing
+            serviceWorkers: this.config.networkMode === 'live' ? undefined : 'block',
+            recordVideo: options.recordVideo ? {
+                dir: `./recordings/${sessionId}`,
+                size: { width: 1280, height: 720 }
+            } : undefined,
+            ...options.contextOptions
+        });
+
+        // Set default timeout
+        context.setDefaultTimeout(options.timeout || this.config.timeout);
+        context.setDefaultNavigationTimeout(options.timeout || this.config.timeout);
+
+        try {
+            if (this.config.networkMode !== 'live') {
+                await this.routeFromHar(context, options.harName);
+            }
+            // Registered last so it sees requests first and falls back to the HAR
+            if (options.requestPolicy) {
+                await this.applyRequestPolicy(context, options.requestPolicy, options.requests);
+            }
+            return { context, page: await context.newPage() };
+        } catch (error) {
+            await context.close().catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * HAR file for a lease's `harName`
+     */
+    harPath(harName) {
+        const digest = createHmac('sha256', this.config.harSalt).update(String(harName)).digest('hex');
+        return join(this.config.harDir, `${digest.slice(0, 32)}.har`);
+    }
+
+    /**
+     * Record a context's traffic into its HAR, or serve it from one
+     * The recording is written when the context closes. A replayed request
+     * missing from the HAR is aborted rather than sent to the site.
+     */
+    async routeFromHar(context, harName) {
+        const path = this.harPath(harName);
+
+        if (this.config.networkMode === 'record') {
+            await mkdir(dirname(path), { recursive: true });
+            await context.routeFromHAR(path, { update: true, updateContent: 'embed', updateMode: 'full' });
+            logger.debug('Recording HAR', { path });
+            return;
+        }
+
+        if (!existsSync(path)) {
+            throw new Error(`No HAR recording at ${path}; record one with networkMode 'record'`);
+        }
+        await context.routeFromHAR(path, { notFound: 'abort' });
+        logger.debug('Replaying HAR', { path });
+    }
+
+    /**
+     * The lease's request policy: its own, else the pool's; null for none
+     */
+    resolveRequestPolicy(options) {
+        const rules = options.requestPolicy !== undefined ? options.requestPolicy : this.config.requestPolicy;
+        if (!rules) {
+            return null;
+        }
+        const policy = rules instanceof RequestPolicy ? rules : new RequestPolicy(rules);
+        return policy.isEmpty() ? null : policy;
+    }
+
+    /**
+     * Route every request of a context through `policy`, counting the
+     * decisions in `requests`
+     */
+    async applyRequestPolicy(context, policy, requests) {
+        await context.route('**/*', async (route) => {
+            const request = route.request();
+            const { allowed, rule } = policy.decide(request.url(), request.resourceType());
+
+            if (allowed) {
+                requests.allowed++;
+                this.metrics.requestsAllowed++;
+            } else {
+                requests.blocked++;
+                requests.blockedBy[rule] = (requests.blockedBy[rule] || 0) + 1;
+                this.metrics.requestsBlocked++;
+            }
+
+            // Requests still in flight when the context closes can't be routed
+            await (allowed ? route.fallback() : route.abort('blockedbyclient')).catch(() => {});
+        });
+    }
+
+    /**
+     * Start recording a trace (screenshots, DOM snapshots, network and
+     * console) for a lease's context
+     * A lease without its trace is better than no lease, so failures only
+     * log.
+     */
+    async startTrace(context, sessionId) {
+        try {
+            await context.tracing.start({ screenshots: true, snapshots: true, title: sessionId });
+            return true;
+        } catch (error) {
+            logger.warn('Failed to start trace', {
+                sessionId,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Stop a lease's trace and return the trace zip, or null when it wasn't
+     * tracing or the trace couldn't be written
+     * Open it with `npx playwright show-trace <file>`.
+     */
+    async stopTrace(session) {
+        if (!session.tracing) {
+            return null;
+        }
+        session.tracing = false;
+
+        const path = join(tmpdir(), `trace-${session.id}.zip`);
+        try {
+            await session.context.tracing.stop({ path });
+            const trace = await readFile(path);
+            this.metrics.tracesSaved++;
+            return trace;
+        } catch (error) {
+            logger.warn('Failed to save trace', {
+                sessionId: session.id,
+                error: error.message
+            });
+            return null;
+        } finally {
+            await rm(path, { force: true });
+        }
+    }
+
+    /**
+     * Saved state for `sessionKey`, or null; store errors count as none
+     */
+    async loadSessionState(sessionKey) {
+        if (!this.sessionStore) {
+            return null;
+        }
+
+        try {
+            const saved = await this.sessionStore.get(sessionKey);
+            if (saved) {
+                this.metrics.sessionsRestored++;
+                logger.debug('Restoring saved session', {
+                    sessionKey,
+                    savedAt: new Date(saved.savedAt).toISOString()
+                });
+            }
+            return saved;
+        } catch (error) {
+            logger.warn('Failed to load saved session', {
+                sessionKey,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Save a lease's cookies and localStorage under its sessionKey
+     * Skipped while the state it started from is younger than
+     * sessionRefreshInterval, unless `force` is set. Errors are logged, not
+     * thrown. Returns whether the state was saved.
+     */
+    async saveSessionState(session, options = {}) {
+        if (!this.sessionStore || !session.sessionKey) {
+            return false;
+        }
+        if (!options.force && session.sessionSavedAt &&
+            Date.now() - session.sessionSavedAt < this.config.sessionRefreshInterval) {
+            return false;
+        }
+
+        try {
+            await this.sessionStore.put(session.sessionKey, await session.context.storageState());
+            session.sessionSavedAt = Date.now();
+            this.metrics.sessionsSaved++;
+
+            logger.debug('Session saved', { sessionKey: session.sessionKey });
+            return true;
+        } catch (error) {
+            logger.warn('Failed to save session', {
+                sessionKey: session.sessionKey,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Drop the state saved under `sessionKey`, e.g. after it led to a page
+     * that failed validation
+     */
+    async invalidateSessionState(sessionKey) {
+        if (!this.sessionStore || !sessionKey) {
+            return;
+        }
+
+        try {
+            await this.sessionStore.delete(sessionKey);
+            this.metrics.sessionsInvalidated++;
+
+            logger.info('Saved session invalidated', { sessionKey });
+            logger.metric('BrowserSessionInvalidated', 1, 'Count');
+        } catch (error) {
+            logger.warn('Failed to invalidate session', {
+                sessionKey,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Run `fn(page, lease)` on a leased page, releasing it however `fn` ends
+     * Takes the same options as acquire().
+     */
+    async withPage(fn, options = {}) {
+        const lease = await this.acquire(options);
+        try {
+            return await fn(lease.page, lease);
+        } finally {
+            await lease.release();
+        }
+    }
+
+    /**
+     * Get a page for `sessionId`; release it with releasePage(sessionId)
+     */
+    async getPage(sessionId, options = {}) {
+        const lease = await this.acquire({ ...options, sessionId });
+        return lease.page;
+    }
+
+    /**
+     * Timeout for a page operation, derived from its observed latency once
+     * enough calls have been seen
+     */
+    getTimeout(operation, defaultTimeout = this.config.timeout) {
+        this.defaultTimeouts[operation] = defaultTimeout;
+        return this.latency ? this.latency.timeoutFor(operation, defaultTimeout) : defaultTimeout;
+    }
+
+    /**
+     * Run a page operation with an adaptive timeout and record its latency
+     * `fn` receives the timeout to pass to Playwright, e.g.
+     *   await pool.withTimeout('uitax.search-page', timeout => page.goto(url, { timeout }), 30000);
+     * A Playwright TimeoutError is recorded at the timeout so slow sites get
+     * more time on later calls.
+     */
+    async withTimeout(operation, fn, defaultTimeout = this.config.timeout) {
+        const timeout = this.getTimeout(operation, defaultTimeout);
+        const startTime = Date.now();
+
+        try {
+            const result = await fn(timeout);
+            this.latency?.record(operation, Date.now() - startTime);
+            return result;
+        } catch (error) {
+            if (error.name === 'TimeoutError') {
+                this.latency?.record(operation, timeout);
+            }
+            throw error;
+        }
+    }
+
     /**
      * Release a page and clean up resources
      */
@@ -158,6 +677,10 @@ class BrowserPool extends EventEmitter {
             return;
         }
 
+        session.removeAbortListener?.();
+        this.sessions.delete(sessionId);
+        this.metrics.activePages--;
+
         try {
             // Close page and context
             if (session.page && !session.page.isClosed()) {
@@ -168,12 +691,10 @@ class BrowserPool extends EventEmitter {
                 await session.context.close();
             }
 
-            this.sessions.delete(sessionId);
-            this.metrics.activePages--;
-
             logger.info('Page released', {
                 sessionId,
-                duration: Date.now() - session.createdAt
+                duration: Date.now() - session.createdAt,
+                ...(session.requests && { requests: session.requests })
             });
 
         } catch (error) {
@@ -182,33 +703,183 @@ class BrowserPool extends EventEmitter {
                 error: error.message
             });
         }
+
+        // The slot stays taken until the context is closed
+        const browser = this.browsers.get(session.browserId);
+        if (browser) {
+            await this.freeSlot(browser, sessionId);
+        }
     }
 
     /**
-     * Get an available browser from the pool
+     * Whether a browser can take another page
      */
-    async getAvailableBrowser() {
-        // Try to find a healthy browser with capacity
-        for (const [id, browser] of this.browsers) {
-            if (browser.isHealthy && browser.contexts.length < this.config.maxPages) {
-                return browser.instance;
+    isAvailable(browser) {
+        return browser.isHealthy && !browser.retiring && browser.sessions.size < this.config.maxPages;
+    }
+
+    /**
+     * Claim a page slot for `sessionId`, waiting in the queue when every
+     * browser is full
+     * Resolves with the browser entry; the slot is already counted in its
+     * `sessions`.
+     */
+    async reserveBrowser(sessionId, options = {}) {
+        // Don't hand out pages on browsers that are due for recycling
+        await this.recycleBrowsers();
+
+        // Only take a free slot directly when nobody is waiting for one
+        const claim = (this.waiters.length === 0 && this.claimSlot(sessionId)) ||
+            await this.waitForSlot(sessionId, options);
+
+        return claim.browser || await this.launchReserved(sessionId);
+    }
+
+    /**
+     * Claim a slot on a browser with capacity, or a place to launch a new
+     * browser; null when the pool is full
+     * Synchronous, so nothing can take the slot between check and claim.
+     */
+    claimSlot(sessionId) {
+        for (const browser of this.browsers.values()) {
+            if (this.isAvailable(browser)) {
+                browser.sessions.add(sessionId);
+                return { browser };
             }
         }
 
-        // Create new browser if under limit
-        if (this.browsers.size < this.config.maxBrowsers) {
-            return await this.createBrowser();
+        if (this.browsers.size + this.pendingLaunches < this.config.maxBrowsers) {
+            this.pendingLaunches++;
+            return { launch: true };
+        }
+        return null;
+    }
+
+    /**
+     * Launch a browser in a place claimed with pendingLaunches, taking a
+     * slot on it for `sessionId`
+     */
+    async launchReserved(sessionId = null) {
+        try {
+            const browser = await this.createBrowser();
+            if (sessionId) {
+                browser.sessions.add(sessionId);
+            }
+            return browser;
+        } finally {
+            this.pendingLaunches--;
+            // Spare slots on the new browser, or the place a failed launch held
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Give up a claimed slot and let the next waiter have it
+     * A retiring browser closes once its last slot is free.
+     */
+    async freeSlot(browser, sessionId) {
+        browser.sessions.delete(sessionId);
+
+        if (browser.retiring && browser.sessions.size === 0 && this.browsers.has(browser.id)) {
+            await this.removeBrowser(browser.id);
+        } else {
+            this.dispatch();
         }
+    }
+
+    /**
+     * Queue for a slot by priority, FIFO within a priority
+     * Rejects after `queueTimeout`, when `signal` aborts, or on shutdown.
+     */
+    waitForSlot(sessionId, options = {}) {
+        const { signal, queueTimeout = this.config.queueTimeout } = options;
+        const priority = PRIORITY_RANK[options.priority] !== undefined ? options.priority : Priority.NORMAL;
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                sessionId,
+                priority,
+                rank: PRIORITY_RANK[priority],
+                enqueuedAt: Date.now(),
+                timer: null,
+                onAbort: null
+            };
+
+            const leave = () => {
+                clearTimeout(waiter.timer);
+                signal?.removeEventListener('abort', waiter.onAbort);
+                const index = this.waiters.indexOf(waiter);
+                if (index !== -1) {
+                    this.waiters.splice(index, 1);
+                }
+            };
+
+            waiter.grant = (claim) => {
+                leave();
+                const waitedMs = Date.now() - waiter.enqueuedAt;
+                this.metrics.totalQueueWaitMs += waitedMs;
+                logger.metric('BrowserQueueWait', waitedMs, 'Milliseconds', { Priority: priority });
+                resolve(claim);
+            };
+
+            waiter.reject = (error) => {
+                leave();
+                reject(error);
+            };
+
+            waiter.timer = setTimeout(() => {
+                this.metrics.queueTimeouts++;
+                logger.warn('Timed out waiting for a browser', {
+                    sessionId,
+                    priority,
+                    queueTimeout,
+                    queueLength: this.waiters.length
+                });
+                logger.metric('BrowserQueueTimeout', 1, 'Count', { Priority: priority });
+                waiter.reject(new Error(`Timeout waiting for available browser after ${queueTimeout}ms`));
+            }, queueTimeout);
+
+            if (signal) {
+                waiter.onAbort = () => waiter.reject(signal.reason);
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+
+            // Behind every waiter of the same or higher priority
+            const index = this.waiters.findIndex(other => other.rank > waiter.rank);
+            this.waiters.splice(index === -1 ? this.waiters.length : index, 0, waiter);
+            this.metrics.queued++;
+
+            logger.debug('Waiting for a browser', {
+                sessionId,
+                priority,
+                position: this.waiters.indexOf(waiter) + 1,
+                queueLength: this.waiters.length
+            });
+            logger.metric('BrowserQueueLength', this.waiters.length);
 
-        // Wait for available browser
-        return await this.waitForAvailableBrowser();
+            // Capacity may have freed up while the fast path was skipped
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Hand free slots (or room to launch) to waiters in queue order
+     */
+    dispatch() {
+        while (this.waiters.length > 0 && !this.isShuttingDown) {
+            const claim = this.claimSlot(this.waiters[0].sessionId);
+            if (!claim) {
+                return;
+            }
+            this.waiters[0].grant(claim);
+        }
     }
 
     /**
      * Create a new browser instance
      */
     async createBrowser() {
-        const browserId = `browser-${Date.now()}`;
+        const browserId = `browser-${Date.now()}-${++this.browserSequence}`;
         
         try {
             logger.info('Creating new browser', { browserId });
@@ -224,36 +895,32 @@ class BrowserPool extends EventEmitter {
                     '--no-zygote',
                     '--deterministic-fetch',
                     '--disable-features=IsolateOrigins',
-                    '--disable-site-isolation-trials',
-                    `--max-old-space-size=${this.config.maxMemoryMB}`,
+                    '--disable-site-isolation-trials'
                 ],
-                timeout: this.config.timeout
+                timeout: this.config.launchTimeout
             };
 
-            let instance;
-            switch (this.config.browserType) {
-                case 'firefox':
-                    instance = await firefox.launch(launchOptions);
-                    break;
-                case 'webkit':
-                    instance = await webkit.launch(launchOptions);
-                    break;
-                default:
-                    instance = await chromium.launch(launchOptions);
-            }
+            const { instance, pid, endpoint = null } = this.endpoints.length > 0
+                ? await this.connect(launchOptions)
+                : await this.launch(launchOptions);
 
             const browser = {
                 id: browserId,
                 instance,
+                pid,
+                endpoint, // Null for a local browser
                 contexts: [],
+                sessions: new Set(),
                 isHealthy: true,
+                retiring: null,
                 createdAt: Date.now(),
                 lastHealthCheck: Date.now(),
+                lastSample: null,
                 metrics: {
                     pagesCreated: 0,
                     errors: 0,
-                    memoryUsage: 0,
-                    cpuUsage: 0
+                    memoryUsage: 0, // MB
+                    cpuUsage: 0     // Percent of one core
                 }
             };
 
@@ -266,10 +933,11 @@ class BrowserPool extends EventEmitter {
 
             logger.info('Browser created', {
                 browserId,
-                pid: instance._process?.pid
+                pid,
+                endpoint: endpoint?.name
             });
 
-            return instance;
+            return browser;
 
         } catch (error) {
             logger.error('Failed to create browser', {
@@ -281,31 +949,195 @@ class BrowserPool extends EventEmitter {
     }
 
     /**
-     * Wait for an available browser
+     * Launch a browser and find the pid of its root process
+     * Launches run one at a time so the one new child of this process can be
+     * attributed to the browser just launched.
      */
-    async waitForAvailableBrowser(timeout = 10000) {
-        const startTime = Date.now();
-        
-        while (Date.now() - startTime < timeout) {
-            for (const [id, browser] of this.browsers) {
-                if (browser.isHealthy && browser.contexts.length < this.config.maxPages) {
-                    return browser.instance;
+    async launch(launchOptions) {
+        const launched = this.launchLock.then(async () => {
+            const before = canSampleProcesses() ? new Set(await listChildPids()) : null;
+
+            const instance = await this.browserLauncher().launch(launchOptions);
+
+            if (!before) {
+                return { instance, pid: null };
+            }
+
+            const claimed = new Set(Array.from(this.browsers.values()).map(b => b.pid));
+            const started = (await listChildPids()).filter(pid => !before.has(pid) && !claimed.has(pid));
+            if (started.length !== 1) {
+                logger.warn('Could not identify browser process; resource limits will not apply to it', {
+                    candidates: started.length
+                });
+            }
+            return { instance, pid: started.length === 1 ? started[0] : null };
+        });
+
+        this.launchLock = launched.catch(() => {});
+        return await launched;
+    }
+
+    browserLauncher() {
+        switch (this.config.browserType) {
+            case 'firefox':
+                return firefox;
+            case 'webkit':
+                return webkit;
+            default:
+                return chromium;
+        }
+    }
+
+    /**
+     * Connect to the first endpoint that answers, in configured order
+     * Endpoints still backing off from a failure are skipped. With
+     * localFallback a browser is launched when none connects.
+     */
+    async connect(launchOptions) {
+        const now = Date.now();
+        const candidates = this.endpoints.filter(endpoint => endpoint.healthy || now >= endpoint.downUntil);
+        const failures = [];
+
+        for (const endpoint of candidates) {
+            try {
+                const instance = await this.connectEndpoint(endpoint);
+                this.markEndpointUp(endpoint);
+                this.metrics.connections++;
+                return { instance, pid: null, endpoint };
+            } catch (error) {
+                this.markEndpointDown(endpoint, error);
+                failures.push(`${endpoint.name}: ${error.message}`);
+            }
+        }
+
+        if (this.config.localFallback) {
+            logger.warn('No browser endpoint available, launching locally', {
+                endpoints: this.endpoints.length,
+                failures
+            });
+            this.metrics.localFallbacks++;
+            return await this.launch(launchOptions);
+        }
+
+        throw new Error(`No browser endpoint available${failures.length > 0 ? `: ${failures.join('; ')}` : ''}`);
+    }
+
+    async connectEndpoint(endpoint) {
+        const options = {
+            timeout: this.config.launchTimeout,
+            headers: endpoint.headers
+        };
+
+        if (endpoint.protocol === 'cdp') {
+            return await chromium.connectOverCDP(endpoint.url, options);
+        }
+        return await this.browserLauncher().connect(endpoint.url, options);
+    }
+
+    /**
+     * Take an endpoint out of rotation, backing off exponentially
+     */
+    markEndpointDown(endpoint, error) {
+        endpoint.failures++;
+        endpoint.lastError = error.message;
+        endpoint.downUntil = Date.now() + Math.min(
+            this.config.endpointRetryDelay * Math.pow(2, endpoint.failures - 1),
+            this.config.maxEndpointRetryDelay
+        );
+        this.metrics.connectFailures++;
+
+        if (endpoint.healthy) {
+            endpoint.healthy = false;
+            logger.warn('Browser endpoint down', {
+                endpoint: endpoint.name,
+                error: error.message
+            });
+            this.emit('endpoint-down', { endpoint: endpoint.name, error: error.message });
+        }
+
+        logger.metric('BrowserEndpointFailure', 1, 'Count', {
+            Endpoint: endpoint.name
+        });
+    }
+
+    markEndpointUp(endpoint) {
+        if (!endpoint.healthy) {
+            logger.info('Browser endpoint recovered', {
+                endpoint: endpoint.name,
+                failures: endpoint.failures
+            });
+            this.emit('endpoint-up', { endpoint: endpoint.name });
+        }
+        endpoint.healthy = true;
+        endpoint.failures = 0;
+        endpoint.downUntil = 0;
+        endpoint.lastError = null;
+    }
+
+    /**
+     * Probe endpoints no pooled browser is connected to
+     * Endpoints in use are checked through their browsers; a down endpoint
+     * is probed once its backoff has passed.
+     */
+    async checkEndpoints() {
+        const inUse = new Set(Array.from(this.browsers.values()).map(b => b.endpoint).filter(Boolean));
+        const now = Date.now();
+
+        await Promise.allSettled(this.endpoints
+            .filter(endpoint => !inUse.has(endpoint) && (endpoint.healthy || now >= endpoint.downUntil))
+            .map(async (endpoint) => {
+                try {
+                    await this.probeEndpoint(endpoint);
+                    this.markEndpointUp(endpoint);
+                } catch (error) {
+                    this.markEndpointDown(endpoint, error);
                 }
+            }));
+    }
+
+    /**
+     * Check an endpoint answers without opening a browser session on it
+     * DevTools endpoints are asked for `/json/version`. A browser server
+     * starts a browser per connection, so it only has to accept a socket.
+     */
+    async probeEndpoint(endpoint) {
+        const url = new URL(endpoint.url);
+        const timeout = this.config.endpointProbeTimeout;
+
+        if (endpoint.protocol === 'cdp') {
+            url.protocol = url.protocol.replace(/^ws/, 'http');
+            const response = await fetch(`${url.origin}/json/version`, {
+                headers: endpoint.headers,
+                signal: AbortSignal.timeout(timeout)
+            });
+            await response.body?.cancel();
+            if (!response.ok) {
+                throw new Error(`DevTools endpoint answered ${response.status}`);
             }
-            
-            await new Promise(resolve => setTimeout(resolve, 100));
+            return;
         }
-        
-        throw new Error('Timeout waiting for available browser');
+
+        const secure = url.protocol === 'wss:' || url.protocol === 'https:';
+        await new Promise((resolve, reject) => {
+            const socket = connectSocket({ host: url.hostname, port: Number(url.port) || (secure ? 443 : 80) });
+            socket.setTimeout(timeout, () => socket.destroy(new Error(`Connection timed out after ${timeout}ms`)));
+            socket.once('connect', () => {
+                socket.end();
+                resolve();
+            });
+            socket.once('error', reject);
+        });
     }
 
     /**
      * Start health monitoring
      */
     startHealthMonitoring() {
-        this.healthCheckTimer = setInterval(async () => {
+        // Detach from the invocation that initialized the pool so health
+        // check logs don't carry its correlation ID
+        this.healthCheckTimer = Logger.withoutContext(() => setInterval(async () => {
             await this.performHealthCheck();
-        }, this.config.healthCheckInterval);
+        }, this.config.healthCheckInterval));
 
         logger.info('Health monitoring started', {
             interval: this.config.healthCheckInterval
@@ -323,6 +1155,11 @@ class BrowserPool extends EventEmitter {
         }
 
         await Promise.allSettled(checks);
+        await this.checkEndpoints();
+
+        // Sample memory and CPU, then recycle browsers over their limits
+        await this.sampleResources();
+        await this.recycleBrowsers();
 
         // Clean up unhealthy browsers
         await this.cleanupUnhealthyBrowsers();
@@ -346,9 +1183,16 @@ class BrowserPool extends EventEmitter {
                 return;
             }
 
-            // Check memory usage (simplified - in production use process metrics)
             const contexts = browser.instance.contexts();
             browser.contexts = contexts;
+
+            // A draining browser is going away; don't load it further. A
+            // remote browser is judged by its connection alone: a test
+            // context every tick would load the shared endpoint for nothing.
+            if (browser.retiring || browser.endpoint) {
+                browser.lastHealthCheck = Date.now();
+                return;
+            }
             
             // Check responsiveness
             const testContext = await browser.instance.newContext();
@@ -370,6 +1214,118 @@ class BrowserPool extends EventEmitter {
         }
     }
 
+    /**
+     * Sample RSS and CPU of every browser's process tree
+     */
+    async sampleResources() {
+        const browsers = Array.from(this.browsers.values()).filter(b => b.pid);
+        if (browsers.length === 0) {
+            return;
+        }
+
+        let samples;
+        try {
+            samples = await sampleProcessTrees(browsers.map(b => b.pid));
+        } catch (error) {
+            logger.warn('Browser resource sampling failed', { error: error.message });
+            return;
+        }
+        if (!samples) {
+            return;
+        }
+
+        for (const browser of browsers) {
+            const sample = samples.get(browser.pid);
+            if (!sample) {
+                continue;
+            }
+
+            browser.metrics.memoryUsage = sample.rssMB;
+            browser.metrics.cpuUsage = Math.round(cpuPercent(browser.lastSample, sample) ?? 0);
+            browser.lastSample = sample;
+
+            logger.debug('Browser resources sampled', {
+                browserId: browser.id,
+                memoryMB: sample.rssMB,
+                cpuPercent: browser.metrics.cpuUsage,
+                processes: sample.processCount
+            });
+        }
+    }
+
+    /**
+     * Why a browser should be recycled, or null
+     * CPU only counts once two samples have been taken.
+     */
+    retirementReason(browser) {
+        const { maxMemoryMB, maxCpuPercent, maxBrowserAge, maxPagesServed } = this.config;
+
+        if (browser.metrics.memoryUsage > maxMemoryMB) {
+            return 'memory';
+        }
+        if (browser.metrics.cpuUsage > maxCpuPercent) {
+            return 'cpu';
+        }
+        if (Date.now() - browser.createdAt > maxBrowserAge) {
+            return 'age';
+        }
+        if (browser.metrics.pagesCreated >= maxPagesServed) {
+            return 'pages';
+        }
+        return null;
+    }
+
+    /**
+     * Retire browsers over their limits, and close ones that have drained
+     * for longer than drainTimeout
+     */
+    async recycleBrowsers() {
+        for (const [id, browser] of Array.from(this.browsers.entries())) {
+            if (!browser.retiring) {
+                const reason = this.retirementReason(browser);
+                if (reason) {
+                    await this.retireBrowser(id, reason);
+                }
+            } else if (Date.now() - browser.retiring.since > this.config.drainTimeout) {
+                logger.warn('Browser drain timed out, closing remaining sessions', {
+                    browserId: id,
+                    activeSessions: browser.sessions.size
+                });
+                await this.removeBrowser(id);
+            }
+        }
+    }
+
+    /**
+     * Stop giving a browser new pages and close it once its sessions drain
+     */
+    async retireBrowser(browserId, reason) {
+        const browser = this.browsers.get(browserId);
+        if (!browser || browser.retiring) {
+            return;
+        }
+
+        browser.retiring = { reason, since: Date.now() };
+        this.metrics.retired++;
+
+        logger.info('Retiring browser', {
+            browserId,
+            reason,
+            activeSessions: browser.sessions.size,
+            memoryMB: browser.metrics.memoryUsage,
+            cpuPercent: browser.metrics.cpuUsage,
+            age: Date.now() - browser.createdAt,
+            pagesServed: browser.metrics.pagesCreated
+        });
+
+        logger.metric('BrowserRetired', 1, 'Count', { Reason: reason });
+        this.emit('browser-retired', { browserId, reason });
+
+        if (browser.sessions.size === 0) {
+            await this.removeBrowser(browserId);
+        }
+    }
+
     /**
      * Clean up unhealthy browsers
      */
@@ -386,10 +1342,12 @@ class BrowserPool extends EventEmitter {
             await this.removeBrowser(id);
         }
 
-        // Ensure minimum browsers
-        const minBrowsers = Math.min(2, this.config.maxBrowsers);
-        while (this.browsers.size < minBrowsers && !this.isShuttingDown) {
-            await this.createBrowser();
+        // Ensure minimum browsers (draining ones don't count, but still
+        // hold their place under maxBrowsers)
+        const serving = () => Array.from(this.browsers.values()).filter(b => !b.retiring).length + this.pendingLaunches;
+        while (serving() < this.config.minBrowsers && this.browsers.size + this.pendingLaunches < this.config.maxBrowsers && !this.isShuttingDown) {
+            this.pendingLaunches++;
+            await this.launchReserved();
         }
     }
 
@@ -422,13 +1380,25 @@ class BrowserPool extends EventEmitter {
         const browser = this.browsers.get(browserId);
         if (!browser) return;
 
+        // Out of the pool first, so releasing its sessions doesn't remove it
+        // again; slots still being opened fail on the closed browser
+        this.browsers.delete(browserId);
+        for (const sessionId of Array.from(browser.sessions)) {
+            if (this.sessions.has(sessionId)) {
+                await this.releasePage(sessionId);
+            }
+        }
+
         try {
             logger.info('Removing browser', { browserId });
             
-            // Close all contexts
-            const contexts = browser.instance.contexts();
-            for (const context of contexts) {
-                await context.close();
+            // Close all contexts; closing a connected browser only
+            // disconnects, dropping the contexts this pool created
+            if (!browser.endpoint) {
+                const contexts = browser.instance.contexts();
+                for (const context of contexts) {
+                    await context.close();
+                }
             }
 
             // Close browser
@@ -441,20 +1411,38 @@ class BrowserPool extends EventEmitter {
             });
         }
 
-        this.browsers.delete(browserId);
         this.metrics.destroyed++;
+
+        // Its place under maxBrowsers is free for a waiter to launch into
+        this.dispatch();
     }
 
     /**
      * Handle browser disconnect
      */
     handleBrowserDisconnect(browserId) {
+        // removeBrowser() takes a browser out of the pool before closing it,
+        // so planned closes (recycling, shutdown) aren't crashes
+        const browser = this.browsers.get(browserId);
+        if (!browser) {
+            return;
+        }
+
         logger.error('Browser disconnected', { browserId });
         this.metrics.crashed++;
-        
-        const browser = this.browsers.get(browserId);
-        if (browser) {
-            browser.isHealthy = false;
+        browser.isHealthy = false;
+
+        // A lost connection usually means the endpoint went away: fail over
+        // and replace the browser now rather than at the next health check
+        if (browser.endpoint && !this.isShuttingDown) {
+            this.markEndpointDown(browser.endpoint, new Error('Browser connection lost'));
+            this.metrics.reconnects++;
+            this.cleanupUnhealthyBrowsers().catch(error => {
+                logger.error('Failed to reconnect browser', {
+                    browserId,
+                    error: error.message
+                });
+            });
         }
     }
 
@@ -482,12 +1470,9 @@ class BrowserPool extends EventEmitter {
         });
         
         const session = this.sessions.get(sessionId);
-        if (session && session.browser) {
-            const browser = Array.from(this.browsers.values())
-                .find(b => b.instance === session.browser);
-            if (browser) {
-                browser.metrics.errors++;
-            }
+        const browser = session && this.browsers.get(session.browserId);
+        if (browser) {
+            browser.metrics.errors++;
         }
     }
 
@@ -495,15 +1480,80 @@ class BrowserPool extends EventEmitter {
      * Get pool metrics
      */
     getMetrics() {
+        const browsers = Array.from(this.browsers.values());
+
         return {
             ...this.metrics,
             activeBrowsers: this.browsers.size,
             activeSessions: this.sessions.size,
-            healthyBrowsers: Array.from(this.browsers.values())
-                .filter(b => b.isHealthy).length
+            healthyBrowsers: browsers.filter(b => b.isHealthy).length,
+            retiringBrowsers: browsers.filter(b => b.retiring).length,
+            queueLength: this.waiters.length,
+            pendingLaunches: this.pendingLaunches,
+            // Browsers that can take another page, including ones not yet launched
+            availableBrowsers: browsers.filter(b => this.isAvailable(b)).length +
+                Math.max(0, this.config.maxBrowsers - this.browsers.size),
+            maxBrowserMemoryMB: Math.max(0, ...browsers.map(b => b.metrics.memoryUsage)),
+            healthyEndpoints: this.endpoints.filter(endpoint => endpoint.healthy).length
+        };
+    }
+
+    /**
+     * Pool metrics, per-browser resources and the page timeouts in use
+     */
+    getStatus() {
+        return {
+            metrics: this.getMetrics(),
+            networkMode: this.config.networkMode,
+            endpoints: this.endpoints.map(endpoint => ({
+                name: endpoint.name,
+                protocol: endpoint.protocol,
+                healthy: endpoint.healthy,
+                failures: endpoint.failures,
+                lastError: endpoint.lastError,
+                browsers: Array.from(this.browsers.values()).filter(b => b.endpoint === endpoint).length
+            })),
+            browsers: Array.from(this.browsers.values()).map(browser => ({
+                id: browser.id,
+                pid: browser.pid,
+                endpoint: browser.endpoint?.name || null,
+                healthy: browser.isHealthy,
+                retiring: browser.retiring?.reason || null,
+                age: Date.now() - browser.createdAt,
+                activeSessions: browser.sessions.size,
+                pagesServed: browser.metrics.pagesCreated,
+                memoryMB: browser.metrics.memoryUsage,
+                cpuPercent: browser.metrics.cpuUsage
+            })),
+            timeouts: this.latency
+                ? this.latency.getStatus(this.defaultTimeouts)
+                : Object.fromEntries(Object.entries(this.defaultTimeouts).map(([operation, timeout]) => [operation, { timeout }]))
         };
     }
 
+    /**
+     * Record pool metrics for the monitoring alarms
+     * Counts cover activity since the previous publish; the rest are the
+     * pool's current state.
+     */
+    publishMetrics() {
+        const metrics = this.getMetrics();
+        const delta = this.metricDeltas.next(this.metrics);
+        const crashRate = delta.totalRequests > 0
+            ? (delta.crashed / delta.totalRequests) * 100
+            : 0;
+
+        logger.metric('AvailableBrowsers', metrics.availableBrowsers);
+        logger.metric('BrowserCrashes', delta.crashed);
+        logger.metric('BrowserCrashRate', crashRate, 'Percent');
+        logger.metric('BrowserMemoryUsage', metrics.maxBrowserMemoryMB, 'Megabytes');
+        if (this.endpoints.length > 0) {
+            logger.metric('HealthyBrowserEndpoints', metrics.healthyEndpoints);
+        }
+        logger.metric('BrowsersRetired', delta.retired);
+        logger.metric('BrowserRequestsBlocked', delta.requestsBlocked);
+    }
+
     /**
      * Shutdown the browser pool
      */
@@ -514,6 +1564,12 @@ class BrowserPool extends EventEmitter {
         // Stop health monitoring
         if (this.healthCheckTimer) {
             clearInterval(this.healthCheckTimer);
+            this.healthCheckTimer = null;
+        }
+
+        // Nobody waiting gets a browser now
+        for (const waiter of Array.from(this.waiters)) {
+            waiter.reject(new Error('Browser pool is shutting down'));
         }
 
         // Release all sessions
@@ -528,8 +1584,13 @@ class BrowserPool extends EventEmitter {
             await this.removeBrowser(browserId);
         }
 
+        // The next acquire() starts the pool again
+        this.initialized = null;
+        this.isShuttingDown = false;
+
         logger.info('Browser pool shutdown complete', this.metrics);
     }
 }
 
+export { Priority };
 export default BrowserPool;
\ No newline at end of file
@@ -5,7 +5,12 @@
  */
 
 import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { hostname } from 'os';
 import Logger from './logger.mjs';
+import { createCircuitStateStore } from './circuitStateStore.mjs';
+import { defaultRegistry } from './circuitBreakerRegistry.mjs';
+import LatencyTracker from './latencyTracker.mjs';
 
 const logger = new Logger('CircuitBreaker');
 
@@ -15,6 +20,47 @@ const State = {
     HALF_OPEN: 'HALF_OPEN'
 };
 
+/**
+ * Raised when a call is turned away because the circuit is open
+ */
+class CircuitOpenError extends Error {
+    constructor(name, nextAttempt) {
+        super(`Circuit breaker is OPEN for ${name}`);
+        this.name = 'CircuitOpenError';
+        this.breaker = name;
+        this.nextAttempt = nextAttempt;
+    }
+}
+
+/**
+ * Raised when a call runs past the breaker's timeout; the call's AbortSignal
+ * is aborted with it
+ */
+class TimeoutError extends Error {
+    constructor(name, timeout) {
+        super(`Timeout after ${timeout}ms`);
+        this.name = 'TimeoutError';
+        this.breaker = name;
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Raised when the bulkhead turns a call away, either because the wait
+ * queue is full or because the call waited longer than queueTimeout
+ */
+class BulkheadRejectedError extends Error {
+    constructor(name, reason, details = {}) {
+        super(reason === 'queue_timeout'
+            ? `Bulkhead queue timeout for ${name} after ${details.queueTimeout}ms`
+            : `Bulkhead full for ${name}`);
+        this.name = 'BulkheadRejectedError';
+        this.breaker = name;
+        this.reason = reason;
+        this.details = details;
+    }
+}
+
 class CircuitBreaker extends EventEmitter {
     constructor(name, options = {}) {
         super();
@@ -23,24 +69,63 @@ class CircuitBreaker extends EventEmitter {
         this.config = {
             threshold: options.threshold || 5,           // Number of failures before opening
             timeout: options.timeout || 60000,           // Timeout for requests (ms)
-            resetTimeout: options.resetTimeout || 30000, // Time before attempting reset (ms)
+            resetTimeout: options.resetTimeout || options.sleepWindow || 30000, // Time in OPEN before probing (ms)
             volumeThreshold: options.volumeThreshold || 10, // Minimum requests before opening
             errorThresholdPercentage: options.errorThresholdPercentage || 50,
             rollingWindowSize: options.rollingWindowSize || 10000, // 10 seconds
-            sleepWindow: options.sleepWindow || 5000,    // Time to wait in open state
+            halfOpenMaxTrials: options.halfOpenMaxTrials || 1, // Trial calls allowed at once in HALF_OPEN
+            successThreshold: options.successThreshold || 1, // Consecutive trial successes needed to close
+            maxConcurrent: options.maxConcurrent || null, // Bulkhead: concurrent executions (null = unlimited)
+            maxQueue: options.maxQueue ?? 10,            // Bulkhead: calls allowed to wait for a slot
+            queueTimeout: options.queueTimeout || 30000, // Bulkhead: longest wait for a slot (ms)
             ...options
         };
 
+        // Errors that say nothing about the service's health (bad input,
+        // business rule failures) pass through without counting as failures
+        this.isFailure = options.isFailure || (() => true);
+
+        // Adaptive timeouts: `adaptiveTimeout: true` or LatencyTracker options
+        // derive each operation's timeout from its observed latency, with
+        // `timeout` as the default until enough calls have been seen
+        this.latency = options.adaptiveTimeout
+            ? new LatencyTracker({
+                minTimeout: Math.round(this.config.timeout / 10),
+                maxTimeout: this.config.timeout * 2,
+                ...(typeof options.adaptiveTimeout === 'object' && options.adaptiveTimeout)
+            })
+            : null;
+
+        // Optional state shared across containers (see circuitStateStore.mjs)
+        this.stateStore = options.stateStore !== undefined ? options.stateStore : createCircuitStateStore();
+        this.instanceId = `${hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`;
+        this.stateSyncInterval = options.stateSyncInterval ?? 1000;
+        this.probeLease = options.probeLease || this.config.timeout * this.config.successThreshold;
+        this.lastStateSync = 0;
+        this.stateChangedAt = 0;
+        this.pendingStateWrite = Promise.resolve();
+        // Registration heartbeat, so the admin service sees idle breakers
+        this.registrationInterval = options.registrationInterval ?? 3600000; // 1 hour
+        this.lastRegistered = 0;
+
         this.state = State.CLOSED;
         this.failures = 0;
         this.successes = 0;
         this.lastFailureTime = null;
         this.nextAttempt = null;
+        this.forced = null; // { reason } while an operator holds the circuit open
+        this.halfOpenTrials = 0;      // Trial calls in flight
+        this.halfOpenSuccesses = 0;   // Consecutive trial successes
+        this.halfOpenEpoch = 0;       // Bumped on every entry to HALF_OPEN
         this.requestCount = 0;
         
         // Rolling window for error percentage calculation
         this.requestWindow = [];
         this.windowStartTime = Date.now();
+
+        // Bulkhead: executions in flight and callers waiting for a slot
+        this.activeExecutions = 0;
+        this.waitQueue = [];
         
         // Metrics
         this.metrics = {
@@ -49,84 +134,409 @@ class CircuitBreaker extends EventEmitter {
             failedRequests: 0,
             rejectedRequests: 0,
             timeouts: 0,
+            bulkheadRejections: 0,
+            queueTimeouts: 0,
+            ignoredErrors: 0,
             stateChanges: []
         };
+
+        // Make the breaker visible to status/admin tooling
+        this.registry = options.registry !== undefined ? options.registry : defaultRegistry;
+        if (this.registry) {
+            this.registry.register(this);
+        }
+        this.publishRegistration();
     }
 
     /**
      * Execute a function with circuit breaker protection
+     * `fn` receives `{ signal }`, aborted when the call times out or when the
+     * caller's `options.signal` aborts; it should stop its work when it fires
+     * `options.operation` names the call for adaptive timeouts
      */
-    async execute(fn, fallback = null) {
+    async execute(fn, fallback = null, options = {}) {
+        const { signal = null, operation = 'default' } = options;
         this.metrics.totalRequests++;
+
+        signal?.throwIfAborted();
+
+        if (this.stateStore) {
+            await this.syncState();
+        }
         
         // Check if circuit is open
         if (this.state === State.OPEN) {
-            if (Date.now() >= this.nextAttempt) {
+            if (Date.now() >= this.nextAttempt && await this.acquireProbe()) {
                 this.setState(State.HALF_OPEN);
             } else {
-                this.metrics.rejectedRequests++;
+                return await this.rejectOpen(fallback);
+            }
+        }
+
+        // Wait for a bulkhead slot; a rejection is load shedding, not a
+        // failure of the service, so it never counts towards opening
+        try {
+            await this.acquireSlot();
+        } catch (error) {
+            if (fallback) {
+                logger.warn('Bulkhead rejected call, using fallback', {
+                    name: this.name,
+                    reason: error.reason
+                });
+                return await this.executeFallback(fallback, error);
+            }
+            throw error;
+        }
+
+        let trialEpoch = null;
+        try {
+            // The circuit may have opened while this call was queued
+            if (this.state === State.OPEN) {
+                return await this.rejectOpen(fallback);
+            }
+
+            // HALF_OPEN only lets a limited number of trial calls through
+            if (this.state === State.HALF_OPEN) {
+                if (this.halfOpenTrials >= this.config.halfOpenMaxTrials) {
+                    return await this.rejectOpen(fallback);
+                }
+                this.halfOpenTrials++;
+                trialEpoch = this.halfOpenEpoch;
+            }
+
+            try {
+                // Execute with timeout
+                const result = await this.executeWithTimeout(fn, signal, operation);
+                this.onSuccess();
+                await this.pendingStateWrite;
+                return result;
+                
+            } catch (error) {
+                // Cancelled by the caller: says nothing about the service
+                if (signal?.aborted) {
+                    throw error;
+                }
+
+                if (this.isFailure(error)) {
+                    this.onFailure(error);
+                } else {
+                    this.onIgnoredError(error);
+                }
+                await this.pendingStateWrite;
                 
                 if (fallback) {
-                    logger.warn('Circuit breaker open, using fallback', {
+                    logger.warn('Execution failed, using fallback', {
                         name: this.name,
-                        nextAttempt: new Date(this.nextAttempt).toISOString()
+                        error: error.message
                     });
-                    return await this.executeFallback(fallback);
+                    return await this.executeFallback(fallback, error);
                 }
                 
-                throw new Error(`Circuit breaker is OPEN for ${this.name}`);
+                throw error;
             }
+        } finally {
+            // Trials from an earlier HALF_OPEN period no longer hold a slot
+            if (trialEpoch !== null && trialEpoch === this.halfOpenEpoch) {
+                this.halfOpenTrials--;
+            }
+            this.releaseSlot();
+        }
+    }
+
+    /**
+     * Turn a call away while the circuit is open
+     */
+    async rejectOpen(fallback) {
+        this.metrics.rejectedRequests++;
+        const error = new CircuitOpenError(this.name, this.nextAttempt);
+        
+        if (fallback) {
+            logger.warn('Circuit breaker open, using fallback', {
+                name: this.name,
+                nextAttempt: new Date(this.nextAttempt).toISOString()
+            });
+            return await this.executeFallback(fallback, error);
+        }
+        
+        throw error;
+    }
+
+    /**
+     * Take a bulkhead slot, queueing (FIFO) while all slots are busy
+     * Rejects with BulkheadRejectedError when the queue is full or the wait
+     * exceeds queueTimeout
+     */
+    acquireSlot() {
+        const { maxConcurrent, maxQueue, queueTimeout } = this.config;
+
+        if (!maxConcurrent || this.activeExecutions < maxConcurrent) {
+            this.activeExecutions++;
+            return Promise.resolve();
+        }
+
+        if (this.waitQueue.length >= maxQueue) {
+            this.metrics.bulkheadRejections++;
+            this.recordBulkheadRejection('queue_full');
+            return Promise.reject(new BulkheadRejectedError(this.name, 'queue_full', {
+                active: this.activeExecutions,
+                queued: this.waitQueue.length
+            }));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, enqueuedAt: Date.now() };
+            waiter.timer = setTimeout(() => {
+                this.waitQueue.splice(this.waitQueue.indexOf(waiter), 1);
+                this.metrics.queueTimeouts++;
+                this.recordBulkheadRejection('queue_timeout');
+                reject(new BulkheadRejectedError(this.name, 'queue_timeout', { queueTimeout }));
+            }, queueTimeout);
+
+            this.waitQueue.push(waiter);
+        });
+    }
+
+    /**
+     * Free a bulkhead slot, handing it straight to the next queued caller
+     */
+    releaseSlot() {
+        const next = this.waitQueue.shift();
+        if (next) {
+            clearTimeout(next.timer);
+            logger.debug('Bulkhead slot handed to queued call', {
+                name: this.name,
+                waitMs: Date.now() - next.enqueuedAt,
+                queued: this.waitQueue.length
+            });
+            next.resolve();
+        } else {
+            this.activeExecutions--;
         }
+    }
+
+    recordBulkheadRejection(reason) {
+        logger.warn('Bulkhead rejected call', {
+            name: this.name,
+            reason,
+            active: this.activeExecutions,
+            queued: this.waitQueue.length,
+            maxConcurrent: this.config.maxConcurrent,
+            maxQueue: this.config.maxQueue
+        });
 
+        logger.metric('BulkheadRejected', 1, 'Count', {
+            CircuitBreaker: this.name
+        });
+    }
+
+    /**
+     * Pull the shared state into this container
+     * Reads are rate-limited by stateSyncInterval; if the store is unreachable
+     * the breaker keeps working on local state
+     */
+    async syncState() {
+        const now = Date.now();
+        if (now - this.lastStateSync < this.stateSyncInterval) {
+            return;
+        }
+        this.lastStateSync = now;
+
+        if (now - this.lastRegistered >= this.registrationInterval) {
+            this.publishRegistration();
+        }
+
+        let remote;
         try {
-            // Execute with timeout
-            const result = await this.executeWithTimeout(fn);
-            this.onSuccess();
-            return result;
-            
+            remote = await this.stateStore.getState(this.name);
         } catch (error) {
-            this.onFailure(error);
-            
-            if (fallback) {
-                logger.warn('Execution failed, using fallback', {
+            logger.warn('Circuit state store unavailable, using local state', {
+                name: this.name,
+                error: error.message
+            });
+            return;
+        }
+
+        if (!remote) {
+            return;
+        }
+
+        if (remote.state === State.OPEN || (remote.state === State.HALF_OPEN && remote.probeOwner !== this.instanceId)) {
+            // Another container opened the circuit or is probing it: stay out
+            // until the open period (or the probe lease) ends
+            const nextAttempt = remote.state === State.OPEN ? remote.nextAttempt : remote.probeExpiresAt;
+            if (this.state !== State.OPEN || this.nextAttempt !== nextAttempt) {
+                this.setState(State.OPEN, {
+                    nextAttempt,
+                    shared: true,
+                    forced: remote.forced,
+                    reason: remote.reason
+                });
+            }
+        } else if (remote.state === State.CLOSED && this.state !== State.CLOSED && remote.updatedAt > this.stateChangedAt) {
+            // Another container's probe succeeded
+            this.setState(State.CLOSED, { shared: true });
+        }
+    }
+
+    /**
+     * Claim the HALF_OPEN probe so only one container tests the service
+     */
+    async acquireProbe() {
+        if (!this.stateStore) {
+            return true;
+        }
+
+        try {
+            const acquired = await this.stateStore.tryAcquireProbe(this.name, this.instanceId, this.probeLease);
+            if (!acquired) {
+                // Someone else is probing; pick up their state on the next call
+                this.lastStateSync = 0;
+            }
+            return acquired;
+        } catch (error) {
+            logger.warn('Circuit state store unavailable, probing locally', {
+                name: this.name,
+                error: error.message
+            });
+            return true;
+        }
+    }
+
+    /**
+     * Push a local transition to the shared store
+     * Writes are serialized and never throw into the caller
+     */
+    publishState(newState, oldState, options = {}) {
+        if (!this.stateStore) {
+            return;
+        }
+
+        const write = () => {
+            if (newState === State.OPEN && options.forced) {
+                return this.stateStore.forceOpen(this.name, this.nextAttempt, this.instanceId, options.reason);
+            }
+            if (newState === State.OPEN) {
+                return this.stateStore.markOpen(this.name, this.nextAttempt, this.instanceId);
+            }
+            if (newState === State.CLOSED) {
+                // A probe result only counts while this container holds the
+                // probe; an operator close always wins
+                const probeOwner = oldState === State.HALF_OPEN && !options.forced ? this.instanceId : null;
+                return this.stateStore.markClosed(this.name, this.instanceId, probeOwner);
+            }
+            // HALF_OPEN was written when the probe was acquired
+            return null;
+        };
+
+        this.pendingStateWrite = this.pendingStateWrite
+            .then(write)
+            .catch(error => {
+                logger.warn('Failed to share circuit state', {
                     name: this.name,
+                    state: newState,
                     error: error.message
                 });
-                return await this.executeFallback(fallback);
-            }
-            
-            throw error;
+            });
+    }
+
+    /**
+     * Register this breaker in the shared store: name, config and the state
+     * this container last saw. Written after any pending state write.
+     */
+    publishRegistration() {
+        if (!this.stateStore) {
+            return;
         }
+        this.lastRegistered = Date.now();
+
+        const registration = {
+            config: {
+                threshold: this.config.threshold,
+                timeout: this.config.timeout,
+                resetTimeout: this.config.resetTimeout,
+                volumeThreshold: this.config.volumeThreshold,
+                errorThresholdPercentage: this.config.errorThresholdPercentage,
+                halfOpenMaxTrials: this.config.halfOpenMaxTrials,
+                successThreshold: this.config.successThreshold,
+                maxConcurrent: this.config.maxConcurrent,
+                maxQueue: this.config.maxQueue
+            },
+            lastState: this.state,
+            instanceId: this.instanceId
+        };
+
+        this.pendingStateWrite = this.pendingStateWrite
+            .then(() => this.stateStore.register(this.name, registration))
+            .catch(error => {
+                logger.warn('Failed to register circuit breaker', {
+                    name: this.name,
+                    error: error.message
+                });
+            });
     }
 
     /**
      * Execute function with timeout
+     * On timeout the signal handed to `fn` is aborted so pages, fetches and
+     * SDK calls it started are cancelled rather than left running
      */
-    async executeWithTimeout(fn) {
-        return new Promise(async (resolve, reject) => {
-            const timer = setTimeout(() => {
-                this.metrics.timeouts++;
-                reject(new Error(`Timeout after ${this.config.timeout}ms`));
-            }, this.config.timeout);
+    async executeWithTimeout(fn, parentSignal = null, operation = 'default') {
+        const timeout = this.getTimeout(operation);
+        const startTime = Date.now();
+        const controller = new AbortController();
+        const onParentAbort = () => controller.abort(parentSignal.reason);
+        parentSignal?.addEventListener('abort', onParentAbort, { once: true });
 
-            try {
-                const result = await fn();
-                clearTimeout(timer);
-                resolve(result);
-            } catch (error) {
-                clearTimeout(timer);
-                reject(error);
-            }
-        });
+        try {
+            return await new Promise(async (resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this.metrics.timeouts++;
+                    this.latency?.record(operation, timeout);
+                    const error = new TimeoutError(this.name, timeout);
+                    controller.abort(error);
+                    reject(error);
+                }, timeout);
+
+                controller.signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(controller.signal.reason);
+                }, { once: true });
+
+                try {
+                    const result = await fn({ signal: controller.signal });
+                    clearTimeout(timer);
+                    if (!controller.signal.aborted) {
+                        this.latency?.record(operation, Date.now() - startTime);
+                    }
+                    resolve(result);
+                } catch (error) {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            });
+        } finally {
+            parentSignal?.removeEventListener('abort', onParentAbort);
+        }
+    }
+
+    /**
+     * Timeout for an operation: adaptive when enabled, otherwise `timeout`
+     */
+    getTimeout(operation = 'default') {
+        return this.latency
+            ? this.latency.timeoutFor(operation, this.config.timeout)
+            : this.config.timeout;
     }
 
     /**
      * Execute fallback function
+     * A function fallback receives the error that triggered it (e.g. a
+     * ResultCache fallback rethrows it when nothing is cached)
      */
-    async executeFallback(fallback) {
+    async executeFallback(fallback, cause = null) {
         try {
             if (typeof fallback === 'function') {
-                return await fallback();
+                return await fallback(cause);
             }
             return fallback;
         } catch (error) {
@@ -142,18 +552,42 @@ class CircuitBreaker extends EventEmitter {
      * Handle successful execution
      */
     onSuccess() {
+        this.metrics.successfulRequests++;
+        this.recordHealthy();
+    }
+
+    /**
+     * Handle an error that isFailure() rejected: the service answered, so
+     * it counts towards health like a success
+     */
+    onIgnoredError(error) {
+        this.metrics.ignoredErrors++;
+
+        logger.debug('Circuit breaker ignored error', {
+            name: this.name,
+            error: error.message
+        });
+
+        this.recordHealthy();
+    }
+
+    recordHealthy() {
         this.failures = 0;
         this.successes++;
-        this.metrics.successfulRequests++;
         this.recordRequest(true);
 
         if (this.state === State.HALF_OPEN) {
-            // Successfully tested, close the circuit
-            this.setState(State.CLOSED);
-            logger.info('Circuit breaker recovered', {
-                name: this.name,
-                successes: this.successes
-            });
+            this.halfOpenSuccesses++;
+
+            // Close once enough trial calls in a row have succeeded
+            if (this.halfOpenSuccesses >= this.config.successThreshold) {
+                this.setState(State.CLOSED);
+                logger.info('Circuit breaker recovered', {
+                    name: this.name,
+                    successes: this.successes,
+                    trialSuccesses: this.halfOpenSuccesses
+                });
+            }
         }
     }
 
@@ -239,15 +673,24 @@ class CircuitBreaker extends EventEmitter {
 
     /**
      * Set circuit breaker state
+     * `shared` marks a transition adopted from the state store, which is not
+     * written back; `nextAttempt` overrides the end of the open period;
+     * `forced` marks an operator action
      */
-    setState(newState) {
+    setState(newState, options = {}) {
         const oldState = this.state;
         this.state = newState;
+        this.stateChangedAt = Date.now();
+        this.forced = newState === State.OPEN && options.forced
+            ? { reason: options.reason || null }
+            : null;
 
         logger.info('Circuit breaker state change', {
             name: this.name,
             from: oldState,
-            to: newState
+            to: newState,
+            source: options.shared ? 'shared' : 'local',
+            ...(options.forced && { forced: true, reason: options.reason })
         });
 
         this.metrics.stateChanges.push({
@@ -256,9 +699,13 @@ class CircuitBreaker extends EventEmitter {
             timestamp: new Date().toISOString()
         });
 
+        logger.metric('CircuitBreakerOpen', newState === State.OPEN ? 1 : 0, 'Count', {
+            CircuitBreaker: this.name
+        });
+
         // Set next attempt time when opening
         if (newState === State.OPEN) {
-            this.nextAttempt = Date.now() + this.config.sleepWindow;
+            this.nextAttempt = options.nextAttempt ?? Date.now() + this.config.resetTimeout;
             this.emit('open', {
                 name: this.name,
                 failures: this.failures,
@@ -267,11 +714,15 @@ class CircuitBreaker extends EventEmitter {
         } else if (newState === State.CLOSED) {
             this.failures = 0;
             this.nextAttempt = null;
+            this.halfOpenSuccesses = 0;
             this.emit('close', {
                 name: this.name,
                 successes: this.successes
             });
         } else if (newState === State.HALF_OPEN) {
+            this.halfOpenEpoch++;
+            this.halfOpenTrials = 0;
+            this.halfOpenSuccesses = 0;
             this.emit('half-open', {
                 name: this.name
             });
@@ -282,22 +733,44 @@ class CircuitBreaker extends EventEmitter {
             from: oldState,
             to: newState
         });
+
+        if (!options.shared) {
+            this.publishState(newState, oldState, options);
+        }
+        this.publishRegistration();
     }
 
     /**
      * Force circuit to open
+     * `until` (Date, ISO string or epoch ms) or `duration` (ms) sets how long
+     * it stays open; otherwise it reopens for probing after resetTimeout.
+     * Resolves once the state has been shared.
      */
-    open() {
-        this.setState(State.OPEN);
+    open(options = {}) {
+        let nextAttempt;
+        if (options.until !== undefined) {
+            nextAttempt = new Date(options.until).getTime();
+        } else if (options.duration !== undefined) {
+            nextAttempt = Date.now() + options.duration;
+        }
+
+        this.setState(State.OPEN, {
+            nextAttempt,
+            forced: true,
+            reason: options.reason
+        });
+        return this.pendingStateWrite;
     }
 
     /**
      * Force circuit to close
+     * Resolves once the state has been shared
      */
     close() {
-        this.setState(State.CLOSED);
+        this.setState(State.CLOSED, { forced: true });
         this.failures = 0;
         this.nextAttempt = null;
+        return this.pendingStateWrite;
     }
 
     /**
@@ -311,8 +784,13 @@ class CircuitBreaker extends EventEmitter {
         this.nextAttempt = null;
         this.requestWindow = [];
         this.windowStartTime = Date.now();
+        this.stateChangedAt = Date.now();
+        this.forced = null;
+        this.publishState(State.CLOSED, null);
+        this.publishRegistration();
         
         logger.info('Circuit breaker reset', { name: this.name });
+        return this.pendingStateWrite;
     }
 
     /**
@@ -326,6 +804,23 @@ class CircuitBreaker extends EventEmitter {
             successes: this.successes,
             lastFailureTime: this.lastFailureTime,
             nextAttempt: this.nextAttempt,
+            forced: this.forced,
+            stateStore: this.stateStore ? this.stateStore.name : null,
+            halfOpen: {
+                activeTrials: this.halfOpenTrials,
+                successes: this.halfOpenSuccesses,
+                maxTrials: this.config.halfOpenMaxTrials,
+                successThreshold: this.config.successThreshold
+            },
+            timeouts: this.latency
+                ? this.latency.getStatus(this.config.timeout)
+                : { default: { timeout: this.config.timeout } },
+            bulkhead: {
+                active: this.activeExecutions,
+                queued: this.waitQueue.length,
+                maxConcurrent: this.config.maxConcurrent,
+                maxQueue: this.config.maxQueue
+            },
             metrics: this.getMetrics()
         };
     }
@@ -376,4 +871,5 @@ class CircuitBreaker extends EventEmitter {
     }
 }
 
+export { CircuitOpenError, BulkheadRejectedError, TimeoutError };
 export default CircuitBreaker;
\ No newline at end of file
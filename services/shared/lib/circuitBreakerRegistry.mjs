@@ -0,0 +1,67 @@
+/**
+ * Circuit Breaker Registry
+ * Tracks every CircuitBreaker created in the process so they can be listed
+ * and controlled by name (see services/circuit-breaker-admin)
+ */
+
+import Logger from './logger.mjs';
+
+const logger = new Logger('CircuitBreakerRegistry');
+
+class CircuitBreakerRegistry {
+    constructor() {
+        this.breakers = new Map();
+    }
+
+    /**
+     * Add a breaker; a later breaker with the same name replaces the earlier one
+     */
+    register(breaker) {
+        const existing = this.breakers.get(breaker.name);
+        if (existing && existing !== breaker) {
+            logger.warn('Replacing circuit breaker with duplicate name', { name: breaker.name });
+        }
+
+        this.breakers.set(breaker.name, breaker);
+        return breaker;
+    }
+
+    unregister(name) {
+        return this.breakers.delete(name);
+    }
+
+    get(name) {
+        return this.breakers.get(name) || null;
+    }
+
+    has(name) {
+        return this.breakers.has(name);
+    }
+
+    names() {
+        return Array.from(this.breakers.keys());
+    }
+
+    list() {
+        return Array.from(this.breakers.values());
+    }
+
+    /**
+     * Status of every registered breaker, keyed by name
+     */
+    getStatus() {
+        return Object.fromEntries(
+            this.list().map(breaker => [breaker.name, breaker.getStatus()])
+        );
+    }
+
+    clear() {
+        this.breakers.clear();
+    }
+}
+
+// Registry used by breakers that aren't given one explicitly
+const defaultRegistry = new CircuitBreakerRegistry();
+
+export { CircuitBreakerRegistry, defaultRegistry };
+export default CircuitBreakerRegistry;
@@ -0,0 +1,441 @@
+/**
+ * Circuit Breaker State Stores
+ * Share breaker state between Lambda containers so an OPEN circuit seen by
+ * one container is honored by all of them and only one container at a time
+ * probes a HALF_OPEN circuit
+ *
+ * A missing item means CLOSED. Items expire via TTL once a breaker goes quiet.
+ *
+ * Breakers also register themselves (name, config, last state) when they
+ * start and whenever their state changes, so the admin service can list
+ * breakers that never tripped and refuse names nobody uses.
+ */
+
+import {
+    DynamoDBClient,
+    GetItemCommand,
+    PutItemCommand,
+    UpdateItemCommand,
+    ScanCommand
+} from '@aws-sdk/client-dynamodb';
+
+const State = {
+    CLOSED: 'CLOSED',
+    OPEN: 'OPEN',
+    HALF_OPEN: 'HALF_OPEN'
+};
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const KEY_PREFIX = 'circuit#';
+const REGISTRATION_PREFIX = 'breaker#';
+
+/**
+ * In-memory store with the same conditional semantics as the DynamoDB store
+ * Used by tests and local runs; instances can be shared between breakers to
+ * simulate several containers
+ */
+class MemoryCircuitStateStore {
+    constructor() {
+        this.name = 'memory';
+        this.items = new Map();
+        this.registrations = new Map();
+    }
+
+    async register(name, registration) {
+        this.registrations.set(name, { ...registration, lastSeen: Date.now() });
+    }
+
+    async getRegistration(name) {
+        const registration = this.registrations.get(name);
+        return registration ? { ...registration } : null;
+    }
+
+    async listRegistrations() {
+        return Array.from(this.registrations.entries()).map(([name, registration]) => ({ name, ...registration }));
+    }
+
+    async getState(name) {
+        const item = this.items.get(name);
+        return item ? { ...item } : null;
+    }
+
+    async listStates() {
+        return Array.from(this.items.entries()).map(([name, item]) => ({ name, ...item }));
+    }
+
+    async markOpen(name, nextAttempt, owner) {
+        const item = this.items.get(name);
+        if (item && item.state === State.OPEN) {
+            return false;
+        }
+
+        this.items.set(name, {
+            state: State.OPEN,
+            nextAttempt,
+            probeOwner: null,
+            probeExpiresAt: null,
+            updatedAt: Date.now(),
+            updatedBy: owner
+        });
+        return true;
+    }
+
+    async forceOpen(name, until, owner, reason = null) {
+        this.items.set(name, {
+            state: State.OPEN,
+            nextAttempt: until,
+            probeOwner: null,
+            probeExpiresAt: null,
+            forced: true,
+            reason,
+            updatedAt: Date.now(),
+            updatedBy: owner
+        });
+        return true;
+    }
+
+    async tryAcquireProbe(name, owner, leaseMs) {
+        const now = Date.now();
+        const item = this.items.get(name);
+
+        const available = !item ||
+            item.state === State.CLOSED ||
+            (item.state === State.OPEN && item.nextAttempt <= now) ||
+            (item.state === State.HALF_OPEN && item.probeExpiresAt < now);
+        if (!available) {
+            return false;
+        }
+
+        this.items.set(name, {
+            state: State.HALF_OPEN,
+            nextAttempt: item?.nextAttempt ?? null,
+            probeOwner: owner,
+            probeExpiresAt: now + leaseMs,
+            updatedAt: now,
+            updatedBy: owner
+        });
+        return true;
+    }
+
+    async markClosed(name, owner = null, probeOwner = null) {
+        const item = this.items.get(name);
+        if (probeOwner && item?.probeOwner !== probeOwner) {
+            return false;
+        }
+
+        this.items.set(name, {
+            state: State.CLOSED,
+            nextAttempt: null,
+            probeOwner: null,
+            probeExpiresAt: null,
+            updatedAt: Date.now(),
+            updatedBy: owner
+        });
+        return true;
+    }
+
+    clear() {
+        this.items.clear();
+        this.registrations.clear();
+    }
+}
+
+/**
+ * DynamoDB store: one item per breaker name, `pk = circuit#<name>`
+ * Every transition is a conditional update so concurrent containers can't
+ * overwrite each other's decisions
+ */
+class DynamoDBCircuitStateStore {
+    constructor(options = {}) {
+        if (!options.tableName) {
+            throw new Error('DynamoDBCircuitStateStore requires a tableName');
+        }
+
+        this.name = 'dynamodb';
+        this.tableName = options.tableName;
+        this.client = options.client || new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
+        this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+    }
+
+    key(name) {
+        return { pk: { S: `${KEY_PREFIX}${name}` } };
+    }
+
+    /**
+     * Expiry for an item; it must outlive the time it describes
+     */
+    ttl(until = Date.now()) {
+        return { N: String(Math.floor(Math.max(until, Date.now()) / 1000) + this.ttlSeconds) };
+    }
+
+    async getState(name) {
+        const response = await this.client.send(new GetItemCommand({
+            TableName: this.tableName,
+            Key: this.key(name),
+            ConsistentRead: true
+        }));
+
+        return response.Item ? this.fromItem(response.Item) : null;
+    }
+
+    /**
+     * All breaker states in the table
+     */
+    async listStates() {
+        const states = [];
+        let exclusiveStartKey;
+
+        do {
+            const response = await this.client.send(new ScanCommand({
+                TableName: this.tableName,
+                FilterExpression: 'begins_with(pk, :prefix)',
+                ExpressionAttributeValues: {
+                    ':prefix': { S: KEY_PREFIX }
+                },
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+
+            for (const item of response.Items || []) {
+                states.push({
+                    name: item.pk.S.slice(KEY_PREFIX.length),
+                    ...this.fromItem(item)
+                });
+            }
+            exclusiveStartKey = response.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+
+        return states;
+    }
+
+    fromItem(item) {
+        return {
+            state: item.state?.S || State.CLOSED,
+            nextAttempt: item.nextAttempt ? Number(item.nextAttempt.N) : null,
+            probeOwner: item.probeOwner?.S || null,
+            probeExpiresAt: item.probeExpiresAt ? Number(item.probeExpiresAt.N) : null,
+            forced: item.forced?.BOOL || false,
+            reason: item.reason?.S || null,
+            updatedAt: item.updatedAt ? Number(item.updatedAt.N) : null,
+            updatedBy: item.updatedBy?.S || null
+        };
+    }
+
+    /**
+     * Record that a breaker runs somewhere: `pk = breaker#<name>`, refreshed
+     * by every container running it
+     */
+    async register(name, { config, lastState, instanceId }) {
+        await this.client.send(new PutItemCommand({
+            TableName: this.tableName,
+            Item: {
+                pk: { S: `${REGISTRATION_PREFIX}${name}` },
+                config: { S: JSON.stringify(config) },
+                lastState: { S: lastState },
+                instanceId: { S: instanceId },
+                lastSeen: { N: String(Date.now()) },
+                ttl: this.ttl()
+            }
+        }));
+    }
+
+    async getRegistration(name) {
+        const response = await this.client.send(new GetItemCommand({
+            TableName: this.tableName,
+            Key: { pk: { S: `${REGISTRATION_PREFIX}${name}` } }
+        }));
+
+        return response.Item ? this.fromRegistration(response.Item) : null;
+    }
+
+    /**
+     * Every breaker registered in the table
+     */
+    async listRegistrations() {
+        const registrations = [];
+        let exclusiveStartKey;
+
+        do {
+            const response = await this.client.send(new ScanCommand({
+                TableName: this.tableName,
+                FilterExpression: 'begins_with(pk, :prefix)',
+                ExpressionAttributeValues: {
+                    ':prefix': { S: REGISTRATION_PREFIX }
+                },
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+
+            for (const item of response.Items || []) {
+                registrations.push({
+                    name: item.pk.S.slice(REGISTRATION_PREFIX.length),
+                    ...this.fromRegistration(item)
+                });
+            }
+            exclusiveStartKey = response.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+
+        return registrations;
+    }
+
+    fromRegistration(item) {
+        return {
+            config: item.config ? JSON.parse(item.config.S) : null,
+            lastState: item.lastState?.S || State.CLOSED,
+            instanceId: item.instanceId?.S || null,
+            lastSeen: item.lastSeen ? Number(item.lastSeen.N) : null
+        };
+    }
+
+    /**
+     * Open the circuit unless another container already has
+     */
+    async markOpen(name, nextAttempt, owner) {
+        return this.conditionalUpdate({
+            TableName: this.tableName,
+            Key: this.key(name),
+            UpdateExpression: 'SET #state = :open, nextAttempt = :nextAttempt, updatedAt = :now, updatedBy = :owner, #ttl = :ttl REMOVE probeOwner, probeExpiresAt',
+            ConditionExpression: 'attribute_not_exists(pk) OR #state <> :open',
+            ExpressionAttributeNames: {
+                '#state': 'state',
+                '#ttl': 'ttl'
+            },
+            ExpressionAttributeValues: {
+                ':open': { S: State.OPEN },
+                ':nextAttempt': { N: String(nextAttempt) },
+                ':now': { N: String(Date.now()) },
+                ':owner': { S: owner },
+                ':ttl': this.ttl()
+            }
+        });
+    }
+
+    /**
+     * Open the circuit until a given time, overriding whatever state it is in
+     * (operator action, e.g. a known maintenance window)
+     */
+    async forceOpen(name, until, owner, reason = null) {
+        const values = {
+            ':open': { S: State.OPEN },
+            ':nextAttempt': { N: String(until) },
+            ':forced': { BOOL: true },
+            ':now': { N: String(Date.now()) },
+            ':owner': { S: owner },
+            ':ttl': this.ttl(until)
+        };
+        let update = 'SET #state = :open, nextAttempt = :nextAttempt, forced = :forced, updatedAt = :now, updatedBy = :owner, #ttl = :ttl';
+        let remove = ' REMOVE probeOwner, probeExpiresAt';
+
+        if (reason) {
+            update += ', reason = :reason';
+            values[':reason'] = { S: reason };
+        } else {
+            remove += ', reason';
+        }
+
+        await this.client.send(new UpdateItemCommand({
+            TableName: this.tableName,
+            Key: this.key(name),
+            UpdateExpression: update + remove,
+            ExpressionAttributeNames: {
+                '#state': 'state',
+                '#ttl': 'ttl'
+            },
+            ExpressionAttributeValues: values
+        }));
+        return true;
+    }
+
+    /**
+     * Take the single HALF_OPEN probe slot
+     * Succeeds once the open period is over, or when the previous prober's
+     * lease has expired (e.g. its container was frozen mid-probe)
+     */
+    async tryAcquireProbe(name, owner, leaseMs) {
+        const now = Date.now();
+
+        return this.conditionalUpdate({
+            TableName: this.tableName,
+            Key: this.key(name),
+            UpdateExpression: 'SET #state = :halfOpen, probeOwner = :owner, probeExpiresAt = :expiresAt, updatedAt = :now, updatedBy = :owner, #ttl = :ttl REMOVE forced, reason',
+            ConditionExpression: 'attribute_not_exists(pk) OR #state = :closed OR ' +
+                '(#state = :open AND nextAttempt <= :now) OR ' +
+                '(#state = :halfOpen AND probeExpiresAt < :now)',
+            ExpressionAttributeNames: {
+                '#state': 'state',
+                '#ttl': 'ttl'
+            },
+            ExpressionAttributeValues: {
+                ':closed': { S: State.CLOSED },
+                ':open': { S: State.OPEN },
+                ':halfOpen': { S: State.HALF_OPEN },
+                ':owner': { S: owner },
+                ':expiresAt': { N: String(now + leaseMs) },
+                ':now': { N: String(now) },
+                ':ttl': this.ttl()
+            }
+        });
+    }
+
+    /**
+     * Close the circuit; with `probeOwner` only the container holding the
+     * probe slot may close it
+     */
+    async markClosed(name, owner = null, probeOwner = null) {
+        const params = {
+            TableName: this.tableName,
+            Key: this.key(name),
+            UpdateExpression: 'SET #state = :closed, updatedAt = :now, updatedBy = :owner, #ttl = :ttl REMOVE nextAttempt, probeOwner, probeExpiresAt, forced, reason',
+            ExpressionAttributeNames: {
+                '#state': 'state',
+                '#ttl': 'ttl'
+            },
+            ExpressionAttributeValues: {
+                ':closed': { S: State.CLOSED },
+                ':now': { N: String(Date.now()) },
+                ':owner': { S: owner || 'unknown' },
+                ':ttl': this.ttl()
+            }
+        };
+
+        if (probeOwner) {
+            params.ConditionExpression = 'probeOwner = :probeOwner';
+            params.ExpressionAttributeValues[':probeOwner'] = { S: probeOwner };
+        }
+
+        return this.conditionalUpdate(params);
+    }
+
+    /**
+     * Run an update; a failed condition returns false instead of throwing
+     */
+    async conditionalUpdate(params) {
+        try {
+            await this.client.send(new UpdateItemCommand(params));
+            return true;
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+let sharedStore;
+
+/**
+ * Shared store for the process, or null when COORDINATION_TABLE is not set
+ * (breakers then keep state in memory only)
+ */
+const createCircuitStateStore = () => {
+    if (sharedStore === undefined) {
+        const tableName = process.env.COORDINATION_TABLE;
+        sharedStore = tableName ? new DynamoDBCircuitStateStore({ tableName }) : null;
+    }
+    return sharedStore;
+};
+
+export {
+    MemoryCircuitStateStore,
+    DynamoDBCircuitStateStore,
+    createCircuitStateStore
+};
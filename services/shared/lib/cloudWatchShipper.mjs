@@ -0,0 +1,285 @@
+/**
+ * CloudWatch Logs Shipper
+ * Buffers log events and ships them with PutLogEvents: creates the log group
+ * and stream on demand, splits batches to AWS limits, retries with backoff
+ * and counts entries it had to drop
+ */
+
+import {
+    CreateLogGroupCommand,
+    CreateLogStreamCommand,
+    PutLogEventsCommand
+} from '@aws-sdk/client-cloudwatch-logs';
+
+// PutLogEvents limits
+const MAX_BATCH_BYTES = 1048576;
+const MAX_BATCH_EVENTS = 10000;
+const EVENT_OVERHEAD_BYTES = 26;
+const MAX_EVENT_BYTES = 262144 - EVENT_OVERHEAD_BYTES;
+const MAX_BATCH_SPAN_MS = 24 * 60 * 60 * 1000;
+
+const RETRYABLE_ERRORS = new Set([
+    'ThrottlingException',
+    'ServiceUnavailableException',
+    'InternalFailure',
+    'RequestTimeout',
+    'TimeoutError',
+    'NetworkingError',
+    'ECONNRESET',
+    'ETIMEDOUT'
+]);
+
+const byteLength = (message) => Buffer.byteLength(message, 'utf8');
+
+/**
+ * Truncate a message to the per-event size limit
+ */
+const truncateMessage = (message) => {
+    if (byteLength(message) <= MAX_EVENT_BYTES) {
+        return message;
+    }
+
+    const suffix = '...[truncated]';
+    const buffer = Buffer.from(message, 'utf8').subarray(0, MAX_EVENT_BYTES - byteLength(suffix));
+    // Drop a trailing partial multi-byte character
+    return buffer.toString('utf8').replace(/\uFFFD$/, '') + suffix;
+};
+
+/**
+ * Split chronologically sorted events into PutLogEvents-sized batches
+ */
+const createBatches = (events) => {
+    const batches = [];
+    let batch = [];
+    let batchBytes = 0;
+
+    for (const event of events) {
+        const size = byteLength(event.message) + EVENT_OVERHEAD_BYTES;
+        const spanExceeded = batch.length > 0 && event.timestamp - batch[0].timestamp > MAX_BATCH_SPAN_MS;
+
+        if (batch.length >= MAX_BATCH_EVENTS || batchBytes + size > MAX_BATCH_BYTES || spanExceeded) {
+            batches.push(batch);
+            batch = [];
+            batchBytes = 0;
+        }
+
+        batch.push(event);
+        batchBytes += size;
+    }
+
+    if (batch.length > 0) {
+        batches.push(batch);
+    }
+
+    return batches;
+};
+
+class CloudWatchLogShipper {
+    constructor(options = {}) {
+        if (!options.client) {
+            throw new Error('CloudWatchLogShipper requires a client');
+        }
+
+        this.client = options.client;
+        this.logGroup = options.logGroup;
+        this.logStream = options.logStream;
+        this.maxBufferSize = options.maxBufferSize || 10000;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.baseRetryDelay = options.baseRetryDelay || 200;
+        this.maxRetryDelay = options.maxRetryDelay || 5000;
+        this.onDropped = options.onDropped || null;
+
+        this.buffer = [];
+        this.streamReady = false;
+        this.flushChain = Promise.resolve();
+        this.stats = {
+            shipped: 0,
+            dropped: 0,
+            batches: 0,
+            failedBatches: 0,
+            retries: 0
+        };
+    }
+
+    /**
+     * Queue an event; when the buffer is full the oldest event is dropped
+     */
+    enqueue(timestamp, message) {
+        if (this.buffer.length >= this.maxBufferSize) {
+            this.buffer.shift();
+            this.recordDropped(1, 'buffer_full');
+        }
+
+        this.buffer.push({
+            timestamp,
+            message: truncateMessage(message)
+        });
+    }
+
+    get size() {
+        return this.buffer.length;
+    }
+
+    /**
+     * Ship everything buffered so far
+     * Drains run one at a time; awaiting flush() waits for every earlier drain
+     */
+    flush() {
+        const run = this.flushChain.then(() => this.drain());
+        this.flushChain = run.catch(() => {});
+        return run;
+    }
+
+    async drain() {
+        while (this.buffer.length > 0) {
+            const events = this.buffer.splice(0).sort((a, b) => a.timestamp - b.timestamp);
+            const batches = createBatches(events);
+
+            for (let i = 0; i < batches.length; i++) {
+                try {
+                    await this.sendBatch(batches[i]);
+                } catch (error) {
+                    this.stats.failedBatches++;
+                    console.error('Failed to send logs to CloudWatch:', error.message);
+
+                    // Put unsent events back, oldest first, within buffer capacity
+                    const unsent = batches.slice(i).flat();
+                    this.requeue(unsent);
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Return unsent events to the front of the buffer
+     */
+    requeue(events) {
+        const capacity = this.maxBufferSize - this.buffer.length;
+        if (events.length > capacity) {
+            this.recordDropped(events.length - capacity, 'retry_overflow');
+            events = events.slice(events.length - Math.max(capacity, 0));
+        }
+        this.buffer.unshift(...events);
+    }
+
+    /**
+     * Send one batch with retries
+     */
+    async sendBatch(batch) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await this.ensureStream();
+
+                const response = await this.client.send(new PutLogEventsCommand({
+                    logGroupName: this.logGroup,
+                    logStreamName: this.logStream,
+                    logEvents: batch
+                }));
+
+                this.stats.batches++;
+                this.stats.shipped += batch.length;
+                this.recordRejected(response?.rejectedLogEventsInfo, batch.length);
+                return;
+
+            } catch (error) {
+                if (error.name === 'ResourceNotFoundException') {
+                    // Group or stream was deleted (or never existed) - recreate
+                    this.streamReady = false;
+                } else if (!this.isRetryable(error)) {
+                    throw error;
+                }
+
+                if (attempt >= this.maxRetries) {
+                    throw error;
+                }
+
+                this.stats.retries++;
+                await this.backoff(attempt);
+            }
+        }
+    }
+
+    /**
+     * Create the log group and stream if they don't exist
+     */
+    async ensureStream() {
+        if (this.streamReady) {
+            return;
+        }
+
+        await this.createIgnoringExisting(new CreateLogGroupCommand({
+            logGroupName: this.logGroup
+        }));
+
+        await this.createIgnoringExisting(new CreateLogStreamCommand({
+            logGroupName: this.logGroup,
+            logStreamName: this.logStream
+        }));
+
+        this.streamReady = true;
+    }
+
+    async createIgnoringExisting(command) {
+        try {
+            await this.client.send(command);
+        } catch (error) {
+            if (error.name !== 'ResourceAlreadyExistsException') {
+                throw error;
+            }
+        }
+    }
+
+    isRetryable(error) {
+        return RETRYABLE_ERRORS.has(error.name) ||
+            RETRYABLE_ERRORS.has(error.code) ||
+            Boolean(error.$retryable) ||
+            (error.$metadata?.httpStatusCode || 0) >= 500;
+    }
+
+    async backoff(attempt) {
+        const delay = Math.min(this.baseRetryDelay * Math.pow(2, attempt), this.maxRetryDelay);
+        // Full jitter
+        await new Promise(resolve => setTimeout(resolve, Math.random() * delay));
+    }
+
+    /**
+     * Count events CloudWatch accepted the batch but refused to store
+     */
+    recordRejected(info, batchLength) {
+        if (!info) return;
+
+        let rejected = 0;
+        if (info.tooNewLogEventStartIndex !== undefined) {
+            rejected += batchLength - info.tooNewLogEventStartIndex;
+        }
+        // Too-old and expired ranges both start at the head of the batch
+        const oldEndIndex = Math.max(
+            info.tooOldLogEventEndIndex ?? -1,
+            info.expiredLogEventEndIndex ?? -1
+        );
+        rejected += oldEndIndex + 1;
+
+        if (rejected > 0) {
+            this.stats.shipped -= Math.min(rejected, batchLength);
+            this.recordDropped(Math.min(rejected, batchLength), 'rejected');
+        }
+    }
+
+    recordDropped(count, reason) {
+        this.stats.dropped += count;
+        if (this.onDropped) {
+            this.onDropped(count, reason);
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            buffered: this.buffer.length
+        };
+    }
+}
+
+export { CloudWatchLogShipper, createBatches, truncateMessage, MAX_BATCH_BYTES, MAX_BATCH_EVENTS };
+export default CloudWatchLogShipper;
@@ -0,0 +1,100 @@
+/**
+ * Latency Tracker
+ * Keeps a rolling window of latencies per operation and derives timeouts
+ * from them: a high percentile times a multiplier, clamped to bounds
+ *
+ * Until an operation has `minSamples` samples its configured default
+ * timeout is used. Calls that time out are recorded at the timeout, so a
+ * slow service pushes its timeout up instead of failing at a fixed limit.
+ */
+
+class LatencyTracker {
+    constructor(options = {}) {
+        this.config = {
+            windowSize: options.windowSize || 100, // Samples kept per operation
+            minSamples: options.minSamples || 20,  // Samples needed before adapting
+            percentile: options.percentile || 99,  // Percentile the timeout is based on
+            multiplier: options.multiplier || 1.5, // Headroom over that percentile
+            margin: options.margin ?? 1000,        // Fixed headroom (ms)
+            minTimeout: options.minTimeout || 1000,
+            maxTimeout: options.maxTimeout || 300000
+        };
+
+        this.samples = new Map(); // operation -> { values, next }
+    }
+
+    /**
+     * Record a latency sample in ms
+     */
+    record(operation, latency) {
+        let window = this.samples.get(operation);
+        if (!window) {
+            window = { values: [], next: 0 };
+            this.samples.set(operation, window);
+        }
+
+        // Ring buffer: overwrite the oldest sample once the window is full
+        if (window.values.length < this.config.windowSize) {
+            window.values.push(latency);
+        } else {
+            window.values[window.next] = latency;
+        }
+        window.next = (window.next + 1) % this.config.windowSize;
+    }
+
+    /**
+     * Latency at percentile `p` (0-100), or null without samples
+     */
+    percentile(operation, p) {
+        const values = this.samples.get(operation)?.values;
+        if (!values || values.length === 0) {
+            return null;
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+        return sorted[Math.max(0, index)];
+    }
+
+    sampleCount(operation) {
+        return this.samples.get(operation)?.values.length || 0;
+    }
+
+    /**
+     * Timeout for an operation; `defaultTimeout` until enough samples exist
+     */
+    timeoutFor(operation, defaultTimeout) {
+        if (this.sampleCount(operation) < this.config.minSamples) {
+            return defaultTimeout;
+        }
+
+        const { percentile, multiplier, margin, minTimeout, maxTimeout } = this.config;
+        const derived = this.percentile(operation, percentile) * multiplier + margin;
+        return Math.round(Math.min(maxTimeout, Math.max(minTimeout, derived)));
+    }
+
+    /**
+     * Percentiles and current timeout per operation
+     * `defaultTimeouts` is one default for every operation or a map of them
+     */
+    getStatus(defaultTimeouts = null) {
+        const defaultFor = operation => (defaultTimeouts !== null && typeof defaultTimeouts === 'object'
+            ? defaultTimeouts[operation] ?? null
+            : defaultTimeouts);
+
+        return Object.fromEntries(Array.from(this.samples.keys()).map(operation => [operation, {
+            samples: this.sampleCount(operation),
+            p50: this.percentile(operation, 50),
+            p95: this.percentile(operation, 95),
+            p99: this.percentile(operation, 99),
+            timeout: this.timeoutFor(operation, defaultFor(operation))
+        }]));
+    }
+
+    clear() {
+        this.samples.clear();
+    }
+}
+
+export { LatencyTracker };
+export default LatencyTracker;
@@ -0,0 +1,137 @@
+/**
+ * Local CloudWatch Logs Stand-in
+ * In-memory replacement for CloudWatchLogsClient that enforces the same
+ * group/stream existence and PutLogEvents batch rules, so log shipping can be
+ * exercised offline. Failures can be injected to test retries.
+ */
+
+import {
+    CreateLogGroupCommand,
+    CreateLogStreamCommand,
+    PutLogEventsCommand,
+    GetLogEventsCommand
+} from '@aws-sdk/client-cloudwatch-logs';
+
+const MAX_BATCH_BYTES = 1048576;
+const MAX_BATCH_EVENTS = 10000;
+const EVENT_OVERHEAD_BYTES = 26;
+
+const awsError = (name, message, httpStatusCode = 400) => {
+    const error = new Error(message);
+    error.name = name;
+    error.$metadata = { httpStatusCode };
+    return error;
+};
+
+class LocalCloudWatchLogsClient {
+    constructor() {
+        this.groups = new Map();
+        this.injectedFailures = [];
+        this.calls = [];
+    }
+
+    /**
+     * Fail the next `count` PutLogEvents calls with the given error name
+     */
+    failNext(count = 1, errorName = 'ServiceUnavailableException', httpStatusCode = 503) {
+        for (let i = 0; i < count; i++) {
+            this.injectedFailures.push({ errorName, httpStatusCode });
+        }
+    }
+
+    /**
+     * Delete a log group, e.g. to simulate retention cleanup
+     */
+    deleteLogGroup(logGroupName) {
+        this.groups.delete(logGroupName);
+    }
+
+    /**
+     * Get stored events for a stream
+     */
+    getEvents(logGroupName, logStreamName) {
+        return this.groups.get(logGroupName)?.get(logStreamName) || [];
+    }
+
+    async send(command) {
+        const input = command.input;
+        this.calls.push({ command: command.constructor.name, input });
+
+        if (command instanceof CreateLogGroupCommand) {
+            if (this.groups.has(input.logGroupName)) {
+                throw awsError('ResourceAlreadyExistsException', 'The specified log group already exists');
+            }
+            this.groups.set(input.logGroupName, new Map());
+            return {};
+        }
+
+        if (command instanceof CreateLogStreamCommand) {
+            const group = this.requireGroup(input.logGroupName);
+            if (group.has(input.logStreamName)) {
+                throw awsError('ResourceAlreadyExistsException', 'The specified log stream already exists');
+            }
+            group.set(input.logStreamName, []);
+            return {};
+        }
+
+        if (command instanceof PutLogEventsCommand) {
+            return this.putLogEvents(input);
+        }
+
+        if (command instanceof GetLogEventsCommand) {
+            const stream = this.requireStream(input.logGroupName, input.logStreamName);
+            return { events: stream.slice(0, input.limit || stream.length) };
+        }
+
+        throw awsError('UnsupportedOperation', `${command.constructor.name} is not supported locally`);
+    }
+
+    putLogEvents(input) {
+        const failure = this.injectedFailures.shift();
+        if (failure) {
+            throw awsError(failure.errorName, 'Injected failure', failure.httpStatusCode);
+        }
+
+        const stream = this.requireStream(input.logGroupName, input.logStreamName);
+        const events = input.logEvents || [];
+
+        if (events.length > MAX_BATCH_EVENTS) {
+            throw awsError('InvalidParameterException', `Batch has ${events.length} events, limit is ${MAX_BATCH_EVENTS}`);
+        }
+
+        const bytes = events.reduce(
+            (total, event) => total + Buffer.byteLength(event.message, 'utf8') + EVENT_OVERHEAD_BYTES,
+            0
+        );
+        if (bytes > MAX_BATCH_BYTES) {
+            throw awsError('InvalidParameterException', `Batch is ${bytes} bytes, limit is ${MAX_BATCH_BYTES}`);
+        }
+
+        for (let i = 1; i < events.length; i++) {
+            if (events[i].timestamp < events[i - 1].timestamp) {
+                throw awsError('InvalidParameterException', 'Log events in a single PutLogEvents request must be in chronological order');
+            }
+        }
+
+        stream.push(...events.map(event => ({ ...event, ingestionTime: Date.now() })));
+        return { nextSequenceToken: String(stream.length) };
+    }
+
+    requireGroup(logGroupName) {
+        const group = this.groups.get(logGroupName);
+        if (!group) {
+            throw awsError('ResourceNotFoundException', 'The specified log group does not exist');
+        }
+        return group;
+    }
+
+    requireStream(logGroupName, logStreamName) {
+        const stream = this.requireGroup(logGroupName).get(logStreamName);
+        if (!stream) {
+            throw awsError('ResourceNotFoundException', 'The specified log stream does not exist');
+        }
+        return stream;
+    }
+}
+
+export default LocalCloudWatchLogsClient;
@@ -0,0 +1,251 @@
+/**
+ * Log Level Control
+ * Resolves the effective log level from validated sources and raises it to
+ * DEBUG/TRACE for a single correlation ID or file number without a redeploy
+ *
+ * The SSM parameter holds either a plain level ("DEBUG") or JSON:
+ *   {
+ *     "level": "INFO",
+ *     "debugSampleRate": 0.01,
+ *     "overrides": [
+ *       { "fileNumber": "2024-0117", "level": "TRACE", "expiresAt": "2024-06-01T00:00:00Z" },
+ *       { "correlationId": "3f1c...", "level": "DEBUG" }
+ *     ]
+ *   }
+ */
+
+import { SSMClient, GetParameterCommand } from '@aws-sdk/client-ssm';
+import crypto from 'crypto';
+import { LEVELS } from './logTransports.mjs';
+
+const DEFAULT_LEVEL = 'INFO';
+const OVERRIDE_FIELDS = ['correlationId', 'fileNumber'];
+
+/**
+ * Normalize a level name; returns null for anything that isn't a known level
+ */
+const normalizeLevel = (value) => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const level = value.trim().toUpperCase();
+    return level in LEVELS ? level : null;
+};
+
+/**
+ * Report a configuration problem on stderr (never through the logger itself)
+ */
+const warn = (message, meta = {}) => {
+    console.warn(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'WARN',
+        message,
+        ...meta
+    }));
+};
+
+class LogLevelController {
+    constructor(options = {}) {
+        this.baseLevel = this.validate(options.level ?? process.env.LOG_LEVEL, 'LOG_LEVEL') || DEFAULT_LEVEL;
+
+        // The parameter is read in Lambda or when named explicitly
+        const inLambda = Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME);
+        this.parameterName = options.parameterName !== undefined
+            ? options.parameterName
+            : process.env.LOG_LEVEL_PARAM ||
+                (inLambda ? `/${process.env.PROJECT_NAME || 'scdor-rebuild'}/${process.env.ENVIRONMENT || 'dev'}/log_level` : null);
+        this.cacheTtl = options.cacheTtl ?? parseInt(process.env.LOG_LEVEL_CACHE_TTL || '60000');
+        this.client = options.client || null;
+
+        // Fraction of correlation IDs that log at DEBUG
+        this.sampleRate = options.sampleRate ?? (parseFloat(process.env.LOG_DEBUG_SAMPLE_RATE || '0') || 0);
+
+        this.remoteLevel = null;
+        this.remoteSampleRate = null;
+        this.overrides = new Map(); // "field:value" -> { level, expiresAt }
+        this.fetchedAt = 0;
+        this.pending = null;
+    }
+
+    /**
+     * Validate a level, warning when it is not recognized
+     */
+    validate(value, source) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        const level = normalizeLevel(value);
+        if (!level) {
+            warn('Ignoring invalid log level', { source, value: String(value), validLevels: Object.keys(LEVELS) });
+        }
+        return level;
+    }
+
+    /**
+     * Set the base level for every logger in the process
+     */
+    setLevel(level) {
+        const validated = this.validate(level, 'setLevel');
+        if (validated) {
+            this.baseLevel = validated;
+            this.remoteLevel = null;
+        }
+        return validated !== null;
+    }
+
+    /**
+     * Log at `level` whenever the context's correlationId/fileNumber matches
+     * `expiresAt` (epoch ms) ends the override automatically
+     */
+    setOverride(field, value, level, expiresAt = null) {
+        const validated = this.validate(level, `override ${field}`);
+        if (!OVERRIDE_FIELDS.includes(field) || !validated || !value) {
+            return false;
+        }
+
+        this.overrides.set(`${field}:${value}`, {
+            level: validated,
+            expiresAt
+        });
+        return true;
+    }
+
+    clearOverrides() {
+        this.overrides.clear();
+    }
+
+    /**
+     * Re-read the SSM parameter when the cached copy is older than the TTL
+     * Failures keep the last good configuration
+     */
+    async refresh({ force = false } = {}) {
+        if (!this.parameterName) {
+            return;
+        }
+        if (!force && Date.now() - this.fetchedAt < this.cacheTtl) {
+            return;
+        }
+        if (!this.pending) {
+            this.pending = this.load().finally(() => {
+                this.pending = null;
+            });
+        }
+        await this.pending;
+    }
+
+    async load() {
+        try {
+            if (!this.client) {
+                this.client = new SSMClient({ region: process.env.AWS_REGION || 'us-east-1' });
+            }
+
+            const response = await this.client.send(new GetParameterCommand({
+                Name: this.parameterName
+            }));
+            this.applyConfig(response.Parameter?.Value);
+
+        } catch (error) {
+            if (error.name !== 'ParameterNotFound') {
+                warn('Failed to load log level parameter', {
+                    parameterName: this.parameterName,
+                    error: error.message
+                });
+            }
+        } finally {
+            this.fetchedAt = Date.now();
+        }
+    }
+
+    /**
+     * Apply a parameter value (plain level or JSON document)
+     */
+    applyConfig(value) {
+        if (typeof value !== 'string' || value.trim() === '') {
+            return;
+        }
+
+        let config;
+        if (value.trim().startsWith('{')) {
+            try {
+                config = JSON.parse(value);
+            } catch (error) {
+                warn('Ignoring malformed log level parameter', { error: error.message });
+                return;
+            }
+        } else {
+            config = { level: value };
+        }
+
+        this.remoteLevel = this.validate(config.level, this.parameterName);
+        this.remoteSampleRate = typeof config.debugSampleRate === 'number' ? config.debugSampleRate : null;
+
+        this.overrides.clear();
+        for (const override of config.overrides || []) {
+            const field = OVERRIDE_FIELDS.find(name => override[name]);
+            const expiresAt = override.expiresAt ? Date.parse(override.expiresAt) : null;
+            if (field && !(expiresAt && expiresAt <= Date.now())) {
+                this.setOverride(field, override[field], override.level, expiresAt);
+            }
+        }
+    }
+
+    /**
+     * Effective numeric level for a context
+     * Overrides, sampling and a per-invocation logLevel only ever make
+     * logging more verbose than the base level
+     */
+    levelFor(context = {}) {
+        let level = LEVELS[this.remoteLevel || this.baseLevel];
+
+        const scoped = normalizeLevel(context.logLevel);
+        if (scoped) {
+            level = Math.max(level, LEVELS[scoped]);
+        }
+
+        for (const field of OVERRIDE_FIELDS) {
+            const override = context[field] && this.overrides.get(`${field}:${context[field]}`);
+            if (!override) continue;
+
+            if (override.expiresAt && override.expiresAt <= Date.now()) {
+                this.overrides.delete(`${field}:${context[field]}`);
+                continue;
+            }
+            level = Math.max(level, LEVELS[override.level]);
+        }
+
+        if (level < LEVELS.DEBUG && this.isSampled(context.correlationId)) {
+            level = LEVELS.DEBUG;
+        }
+
+        return level;
+    }
+
+    /**
+     * Deterministic per-correlation sampling, so every line of a sampled
+     * invocation is kept and the rest stay at the base level
+     */
+    isSampled(correlationId) {
+        const rate = this.remoteSampleRate ?? this.sampleRate;
+        if (!correlationId || !(rate > 0)) {
+            return false;
+        }
+
+        const bucket = crypto.createHash('sha1').update(String(correlationId)).digest().readUInt32BE(0);
+        return bucket / 0xffffffff < rate;
+    }
+
+    getStatus() {
+        return {
+            baseLevel: this.baseLevel,
+            remoteLevel: this.remoteLevel,
+            sampleRate: this.remoteSampleRate ?? this.sampleRate,
+            overrides: Array.from(this.overrides.entries()).map(([key, override]) => ({ key, ...override })),
+            parameterName: this.parameterName,
+            fetchedAt: this.fetchedAt ? new Date(this.fetchedAt).toISOString() : null
+        };
+    }
+}
+
+export { LogLevelController, normalizeLevel };
+export default LogLevelController;
@@ -0,0 +1,367 @@
+/**
+ * Log Transports
+ * Output targets for Logger entries. Each transport has its own level filter
+ * and formatter, and flushes/closes cleanly on shutdown.
+ */
+
+import { CloudWatchLogsClient } from '@aws-sdk/client-cloudwatch-logs';
+import { createWriteStream, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import CloudWatchLogShipper from './cloudWatchShipper.mjs';
+import LocalCloudWatchLogsClient from './localCloudWatchLogs.mjs';
+
+const LEVELS = {
+    ERROR: 0,
+    WARN: 1,
+    INFO: 2,
+    DEBUG: 3,
+    TRACE: 4
+};
+
+const COLORS = {
+    ERROR: '\x1b[31m', // Red
+    WARN: '\x1b[33m',  // Yellow
+    INFO: '\x1b[36m',  // Cyan
+    DEBUG: '\x1b[35m', // Magenta
+    TRACE: '\x1b[37m'  // White
+};
+
+const RESET = '\x1b[0m';
+
+/**
+ * Built-in formatters - a transport may also take any (entry) => string
+ */
+const formatters = {
+    json: entry => JSON.stringify(entry),
+
+    pretty: entry => {
+        const { timestamp, level, service, message, ...rest } = entry;
+        const color = COLORS[level] || RESET;
+        return `${color}[${level}]${RESET} ${timestamp} - ${service} - ${message} ${JSON.stringify(rest)}`;
+    }
+};
+
+const resolveFormatter = (formatter, fallback) => {
+    if (typeof formatter === 'function') {
+        return formatter;
+    }
+    return formatters[formatter || fallback] || formatters.json;
+};
+
+/**
+ * Base transport
+ */
+class LogTransport {
+    constructor(options = {}) {
+        this.name = options.name || 'transport';
+        this.level = options.level || null; // null accepts everything the logger emits
+        this.formatter = resolveFormatter(options.formatter, 'json');
+    }
+
+    /**
+     * Check whether an entry at this level passes the transport filter
+     */
+    accepts(level) {
+        return !this.level || LEVELS[level] <= LEVELS[this.level];
+    }
+
+    /**
+     * Format and write an entry if it passes the level filter
+     */
+    log(entry) {
+        if (!this.accepts(entry.level)) {
+            return;
+        }
+        this.write(entry, this.formatter(entry));
+    }
+
+    write(entry, formatted) {
+        throw new Error(`${this.name} transport does not implement write()`);
+    }
+
+    async flush() {}
+
+    async close() {
+        await this.flush();
+    }
+}
+
+/**
+ * Console output - colorized for local development, JSON in production
+ */
+class ConsoleTransport extends LogTransport {
+    constructor(options = {}) {
+        super({ name: 'console', ...options });
+        this.formatter = resolveFormatter(
+            options.formatter,
+            process.env.NODE_ENV === 'production' ? 'json' : 'pretty'
+        );
+    }
+
+    write(entry, formatted) {
+        if (entry.level === 'ERROR') {
+            console.error(formatted);
+        } else if (entry.level === 'WARN') {
+            console.warn(formatted);
+        } else {
+            console.log(formatted);
+        }
+    }
+}
+
+/**
+ * One JSON document per line on stdout - what Lambda ships to CloudWatch Logs
+ */
+class StdoutTransport extends LogTransport {
+    constructor(options = {}) {
+        super({ name: 'stdout', ...options });
+        this.stream = options.stream || process.stdout;
+    }
+
+    write(entry, formatted) {
+        this.stream.write(`${formatted}\n`);
+    }
+}
+
+/**
+ * Newline-delimited JSON file for local pipeline runs
+ */
+class FileTransport extends LogTransport {
+    constructor(options = {}) {
+        super({ name: 'file', ...options });
+
+        if (!options.path) {
+            throw new Error('File transport requires a path');
+        }
+
+        this.path = options.path;
+        mkdirSync(dirname(this.path), { recursive: true });
+        this.stream = createWriteStream(this.path, { flags: 'a' });
+        this.pendingWrites = 0;
+
+        this.stream.on('error', error => {
+            console.error('Log file transport error:', error.message);
+        });
+    }
+
+    write(entry, formatted) {
+        if (this.stream.writableEnded) {
+            return;
+        }
+
+        this.pendingWrites++;
+        this.stream.write(`${formatted}\n`, () => {
+            this.pendingWrites--;
+            if (this.pendingWrites === 0) {
+                this.stream.emit('flushed');
+            }
+        });
+    }
+
+    async flush() {
+        if (this.pendingWrites === 0) {
+            return;
+        }
+        await new Promise(resolve => this.stream.once('flushed', resolve));
+    }
+
+    async close() {
+        await this.flush();
+        if (!this.stream.writableEnded) {
+            await new Promise(resolve => this.stream.end(resolve));
+        }
+    }
+}
+
+/**
+ * In-memory ring buffer of the last N entries
+ * Used by unit tests and for attaching recent lines to failure reports
+ */
+class MemoryTransport extends LogTransport {
+    constructor(options = {}) {
+        super({ name: 'memory', ...options });
+        this.capacity = options.capacity || 500;
+        this.entries = [];
+    }
+
+    write(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.capacity) {
+            this.entries.shift();
+        }
+    }
+
+    /**
+     * Get the most recent entries, oldest first
+     */
+    tail(count = this.capacity) {
+        return this.entries.slice(-count);
+    }
+
+    /**
+     * Get the most recent entries formatted as lines
+     */
+    tailLines(count = this.capacity) {
+        return this.tail(count).map(entry => this.formatter(entry));
+    }
+
+    /**
+     * Find entries matching a level and/or message
+     */
+    find({ level, message } = {}) {
+        return this.entries.filter(entry =>
+            (!level || entry.level === level) &&
+            (!message || (message instanceof RegExp ? message.test(entry.message) : entry.message === message))
+        );
+    }
+
+    clear() {
+        this.entries = [];
+    }
+}
+
+/**
+ * Buffered shipping to CloudWatch Logs
+ * In Lambda there is no flush timer - a frozen container never fires it - so
+ * handlers must `await logger.flush()` before returning. Loggers writing to
+ * the same stream share one transport (see createTransports), so that flush
+ * also ships what CircuitBreaker, BrowserPool and the other libraries logged.
+ */
+class CloudWatchTransport extends LogTransport {
+    constructor(options = {}) {
+        super({ name: 'cloudwatch', ...options });
+
+        const client = options.client || (process.env.CLOUDWATCH_LOGS_LOCAL === 'true'
+            ? new LocalCloudWatchLogsClient()
+            : new CloudWatchLogsClient({ region: process.env.AWS_REGION || 'us-east-1' }));
+
+        this.shipper = new CloudWatchLogShipper({
+            client,
+            logGroup: options.logGroup,
+            logStream: options.logStream,
+            maxBufferSize: options.maxBufferSize,
+            maxRetries: options.maxRetries,
+            onDropped: (count, reason) => this.handleDropped(count, reason)
+        });
+        this.bufferSize = options.bufferSize || 100;
+        this.flushInterval = options.flushInterval || 5000;
+        this.onDropped = options.onDropped || null;
+
+        const inLambda = Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME);
+        if (!inLambda && this.flushInterval > 0) {
+            this.flushTimer = setInterval(() => {
+                if (this.shipper.size > 0) {
+                    this.flush();
+                }
+            }, this.flushInterval);
+            this.flushTimer.unref?.();
+        }
+    }
+
+    write(entry, formatted) {
+        this.shipper.enqueue(new Date(entry.timestamp).getTime(), formatted);
+
+        if (this.shipper.size >= this.bufferSize) {
+            this.flush();
+        }
+    }
+
+    async flush() {
+        await this.shipper.flush();
+    }
+
+    /**
+     * Report dropped entries on stderr (never back through CloudWatch)
+     */
+    handleDropped(count, reason) {
+        console.warn(JSON.stringify({
+            timestamp: new Date().toISOString(),
+            level: 'WARN',
+            message: 'CloudWatch log entries dropped',
+            dropped: count,
+            reason,
+            totalDropped: this.shipper.stats.dropped
+        }));
+
+        if (this.onDropped) {
+            this.onDropped(count, reason);
+        }
+    }
+
+    getStats() {
+        return this.shipper.getStats();
+    }
+
+    async close() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+        }
+        await this.flush();
+    }
+}
+
+// One CloudWatch transport per log group and stream in the process
+const sharedCloudWatchTransports = new Map();
+
+const getSharedCloudWatchTransport = (options) => {
+    const key = `${options.logGroup}:${options.logStream}`;
+    if (!sharedCloudWatchTransports.has(key)) {
+        sharedCloudWatchTransports.set(key, new CloudWatchTransport(options));
+    }
+    return sharedCloudWatchTransports.get(key);
+};
+
+/**
+ * Build the transports for an environment
+ * LOG_TRANSPORTS picks outputs explicitly (e.g. "stdout,cloudwatch" or
+ * "console,file"); otherwise Lambda gets JSON on stdout and everything else
+ * gets the console, plus CloudWatch/file when enabled.
+ */
+const createTransports = (options = {}) => {
+    const names = process.env.LOG_TRANSPORTS
+        ? process.env.LOG_TRANSPORTS.split(',').map(name => name.trim()).filter(Boolean)
+        : [process.env.AWS_LAMBDA_FUNCTION_NAME ? 'stdout' : 'console'];
+
+    if (!process.env.LOG_TRANSPORTS) {
+        if (options.enableCloudWatch) names.push('cloudwatch');
+        if (process.env.LOG_FILE) names.push('file');
+    }
+
+    return names.map(name => {
+        switch (name) {
+            case 'console':
+                return new ConsoleTransport();
+            case 'stdout':
+                return new StdoutTransport();
+            case 'file':
+                return new FileTransport({
+                    path: process.env.LOG_FILE || `logs/${options.service || 'app'}.ndjson`,
+                    level: process.env.LOG_FILE_LEVEL
+                });
+            case 'memory':
+                return new MemoryTransport();
+            case 'cloudwatch':
+                return getSharedCloudWatchTransport({
+                    logGroup: options.logGroup,
+                    logStream: options.logStream,
+                    bufferSize: options.bufferSize,
+                    flushInterval: options.flushInterval,
+                    onDropped: options.onDropped
+                });
+            default:
+                throw new Error(`Unknown log transport: ${name}`);
+        }
+    });
+};
+
+export {
+    LogTransport,
+    ConsoleTransport,
+    StdoutTransport,
+    FileTransport,
+    MemoryTransport,
+    CloudWatchTransport,
+    createTransports,
+    formatters,
+    LEVELS
+};
@@ -3,24 +3,71 @@
  * Provides consistent logging across all services with correlation tracking
  */
 
-import { CloudWatchLogsClient, PutLogEventsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { AsyncLocalStorage } from 'async_hooks';
 import { hostname } from 'os';
+import MetricsRecorder from './metrics.mjs';
+import Redactor from './redactor.mjs';
+import { Span } from './tracing.mjs';
+import LogLevelController from './logLevel.mjs';
+import { createTransports } from './logTransports.mjs';
+
+// Async-scoped log context shared by every Logger instance in the process, so
+// lines written by CircuitBreaker/BrowserPool carry the IDs of the invocation
+// that triggered them
+const contextStorage = new AsyncLocalStorage();
+
+// Context fields copied onto every log entry
+const CONTEXT_FIELDS = ['correlationId', 'processingId', 'fileNumber', 'sessionId'];
+
+// Process-wide metrics recorder so metrics from every Logger in an invocation
+// (handler, CircuitBreaker, BrowserPool) are emitted together
+let sharedMetricsRecorder = null;
+
+// Process-wide CloudWatch log stream; entries carry their service, and one
+// stream means one shared transport that any Logger's flush() empties
+const processLogStream = `${process.env.AWS_LAMBDA_FUNCTION_NAME || 'local'}-${hostname()}-${Date.now()}`;
+
+// Process-wide level control so a runtime level change or a per-correlation
+// override applies to every Logger (and child) at once
+let sharedLevelController = null;
+
+const getSharedLevelController = () => {
+    if (!sharedLevelController) {
+        sharedLevelController = new LogLevelController();
+    }
+    return sharedLevelController;
+};
 
-const cloudwatchLogs = new CloudWatchLogsClient({ 
-    region: process.env.AWS_REGION || 'us-east-1' 
-});
+const getSharedMetricsRecorder = () => {
+    if (!sharedMetricsRecorder) {
+        sharedMetricsRecorder = new MetricsRecorder();
+        process.on('beforeExit', () => sharedMetricsRecorder.flush());
+    }
+    return sharedMetricsRecorder;
+};
 
 class Logger {
     constructor(service, options = {}) {
         this.service = service;
         this.environment = process.env.ENVIRONMENT || 'dev';
         this.logGroup = options.logGroup || `/aws/lambda/${process.env.PROJECT_NAME || 'scdor-rebuild'}-${this.environment}`;
-        this.logStream = options.logStream || `${service}-${hostname()}-${Date.now()}`;
+        this.logStream = options.logStream || processLogStream;
         this.correlationId = null;
-        this.buffer = [];
-        this.bufferSize = options.bufferSize || 100;
-        this.flushInterval = options.flushInterval || 5000;
+        this.bindings = options.bindings || {};
         this.enableCloudWatch = options.enableCloudWatch !== false && process.env.ENABLE_CLOUDWATCH === 'true';
+        this.metricsRecorder = options.metricsRecorder || getSharedMetricsRecorder();
+        this.redactor = options.redactor || new Redactor(options.redaction);
+
+        // Output targets; children share this array with their parent
+        this.transports = options.transports || createTransports({
+            service,
+            enableCloudWatch: this.enableCloudWatch,
+            logGroup: this.logGroup,
+            logStream: this.logStream,
+            bufferSize: options.bufferSize,
+            flushInterval: options.flushInterval,
+            onDropped: count => this.metric('LogEntriesDropped', count)
+        });
         
         // Log levels
         this.levels = {
@@ -31,24 +78,99 @@ class Logger {
             TRACE: 4
         };
         
-        this.currentLevel = this.levels[process.env.LOG_LEVEL || 'INFO'];
-        
-        // Start buffer flush timer if CloudWatch is enabled
-        if (this.enableCloudWatch) {
-            this.startFlushTimer();
-        }
+        this.levelController = options.levelController || getSharedLevelController();
 
         // Ensure logs are flushed on process exit
         process.on('beforeExit', () => this.flush());
     }
 
+    /**
+     * Effective level for the current async scope
+     * Base level (LOG_LEVEL or the SSM parameter), raised by per-correlation
+     * or per-file overrides, debug sampling and a scoped `logLevel`
+     */
+    get currentLevel() {
+        const store = contextStorage.getStore() || {};
+        return this.levelController.levelFor({
+            correlationId: store.correlationId || this.correlationId,
+            fileNumber: store.fileNumber,
+            logLevel: store.logLevel
+        });
+    }
+
+    /**
+     * Change the base level at runtime; invalid levels are ignored
+     */
+    setLevel(level) {
+        return this.levelController.setLevel(level);
+    }
+
+    /**
+     * Re-read the log level parameter if the cached copy has expired
+     * Handlers call this at the start of each invocation
+     */
+    async refreshLevel() {
+        await this.levelController.refresh();
+    }
+
     /**
      * Set correlation ID for request tracking
+     * Inside a context scope this only affects the current scope
      */
     setCorrelationId(correlationId) {
+        const store = contextStorage.getStore();
+        if (store) {
+            store.correlationId = correlationId;
+            return;
+        }
+
         this.correlationId = correlationId;
     }
 
+    /**
+     * Run a function with additional log context (correlationId, processingId,
+     * fileNumber, sessionId, logLevel). Nested scopes inherit and override
+     * outer fields.
+     */
+    withContext(context, fn) {
+        return Logger.withContext(context, fn);
+    }
+
+    /**
+     * Get the log context of the current async scope
+     */
+    getContext() {
+        return Logger.getContext();
+    }
+
+    static withContext(context, fn) {
+        const parent = contextStorage.getStore() || {};
+        return contextStorage.run({ ...parent, ...context }, fn);
+    }
+
+    static getContext() {
+        return { ...(contextStorage.getStore() || {}) };
+    }
+
+    /**
+     * Get the span of the current async scope, if any
+     */
+    getActiveSpan() {
+        return Logger.getActiveSpan();
+    }
+
+    static getActiveSpan() {
+        return contextStorage.getStore()?.span || null;
+    }
+
+    /**
+     * Run a function outside any context scope (for timers and background
+     * work that must not inherit the invocation that started them)
+     */
+    static withoutContext(fn) {
+        return contextStorage.exit(fn);
+    }
+
     /**
      * Log error level message
      */
@@ -86,6 +208,7 @@ class Logger {
 
     /**
      * Core logging function
+     * Entry fields are layered: context < logger bindings < per-call meta
      */
     log(level, message, meta = {}) {
         if (this.levels[level] > this.currentLevel) {
@@ -97,157 +220,97 @@ class Logger {
             level,
             service: this.service,
             environment: this.environment,
-            correlationId: this.correlationId,
-            message,
-            ...this.sanitizeMeta(meta)
+            ...this.resolveContext(),
+            message: this.redactor.redactString(message),
+            // Errors are serialized to name/message/stack and scanned like any other value
+            ...this.sanitizeMeta({ ...this.bindings, ...meta })
         };
 
-        // Add error details if present
-        if (meta.error instanceof Error) {
-            logEntry.error = {
-                name: meta.error.name,
-                message: meta.error.message,
-                stack: meta.error.stack
-            };
-        }
-
-        // Console output
-        this.consoleLog(level, logEntry);
-
-        // Buffer for CloudWatch
-        if (this.enableCloudWatch) {
-            this.buffer.push(logEntry);
-            
-            if (this.buffer.length >= this.bufferSize) {
-                this.flush();
+        for (const transport of this.transports) {
+            try {
+                transport.log(logEntry);
+            } catch (error) {
+                // A broken transport must never break the caller
+                console.error(`Log transport ${transport.name} failed:`, error.message);
             }
         }
     }
 
     /**
-     * Console logging with color coding
+     * Resolve context fields for the current async scope
      */
-    consoleLog(level, logEntry) {
-        const colors = {
-            ERROR: '\x1b[31m', // Red
-            WARN: '\x1b[33m',  // Yellow
-            INFO: '\x1b[36m',  // Cyan
-            DEBUG: '\x1b[35m', // Magenta
-            TRACE: '\x1b[37m'  // White
+    resolveContext() {
+        const store = contextStorage.getStore() || {};
+        const context = {
+            correlationId: store.correlationId || this.correlationId
         };
-        
-        const reset = '\x1b[0m';
-        const color = colors[level] || reset;
-        
-        const output = process.env.NODE_ENV === 'production' 
-            ? JSON.stringify(logEntry)
-            : `${color}[${level}]${reset} ${logEntry.timestamp} - ${logEntry.service} - ${logEntry.message} ${JSON.stringify(this.sanitizeMeta(logEntry))}`;
-        
-        if (level === 'ERROR') {
-            console.error(output);
-        } else if (level === 'WARN') {
-            console.warn(output);
-        } else {
-            console.log(output);
+
+        for (const field of CONTEXT_FIELDS) {
+            if (store[field] !== undefined && context[field] === undefined) {
+                context[field] = store[field];
+            }
         }
+
+        if (store.span) {
+            context.traceId = store.span.traceId;
+            context.spanId = store.span.spanId;
+        }
+
+        return context;
     }
 
     /**
      * Sanitize metadata to remove sensitive information
+     * Redacts sensitive keys and PII found in string values
      */
     sanitizeMeta(meta) {
-        const sanitized = { ...meta };
-        const sensitiveKeys = [
-            'password', 'token', 'apiKey', 'secret', 
-            'authorization', 'cookie', 'ssn', 'taxId'
-        ];
-
-        const sanitizeObject = (obj) => {
-            if (typeof obj !== 'object' || obj === null) {
-                return obj;
-            }
-
-            const result = Array.isArray(obj) ? [] : {};
-            
-            for (const [key, value] of Object.entries(obj)) {
-                const lowerKey = key.toLowerCase();
-                
-                if (sensitiveKeys.some(sensitive => lowerKey.includes(sensitive))) {
-                    result[key] = '***REDACTED***';
-                } else if (typeof value === 'object' && value !== null) {
-                    result[key] = sanitizeObject(value);
-                } else {
-                    result[key] = value;
-                }
-            }
-            
-            return result;
-        };
+        return this.redactor.redact(meta);
+    }
 
-        return sanitizeObject(sanitized);
+    /**
+     * Add an output target
+     */
+    addTransport(transport) {
+        this.transports.push(transport);
+        return transport;
     }
 
     /**
-     * Start flush timer for CloudWatch
+     * Get a transport by name (e.g. 'memory')
      */
-    startFlushTimer() {
-        this.flushTimer = setInterval(() => {
-            if (this.buffer.length > 0) {
-                this.flush();
-            }
-        }, this.flushInterval);
+    getTransport(name) {
+        return this.transports.find(transport => transport.name === name) || null;
     }
 
     /**
-     * Flush logs to CloudWatch
+     * Flush metrics and every transport
+     * Lambda handlers should `await logger.flush()` in `finally` so buffered
+     * entries ship before the container freezes
      */
     async flush() {
-        if (!this.enableCloudWatch || this.buffer.length === 0) {
-            return;
-        }
+        this.flushMetrics();
 
-        const logs = [...this.buffer];
-        this.buffer = [];
-
-        try {
-            const logEvents = logs.map(log => ({
-                timestamp: new Date(log.timestamp).getTime(),
-                message: JSON.stringify(log)
-            }));
-
-            await cloudwatchLogs.send(new PutLogEventsCommand({
-                logGroupName: this.logGroup,
-                logStreamName: this.logStream,
-                logEvents: logEvents
-            }));
-
-        } catch (error) {
-            // Fallback to console if CloudWatch fails
-            console.error('Failed to send logs to CloudWatch:', error.message);
-            
-            // Re-add logs to buffer for retry if not too many
-            if (this.buffer.length < this.bufferSize) {
-                this.buffer.unshift(...logs);
-            }
-        }
+        await Promise.allSettled(this.transports.map(transport => transport.flush()));
     }
 
     /**
-     * Create metrics entry
+     * Record a metric in CloudWatch Embedded Metric Format
+     * Values are aggregated until flushMetrics()/flush() emits them
      */
     metric(name, value, unit = 'Count', dimensions = {}) {
-        this.info('METRIC', {
-            metricName: name,
-            value,
-            unit,
-            dimensions: {
-                Service: this.service,
-                Environment: this.environment,
-                ...dimensions
-            }
+        this.metricsRecorder.record(name, value, unit, {
+            Service: this.service,
+            ...dimensions
         });
     }
 
+    /**
+     * Emit aggregated metrics as EMF documents
+     */
+    flushMetrics() {
+        this.metricsRecorder.flush();
+    }
+
     /**
      * Start timing operation
      */
@@ -268,6 +331,55 @@ class Logger {
         return duration;
     }
 
+    /**
+     * Start a span under the active span, or under `options.parent` (e.g. a
+     * context from extractTraceContext()). The caller must call span.end().
+     */
+    startSpan(name, options = {}) {
+        return new Span(name, {
+            parent: options.parent || Logger.getActiveSpan(),
+            attributes: options.attributes,
+            onEnd: span => this.logSpan(span)
+        });
+    }
+
+    /**
+     * Run a function inside a new span
+     * Log lines written inside carry the span's traceId/spanId; the span is
+     * marked failed if the function throws
+     */
+    async withSpan(name, fn, options = {}) {
+        const span = this.startSpan(name, options);
+
+        return await Logger.withContext({ span }, async () => {
+            try {
+                return await fn(span);
+            } catch (error) {
+                span.recordException(error);
+                throw error;
+            } finally {
+                span.end();
+            }
+        });
+    }
+
+    /**
+     * Write a finished span as a log entry
+     */
+    logSpan(span) {
+        if (!span.sampled) {
+            return;
+        }
+
+        const { traceId, spanId, parentSpanId, ...details } = span.toJSON();
+        this.info(`Span ended: ${span.name}`, {
+            traceId,
+            spanId,
+            parentSpanId,
+            span: details
+        });
+    }
+
     /**
      * Log performance metrics
      */
@@ -282,32 +394,35 @@ class Logger {
     }
 
     /**
-     * Create child logger with additional context
+     * Create child logger whose bindings are merged into every entry
+     * Children share the parent's transports; bindings nest
      */
-    child(additionalContext) {
-        const childLogger = new Logger(this.service, {
-            logGroup: this.logGroup,
-            enableCloudWatch: this.enableCloudWatch
-        });
-        
-        childLogger.correlationId = this.correlationId;
-        childLogger.context = {
-            ...this.context,
-            ...additionalContext
+    child(bindings = {}) {
+        const childLogger = Object.create(Logger.prototype);
+        Object.assign(childLogger, this);
+
+        childLogger.bindings = {
+            ...this.bindings,
+            ...bindings
         };
-        
+
         return childLogger;
     }
 
+    /**
+     * Get bindings applied to every entry from this logger
+     */
+    getBindings() {
+        return { ...this.bindings };
+    }
+
     /**
      * Cleanup resources
      */
     async cleanup() {
-        if (this.flushTimer) {
-            clearInterval(this.flushTimer);
-        }
-        
-        await this.flush();
+        this.flushMetrics();
+
+        await Promise.allSettled(this.transports.map(transport => transport.close()));
     }
 }
 
@@ -0,0 +1,208 @@
+/**
+ * CloudWatch Embedded Metric Format (EMF) Recorder
+ * Aggregates metrics recorded during an invocation into EMF documents that
+ * CloudWatch Logs turns into custom metrics without PutMetricData calls
+ */
+
+// EMF limits per document
+const MAX_METRICS_PER_DOCUMENT = 100;
+const MAX_VALUES_PER_METRIC = 100;
+
+const Units = new Set([
+    'Seconds', 'Microseconds', 'Milliseconds',
+    'Bytes', 'Kilobytes', 'Megabytes', 'Gigabytes', 'Terabytes',
+    'Bits', 'Kilobits', 'Megabits', 'Gigabits', 'Terabits',
+    'Percent', 'Count',
+    'Bytes/Second', 'Kilobytes/Second', 'Megabytes/Second', 'Gigabytes/Second', 'Terabytes/Second',
+    'Bits/Second', 'Kilobits/Second', 'Megabits/Second', 'Gigabits/Second', 'Terabits/Second',
+    'Count/Second', 'None'
+]);
+
+/**
+ * Writes EMF documents to stdout, where the Lambda log agent picks them up
+ */
+class StdoutMetricSink {
+    write(document) {
+        process.stdout.write(`${JSON.stringify(document)}\n`);
+    }
+}
+
+/**
+ * Keeps EMF documents in memory so tests can assert on emitted metrics
+ */
+class MemoryMetricSink {
+    constructor() {
+        this.documents = [];
+    }
+
+    write(document) {
+        this.documents.push(document);
+    }
+
+    /**
+     * Get all values recorded for a metric, optionally matching dimensions
+     */
+    getValues(name, dimensions = {}) {
+        const values = [];
+
+        for (const document of this.documents) {
+            if (!(name in document)) continue;
+
+            const matches = Object.entries(dimensions)
+                .every(([key, value]) => document[key] === value);
+            if (!matches) continue;
+
+            values.push(...[].concat(document[name]));
+        }
+
+        return values;
+    }
+
+    /**
+     * Get the unit a metric was declared with
+     */
+    getUnit(name) {
+        for (const document of this.documents) {
+            for (const directive of document._aws.CloudWatchMetrics) {
+                const metric = directive.Metrics.find(m => m.Name === name);
+                if (metric) {
+                    return metric.Unit;
+                }
+            }
+        }
+        return null;
+    }
+
+    clear() {
+        this.documents = [];
+    }
+}
+
+class MetricsRecorder {
+    constructor(options = {}) {
+        this.namespace = options.namespace ||
+            process.env.METRICS_NAMESPACE ||
+            `${process.env.PROJECT_NAME || 'scdor-rebuild'}/${process.env.ENVIRONMENT || 'dev'}`;
+        this.sink = options.sink || new StdoutMetricSink();
+        // Also publish without dimensions so namespace-level alarms see the metric
+        this.includeDimensionless = options.includeDimensionless !== false;
+
+        // Groups keyed by dimension values; each EMF document holds one group
+        this.groups = new Map();
+    }
+
+    /**
+     * Record a metric value
+     */
+    record(name, value, unit = 'Count', dimensions = {}) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return;
+        }
+
+        const key = JSON.stringify(Object.entries(dimensions).sort(([a], [b]) => a.localeCompare(b)));
+        let group = this.groups.get(key);
+        if (!group) {
+            group = { dimensions: { ...dimensions }, metrics: new Map() };
+            this.groups.set(key, group);
+        }
+
+        let metric = group.metrics.get(name);
+        if (!metric) {
+            metric = { unit: Units.has(unit) ? unit : 'None', values: [] };
+            group.metrics.set(name, metric);
+        }
+
+        metric.values.push(value);
+
+        // Flush early rather than exceed EMF limits
+        if (metric.values.length >= MAX_VALUES_PER_METRIC) {
+            this.flushGroup(key, group);
+        }
+    }
+
+    /**
+     * Emit all aggregated metrics as EMF documents
+     */
+    flush() {
+        for (const [key, group] of this.groups) {
+            this.flushGroup(key, group);
+        }
+    }
+
+    /**
+     * Emit one dimension group, split to the per-document metric limit
+     */
+    flushGroup(key, group) {
+        this.groups.delete(key);
+
+        const metrics = Array.from(group.metrics.entries());
+        const dimensionKeys = Object.keys(group.dimensions);
+        const dimensionSets = [dimensionKeys];
+        if (this.includeDimensionless && dimensionKeys.length > 0) {
+            dimensionSets.push([]);
+        }
+
+        for (let i = 0; i < metrics.length; i += MAX_METRICS_PER_DOCUMENT) {
+            const chunk = metrics.slice(i, i + MAX_METRICS_PER_DOCUMENT);
+            const document = {
+                _aws: {
+                    Timestamp: Date.now(),
+                    CloudWatchMetrics: [{
+                        Namespace: this.namespace,
+                        Dimensions: dimensionSets,
+                        Metrics: chunk.map(([name, metric]) => ({ Name: name, Unit: metric.unit }))
+                    }]
+                },
+                ...group.dimensions
+            };
+
+            for (const [name, metric] of chunk) {
+                document[name] = metric.values.length === 1 ? metric.values[0] : metric.values;
+            }
+
+            this.sink.write(document);
+        }
+    }
+
+    /**
+     * Number of metric values waiting to be flushed
+     */
+    pendingCount() {
+        let count = 0;
+        for (const group of this.groups.values()) {
+            for (const metric of group.metrics.values()) {
+                count += metric.values.length;
+            }
+        }
+        return count;
+    }
+}
+
+/**
+ * Change in running totals since the previous call
+ * Services keep lifetime counters across warm invocations; metrics built
+ * from deltas count only what happened since the last publish. Numbers give
+ * their difference, arrays the items appended since.
+ */
+class CounterDeltas {
+    constructor() {
+        this.previous = {};
+    }
+
+    next(counters) {
+        const deltas = {};
+        for (const [name, value] of Object.entries(counters)) {
+            if (typeof value === 'number') {
+                deltas[name] = value - (this.previous[name] || 0);
+                this.previous[name] = value;
+            } else if (Array.isArray(value)) {
+                deltas[name] = value.slice(this.previous[name] || 0);
+                this.previous[name] = value.length;
+            }
+        }
+        return deltas;
+    }
+}
+
+export { MetricsRecorder, StdoutMetricSink, MemoryMetricSink, CounterDeltas, Units };
+export default MetricsRecorder;
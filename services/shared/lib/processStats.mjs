@@ -0,0 +1,135 @@
+/**
+ * Process Stats
+ * Memory and CPU of a process and all of its descendants, read from /proc
+ *
+ * A browser is a tree of processes (browser, GPU, renderers, utilities), so
+ * its footprint is the sum over the tree. On platforms without /proc the
+ * samplers return null and callers skip the checks.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+
+// Linux reports RSS in pages and CPU time in clock ticks (USER_HZ); both
+// are fixed at these values on the x86_64 and arm64 kernels Lambda runs
+const PAGE_SIZE = 4096;
+const CLOCK_TICKS = 100;
+
+const isSupported = () => existsSync('/proc/self/stat');
+
+/**
+ * Parse /proc/<pid>/stat
+ * The command name is in parentheses and may contain spaces, so fields are
+ * counted from the closing parenthesis.
+ */
+const parseStat = (content) => {
+    const fields = content.slice(content.lastIndexOf(')') + 2).split(' ');
+    return {
+        ppid: Number(fields[1]),
+        cpuTicks: Number(fields[11]) + Number(fields[12]), // utime + stime
+        rssPages: Number(fields[21])
+    };
+};
+
+/**
+ * Every process on the host: pid -> { ppid, cpuTicks, rssPages }
+ */
+const readProcessTable = async () => {
+    const table = new Map();
+    const entries = await readdir('/proc');
+
+    await Promise.all(entries.filter(entry => /^\d+$/.test(entry)).map(async (entry) => {
+        try {
+            table.set(Number(entry), parseStat(await readFile(`/proc/${entry}/stat`, 'utf8')));
+        } catch {
+            // The process exited while we were reading
+        }
+    }));
+
+    return table;
+};
+
+/**
+ * `pid` and all of its descendants present in `table`
+ */
+const processTree = (table, pid) => {
+    const children = new Map();
+    for (const [child, { ppid }] of table) {
+        if (!children.has(ppid)) {
+            children.set(ppid, []);
+        }
+        children.get(ppid).push(child);
+    }
+
+    const tree = [];
+    const pending = table.has(pid) ? [pid] : [];
+    while (pending.length > 0) {
+        const current = pending.pop();
+        tree.push(current);
+        pending.push(...(children.get(current) || []));
+    }
+    return tree;
+};
+
+/**
+ * Direct children of `pid` (default: this process)
+ */
+const listChildPids = async (pid = process.pid) => {
+    if (!isSupported()) {
+        return null;
+    }
+
+    const table = await readProcessTable();
+    return Array.from(table.entries())
+        .filter(([, { ppid }]) => ppid === pid)
+        .map(([child]) => child);
+};
+
+/**
+ * Sample several process trees from one read of the process table
+ * Returns pid -> { rssMB, cpuSeconds, processCount, sampledAt }, with null
+ * for trees whose root has exited; null overall without /proc.
+ * CPU is cumulative, so usage is the difference between two samples.
+ */
+const sampleProcessTrees = async (pids) => {
+    if (!isSupported()) {
+        return null;
+    }
+
+    const table = await readProcessTable();
+    const sampledAt = Date.now();
+
+    return new Map(pids.map(pid => {
+        const tree = processTree(table, pid);
+        if (tree.length === 0) {
+            return [pid, null];
+        }
+
+        let rssPages = 0;
+        let cpuTicks = 0;
+        for (const member of tree) {
+            rssPages += table.get(member).rssPages;
+            cpuTicks += table.get(member).cpuTicks;
+        }
+
+        return [pid, {
+            rssMB: Math.round((rssPages * PAGE_SIZE) / (1024 * 1024)),
+            cpuSeconds: cpuTicks / CLOCK_TICKS,
+            processCount: tree.length,
+            sampledAt
+        }];
+    }));
+};
+
+/**
+ * CPU use between two samples of the same tree, as a percent of one core
+ */
+const cpuPercent = (previous, current) => {
+    if (!previous || !current || current.sampledAt <= previous.sampledAt) {
+        return null;
+    }
+    const wallSeconds = (current.sampledAt - previous.sampledAt) / 1000;
+    return Math.max(0, ((current.cpuSeconds - previous.cpuSeconds) / wallSeconds) * 100);
+};
+
+export { isSupported, listChildPids, sampleProcessTrees, cpuPercent };
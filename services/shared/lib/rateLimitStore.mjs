@@ -0,0 +1,175 @@
+/**
+ * Rate Limit Stores
+ * Token buckets shared between Lambda containers so every container draws
+ * from the same per-host budget
+ *
+ * A bucket is { tokens, updatedAt }; tokens refill continuously at `rate`
+ * per second up to `burst`. A missing bucket is full.
+ */
+
+import {
+    DynamoDBClient,
+    GetItemCommand,
+    UpdateItemCommand
+} from '@aws-sdk/client-dynamodb';
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const KEY_PREFIX = 'ratelimit#';
+const MAX_CONTENTION_RETRIES = 5;
+
+/**
+ * Tokens in a bucket after refilling it up to `now`
+ */
+const refill = (bucket, { rate, burst }, now) => {
+    if (!bucket) {
+        return burst;
+    }
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    return Math.min(burst, bucket.tokens + (elapsed / 1000) * rate);
+};
+
+/**
+ * Time until `cost` tokens are available
+ */
+const waitFor = (tokens, cost, rate) => Math.ceil(((cost - tokens) / rate) * 1000);
+
+/**
+ * In-memory store with the same semantics as the DynamoDB store
+ * Used when no coordination table is configured, by tests, and as the
+ * fallback while DynamoDB is unreachable
+ */
+class MemoryRateLimitStore {
+    constructor() {
+        this.name = 'memory';
+        this.buckets = new Map();
+    }
+
+    /**
+     * Take `cost` tokens from the bucket for `key`
+     * Returns { acquired, tokens, waitMs }
+     */
+    async tryAcquire(key, limit, cost = 1) {
+        const now = Date.now();
+        const tokens = refill(this.buckets.get(key), limit, now);
+
+        if (tokens < cost) {
+            return { acquired: false, tokens, waitMs: waitFor(tokens, cost, limit.rate) };
+        }
+
+        this.buckets.set(key, { tokens: tokens - cost, updatedAt: now });
+        return { acquired: true, tokens: tokens - cost, waitMs: 0 };
+    }
+
+    async getBucket(key) {
+        const bucket = this.buckets.get(key);
+        return bucket ? { ...bucket } : null;
+    }
+
+    clear() {
+        this.buckets.clear();
+    }
+}
+
+/**
+ * DynamoDB store: one item per host, `pk = ratelimit#<host>`
+ * Takes are optimistic: the bucket is read, refilled locally and written back
+ * on condition that nobody else wrote it in between
+ */
+class DynamoDBRateLimitStore {
+    constructor(options = {}) {
+        if (!options.tableName) {
+            throw new Error('DynamoDBRateLimitStore requires a tableName');
+        }
+
+        this.name = 'dynamodb';
+        this.tableName = options.tableName;
+        this.client = options.client || new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
+        this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+    }
+
+    key(name) {
+        return { pk: { S: `${KEY_PREFIX}${name}` } };
+    }
+
+    async getBucket(key) {
+        const response = await this.client.send(new GetItemCommand({
+            TableName: this.tableName,
+            Key: this.key(key),
+            ConsistentRead: true
+        }));
+
+        if (!response.Item) {
+            return null;
+        }
+        return {
+            tokens: Number(response.Item.tokens.N),
+            updatedAt: Number(response.Item.updatedAt.N)
+        };
+    }
+
+    async tryAcquire(key, limit, cost = 1) {
+        for (let attempt = 0; attempt < MAX_CONTENTION_RETRIES; attempt++) {
+            const bucket = await this.getBucket(key);
+            const now = Date.now();
+            const tokens = refill(bucket, limit, now);
+
+            if (tokens < cost) {
+                return { acquired: false, tokens, waitMs: waitFor(tokens, cost, limit.rate) };
+            }
+
+            const params = {
+                TableName: this.tableName,
+                Key: this.key(key),
+                UpdateExpression: 'SET tokens = :tokens, updatedAt = :now, #ttl = :ttl',
+                ExpressionAttributeNames: {
+                    '#ttl': 'ttl'
+                },
+                ExpressionAttributeValues: {
+                    ':tokens': { N: String(tokens - cost) },
+                    ':now': { N: String(now) },
+                    ':ttl': { N: String(Math.floor(now / 1000) + this.ttlSeconds) }
+                }
+            };
+
+            if (bucket) {
+                params.ConditionExpression = 'updatedAt = :previous';
+                params.ExpressionAttributeValues[':previous'] = { N: String(bucket.updatedAt) };
+            } else {
+                params.ConditionExpression = 'attribute_not_exists(pk)';
+            }
+
+            try {
+                await this.client.send(new UpdateItemCommand(params));
+                return { acquired: true, tokens: tokens - cost, waitMs: 0 };
+            } catch (error) {
+                if (error.name !== 'ConditionalCheckFailedException') {
+                    throw error;
+                }
+                // Another container took a token first; re-read and try again
+            }
+        }
+
+        // Heavy contention: back off briefly rather than spin on the table
+        return { acquired: false, tokens: 0, waitMs: 50 + Math.floor(Math.random() * 100) };
+    }
+}
+
+let sharedStore;
+
+/**
+ * Shared store for the process: DynamoDB when COORDINATION_TABLE is set,
+ * otherwise in memory (limits then apply per container)
+ */
+const createRateLimitStore = () => {
+    if (sharedStore === undefined) {
+        const tableName = process.env.COORDINATION_TABLE;
+        sharedStore = tableName ? new DynamoDBRateLimitStore({ tableName }) : new MemoryRateLimitStore();
+    }
+    return sharedStore;
+};
+
+export {
+    MemoryRateLimitStore,
+    DynamoDBRateLimitStore,
+    createRateLimitStore
+};
@@ -0,0 +1,271 @@
+/**
+ * Rate Limiter
+ * Per-host token buckets that pace how fast we hit the state websites across
+ * every running Lambda (see rateLimitStore.mjs)
+ *
+ *   const limiter = new RateLimiter({
+ *       name: 'UITax',
+ *       limits: {
+ *           'uitax.sc.gov': {
+ *               rate: 0.5,   // tokens per second
+ *               burst: 3,    // bucket size
+ *               quietHours: [{ start: '01:00', end: '05:00' }] // no traffic
+ *           }
+ *       }
+ *   });
+ *   await limiter.acquire('https://uitax.sc.gov/search', { signal });
+ *
+ * A quiet-hours window with a `rate` slows traffic down instead of stopping
+ * it. Windows are in `timezone` (default America/New_York) and may wrap
+ * midnight.
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+import Logger from './logger.mjs';
+import { MemoryRateLimitStore, createRateLimitStore } from './rateLimitStore.mjs';
+
+const logger = new Logger('RateLimiter');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Raised when a token can't be had within maxWait, or the host is in a
+ * quiet-hours window that allows no traffic
+ * Waiting out a busy bucket again is worthwhile; quiet hours are not.
+ */
+class RateLimitExceededError extends Error {
+    constructor(host, reason, details = {}) {
+        super(reason === 'quiet_hours'
+            ? `Rate limit: ${host} is in quiet hours until ${new Date(details.retryAfter).toISOString()}`
+            : `Rate limit: no token for ${host} within ${details.maxWait}ms`);
+        this.name = 'RateLimitExceededError';
+        this.host = host;
+        this.reason = reason;
+        this.retryAfter = details.retryAfter || null;
+        this.retryable = reason !== 'quiet_hours';
+    }
+}
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ */
+const parseTime = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Invalid quiet hours time: ${value} (expected HH:MM)`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Normalize quiet hours: "01:00-05:00", { start, end, rate } or a list of either
+ */
+const parseQuietHours = (quietHours) => {
+    if (!quietHours) {
+        return [];
+    }
+
+    const windows = Array.isArray(quietHours) ? quietHours : String(quietHours).split(',');
+    return windows.map(window => {
+        const { start, end, rate = 0 } = typeof window === 'string'
+            ? (([from, to]) => ({ start: from, end: to }))(window.split('-'))
+            : window;
+        return { start: parseTime(start), end: parseTime(end), rate };
+    });
+};
+
+/**
+ * Minutes after midnight in a time zone
+ */
+const minutesInZone = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const part = type => Number(parts.find(p => p.type === type).value);
+    return part('hour') * 60 + part('minute');
+};
+
+class RateLimiter {
+    constructor(options = {}) {
+        this.name = options.name || 'default';
+        this.timezone = options.timezone || 'America/New_York';
+        this.maxWait = options.maxWait ?? 30000;
+        this.store = options.store || createRateLimitStore();
+        this.localStore = new MemoryRateLimitStore();
+
+        this.limits = new Map();
+        for (const [host, limit] of Object.entries(options.limits || {})) {
+            this.setLimit(host, limit);
+        }
+        this.defaultLimit = options.defaultLimit ? this.normalizeLimit(options.defaultLimit) : null;
+
+        this.metrics = {
+            acquired: 0,
+            waited: 0,
+            totalWaitMs: 0,
+            rejected: 0,
+            storeErrors: 0
+        };
+    }
+
+    normalizeLimit(limit) {
+        const rate = Number(limit.rate);
+        if (!(rate > 0)) {
+            throw new Error(`Rate limit needs a positive rate, got ${limit.rate}`);
+        }
+
+        return {
+            rate,
+            burst: Math.max(1, Number(limit.burst) || 1),
+            quietHours: parseQuietHours(limit.quietHours)
+        };
+    }
+
+    setLimit(host, limit) {
+        this.limits.set(host.toLowerCase(), this.normalizeLimit(limit));
+    }
+
+    /**
+     * Host for a URL or bare hostname
+     */
+    hostFor(target) {
+        const value = String(target);
+        return (value.includes('://') ? new URL(value).hostname : value).toLowerCase();
+    }
+
+    limitFor(host) {
+        return this.limits.get(host) || this.defaultLimit;
+    }
+
+    /**
+     * The quiet-hours window `now` falls in, with the time it ends
+     */
+    quietWindow(limit, now = Date.now()) {
+        if (limit.quietHours.length === 0) {
+            return null;
+        }
+
+        const minutes = minutesInZone(new Date(now), this.timezone);
+        for (const window of limit.quietHours) {
+            const inWindow = window.start <= window.end
+                ? minutes >= window.start && minutes < window.end
+                : minutes >= window.start || minutes < window.end;
+
+            if (inWindow) {
+                const remaining = (window.end - minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+                return {
+                    rate: window.rate,
+                    endsAt: now - (now % 60000) + remaining * 60000
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Wait for a token for `target` (URL or host)
+     * Hosts without a limit pass straight through. Rejects with
+     * RateLimitExceededError when no token comes within `maxWait` or the host
+     * is in quiet hours; `signal` cancels the wait.
+     */
+    async acquire(target, options = {}) {
+        const { signal, cost = 1, maxWait = this.maxWait } = options;
+        const host = this.hostFor(target);
+        const limit = this.limitFor(host);
+        if (!limit) {
+            return { host, waitedMs: 0 };
+        }
+
+        const startTime = Date.now();
+
+        for (;;) {
+            signal?.throwIfAborted();
+
+            const quiet = this.quietWindow(limit);
+            if (quiet && !(quiet.rate > 0)) {
+                this.reject(host, 'quiet_hours');
+                throw new RateLimitExceededError(host, 'quiet_hours', { retryAfter: quiet.endsAt });
+            }
+
+            const bucketLimit = { rate: quiet ? quiet.rate : limit.rate, burst: limit.burst };
+            const result = await this.take(host, bucketLimit, cost);
+
+            if (result.acquired) {
+                const waitedMs = Date.now() - startTime;
+                this.metrics.acquired++;
+                if (waitedMs > 0) {
+                    this.metrics.waited++;
+                    this.metrics.totalWaitMs += waitedMs;
+                }
+
+                logger.metric('RateLimitWait', waitedMs, 'Milliseconds', { Host: host });
+                logger.debug('Rate limit token acquired', {
+                    limiter: this.name,
+                    host,
+                    waitedMs,
+                    tokensLeft: Number(result.tokens.toFixed(2))
+                });
+
+                return { host, waitedMs };
+            }
+
+            if (Date.now() - startTime + result.waitMs > maxWait) {
+                this.reject(host, 'max_wait');
+                throw new RateLimitExceededError(host, 'max_wait', { maxWait });
+            }
+
+            await sleep(result.waitMs, undefined, { signal });
+        }
+    }
+
+    /**
+     * Take from the shared bucket, falling back to a per-container bucket
+     * while the store is unreachable
+     */
+    async take(host, limit, cost) {
+        try {
+            return await this.store.tryAcquire(host, limit, cost);
+        } catch (error) {
+            this.metrics.storeErrors++;
+            logger.warn('Rate limit store unavailable, limiting locally', {
+                limiter: this.name,
+                host,
+                error: error.message
+            });
+            return await this.localStore.tryAcquire(host, limit, cost);
+        }
+    }
+
+    reject(host, reason) {
+        this.metrics.rejected++;
+
+        logger.warn('Rate limit rejected request', {
+            limiter: this.name,
+            host,
+            reason
+        });
+
+        logger.metric('RateLimitRejected', 1, 'Count', { Host: host });
+    }
+
+    getStatus() {
+        return {
+            name: this.name,
+            store: this.store.name,
+            timezone: this.timezone,
+            maxWait: this.maxWait,
+            limits: Object.fromEntries(Array.from(this.limits.entries()).map(([host, limit]) => [host, {
+                ...limit,
+                quietNow: this.quietWindow(limit) !== null
+            }])),
+            metrics: { ...this.metrics }
+        };
+    }
+}
+
+export { RateLimiter, RateLimitExceededError, parseQuietHours };
+export default RateLimiter;
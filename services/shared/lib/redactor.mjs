@@ -0,0 +1,297 @@
+/**
+ * PII Redaction Engine
+ * Scrubs sensitive data from log entries by key name and by scanning string
+ * values and messages for SSNs, EIN/TINs, account numbers, emails and phones.
+ * Each data type has a policy: mask, hash or drop.
+ */
+
+import crypto from 'crypto';
+
+const Policy = {
+    MASK: 'mask', // Keep the shape, hide all but the last few characters
+    HASH: 'hash', // Replace with a keyed hash so equal values can be correlated
+    DROP: 'drop'  // Remove the field (or the matched text inside a message)
+};
+
+/**
+ * Value patterns, applied in order. Account numbers and unformatted SSNs
+ * require a label in front so IDs and epoch timestamps are left alone.
+ */
+const DEFAULT_RULES = [
+    {
+        type: 'ssn',
+        pattern: /\b\d{3}-\d{2}-\d{4}\b/g
+    },
+    {
+        type: 'ssn',
+        pattern: /\b((?:ssn|social security(?:\s+(?:no\.?|number))?)\s*[:#]?\s*)(\d{9})\b/gi,
+        group: 2
+    },
+    {
+        type: 'ein',
+        pattern: /\b\d{2}-\d{7}\b/g
+    },
+    {
+        type: 'accountNumber',
+        pattern: /\b((?:acct|account|routing)\.?\s*(?:no\.?|number|num|#)?\s*[:#]?\s*)(\d[\d-]{4,}\d)\b/gi,
+        group: 2
+    },
+    {
+        type: 'email',
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+    },
+    {
+        type: 'phone',
+        pattern: /(?:\+?1[-.\s]?)?(?:\(\d{3}\)\s?|\b\d{3}[-.\s])\d{3}[-.\s]\d{4}\b/g
+    }
+];
+
+const DEFAULT_POLICIES = {
+    ssn: Policy.MASK,
+    ein: Policy.MASK,
+    accountNumber: Policy.MASK,
+    email: Policy.MASK,
+    phone: Policy.MASK
+};
+
+const DEFAULT_SENSITIVE_KEYS = [
+    'password', 'token', 'apiKey', 'secret',
+    'authorization', 'cookie', 'ssn', 'taxId'
+];
+
+// Entry fields produced by the logger itself; never scanned
+const DEFAULT_SAFE_KEYS = [
+    'timestamp', 'level', 'service', 'environment',
+    'correlationId', 'processingId', 'sessionId', 'traceId', 'spanId', 'parentSpanId'
+];
+
+const REDACTED = '***REDACTED***';
+const MAX_DEPTH = 10;
+
+// Sentinel for values removed by the drop policy
+const DROPPED = Symbol('dropped');
+
+/**
+ * Parse "email=hash,phone=drop" into a policy map
+ */
+const parsePolicies = (value) => {
+    if (!value) return {};
+
+    return Object.fromEntries(
+        value.split(',')
+            .map(pair => pair.split('=').map(part => part.trim()))
+            .filter(([type, policy]) => type && Object.values(Policy).includes(policy))
+    );
+};
+
+class Redactor {
+    constructor(options = {}) {
+        this.rules = options.rules || DEFAULT_RULES;
+        this.policies = {
+            ...DEFAULT_POLICIES,
+            ...parsePolicies(process.env.REDACTION_POLICIES),
+            ...options.policies
+        };
+        this.sensitiveKeys = (options.sensitiveKeys || DEFAULT_SENSITIVE_KEYS)
+            .map(key => key.toLowerCase());
+        this.keyPolicy = options.keyPolicy || Policy.MASK;
+        this.safeKeys = new Set(options.safeKeys || DEFAULT_SAFE_KEYS);
+        this.hashSalt = options.hashSalt || process.env.REDACTION_SALT || 'scdor-rebuild';
+    }
+
+    /**
+     * Redact an object (log metadata or a whole entry)
+     */
+    redact(value) {
+        const result = this.redactValue(value, 0, new WeakSet());
+        return result === DROPPED ? {} : result;
+    }
+
+    /**
+     * Redact PII inside a free-text string (e.g. a log message)
+     * Dropped matches are cut out of the text
+     */
+    redactString(text) {
+        if (typeof text !== 'string' || text.length === 0) {
+            return text;
+        }
+
+        let result = text;
+        for (const rule of this.rules) {
+            const policy = this.policies[rule.type] || Policy.MASK;
+            rule.pattern.lastIndex = 0;
+
+            result = result.replace(rule.pattern, (match, ...groups) => {
+                if (!rule.group) {
+                    return this.applyPolicy(policy, rule.type, match, '[REDACTED]');
+                }
+                const prefix = groups[rule.group - 2] || '';
+                const sensitive = groups[rule.group - 1];
+                return prefix + this.applyPolicy(policy, rule.type, sensitive, '[REDACTED]');
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Check whether a string contains any PII pattern
+     */
+    containsPII(text) {
+        if (typeof text !== 'string') return false;
+
+        return this.rules.some(rule => {
+            rule.pattern.lastIndex = 0;
+            return rule.pattern.test(text);
+        });
+    }
+
+    /**
+     * Recursively redact a value
+     */
+    redactValue(value, depth, seen) {
+        if (typeof value === 'string') {
+            return this.redactStringValue(value);
+        }
+
+        if (typeof value !== 'object' || value === null) {
+            return value;
+        }
+
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+
+        if (depth >= MAX_DEPTH) {
+            return '[Truncated]';
+        }
+
+        seen.add(value);
+
+        if (value instanceof Error) {
+            return this.redactValue({
+                name: value.name,
+                message: value.message,
+                stack: value.stack
+            }, depth + 1, seen);
+        }
+
+        if (Array.isArray(value)) {
+            return value
+                .map(item => this.redactValue(item, depth + 1, seen))
+                .filter(item => item !== DROPPED);
+        }
+
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (this.safeKeys.has(key)) {
+                result[key] = item;
+                continue;
+            }
+
+            let redacted;
+            if (this.isSensitiveKey(key)) {
+                redacted = this.redactSensitiveKey(item);
+            } else {
+                redacted = this.redactValue(item, depth + 1, seen);
+            }
+
+            if (redacted !== DROPPED) {
+                result[key] = redacted;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Redact a string field; a drop policy hit removes the whole field
+     */
+    redactStringValue(value) {
+        for (const rule of this.rules) {
+            if (this.policies[rule.type] !== Policy.DROP) continue;
+
+            rule.pattern.lastIndex = 0;
+            if (rule.pattern.test(value)) {
+                return DROPPED;
+            }
+        }
+
+        return this.redactString(value);
+    }
+
+    /**
+     * Redact a value stored under a sensitive key name
+     */
+    redactSensitiveKey(value) {
+        switch (this.keyPolicy) {
+            case Policy.DROP:
+                return DROPPED;
+            case Policy.HASH:
+                return typeof value === 'object' && value !== null
+                    ? REDACTED
+                    : this.hash('key', String(value));
+            default:
+                return REDACTED;
+        }
+    }
+
+    isSensitiveKey(key) {
+        const lowerKey = key.toLowerCase();
+        return this.sensitiveKeys.some(sensitive => lowerKey.includes(sensitive));
+    }
+
+    /**
+     * Apply a policy to a matched value
+     */
+    applyPolicy(policy, type, value, dropReplacement) {
+        switch (policy) {
+            case Policy.HASH:
+                return this.hash(type, value);
+            case Policy.DROP:
+                return dropReplacement;
+            default:
+                return this.mask(type, value);
+        }
+    }
+
+    /**
+     * Mask a value, keeping its shape and the last 4 digits where useful
+     */
+    mask(type, value) {
+        if (type === 'email') {
+            const [local, domain] = value.split('@');
+            return `${local[0]}***@${domain}`;
+        }
+
+        let visible = 4;
+        return value
+            .split('')
+            .reverse()
+            .map(char => {
+                if (!/\d/.test(char)) return char;
+                return visible-- > 0 ? char : '*';
+            })
+            .reverse()
+            .join('');
+    }
+
+    /**
+     * Keyed hash so the same value can be traced across log lines
+     */
+    hash(type, value) {
+        const digest = crypto
+            .createHmac('sha256', this.hashSalt)
+            .update(value)
+            .digest('hex')
+            .slice(0, 12);
+        return `[${type}:${digest}]`;
+    }
+}
+
+export { Redactor, Policy, DEFAULT_RULES, DEFAULT_SENSITIVE_KEYS };
+export default Redactor;
@@ -0,0 +1,85 @@
+/**
+ * Request Policy
+ * Declarative rules for which requests a bot page may make
+ *
+ *   const policy = new RequestPolicy({
+ *       allowHosts: ['uitax.sc.gov', 'hcaptcha.com'],  // Hosts (and subdomains) a page may reach
+ *       blockResourceTypes: ['image', 'font', 'media'],
+ *       blockPatterns: ['*analytics*', /\.mp4$/],
+ *       allowPatterns: ['*captcha*']                   // Exceptions to every block rule
+ *   });
+ *   policy.decide(url, resourceType) // -> { allowed, rule }
+ *
+ * Rules are checked in order: allowPatterns, blockPatterns, allowHosts,
+ * blockResourceTypes. String patterns match the whole URL, with `*`
+ * matching anything.
+ */
+
+const toPattern = (pattern) => {
+    if (pattern instanceof RegExp) {
+        return pattern;
+    }
+    const escaped = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`, 'i');
+};
+
+/**
+ * Comma-separated list from an environment variable
+ */
+const parseList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+class RequestPolicy {
+    constructor(rules = {}) {
+        this.allowHosts = (rules.allowHosts || []).map(host => host.toLowerCase());
+        this.blockResourceTypes = new Set(rules.blockResourceTypes || []);
+        this.blockPatterns = (rules.blockPatterns || []).map(toPattern);
+        this.allowPatterns = (rules.allowPatterns || []).map(toPattern);
+    }
+
+    /**
+     * Whether the policy blocks anything at all
+     */
+    isEmpty() {
+        return this.allowHosts.length === 0 && this.blockResourceTypes.size === 0 &&
+            this.blockPatterns.length === 0;
+    }
+
+    hostAllowed(hostname) {
+        if (this.allowHosts.length === 0) {
+            return true;
+        }
+        const host = hostname.toLowerCase();
+        return this.allowHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+    }
+
+    /**
+     * Decide on a request; `rule` names the rule that decided it
+     */
+    decide(url, resourceType) {
+        if (this.allowPatterns.some(pattern => pattern.test(url))) {
+            return { allowed: true, rule: 'allow_pattern' };
+        }
+        if (this.blockPatterns.some(pattern => pattern.test(url))) {
+            return { allowed: false, rule: 'block_pattern' };
+        }
+
+        let hostname;
+        try {
+            hostname = new URL(url).hostname;
+        } catch {
+            // data: and blob: URLs have no host and never leave the page
+            hostname = null;
+        }
+        if (hostname && !this.hostAllowed(hostname)) {
+            return { allowed: false, rule: 'host' };
+        }
+
+        if (this.blockResourceTypes.has(resourceType)) {
+            return { allowed: false, rule: 'resource_type' };
+        }
+        return { allowed: true, rule: 'default' };
+    }
+}
+
+export { RequestPolicy, parseList };
+export default RequestPolicy;
@@ -0,0 +1,150 @@
+/**
+ * Result Cache
+ * Remembers the last good result per caller-supplied key and serves it as a
+ * fallback, marked stale, while the service that produced it is failing
+ *
+ *   const cache = new ResultCache({ name: 'MyDorwaySearch', maxAge: 24 * 60 * 60 * 1000 });
+ *   await retryPolicy.execute(
+ *       () => cache.remember(subject, () => search(subject)),
+ *       { fallback: cache.fallback(subject) }
+ *   );
+ *
+ * A served entry is `{ ...value, stale: true, cachedAt, staleReason }`.
+ * Keys are hashed before they reach the store (see resultCacheStore.mjs).
+ */
+
+import { createHash } from 'crypto';
+import Logger from './logger.mjs';
+import { createResultCacheStore } from './resultCacheStore.mjs';
+
+const logger = new Logger('ResultCache');
+
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+class ResultCache {
+    constructor(options = {}) {
+        this.name = options.name || 'default';
+        this.store = options.store || createResultCacheStore();
+        this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+        this.shouldCache = options.shouldCache || (() => true);
+
+        this.metrics = {
+            stored: 0,
+            hits: 0,
+            misses: 0,
+            expired: 0,
+            storeErrors: 0
+        };
+    }
+
+    cacheKey(key) {
+        return createHash('sha256').update(`${this.name}:${key}`).digest('hex');
+    }
+
+    /**
+     * Cached entry for `key` no older than `maxAge`, or null
+     * Store errors count as a miss.
+     */
+    async get(key, options = {}) {
+        const maxAge = options.maxAge || this.maxAge;
+
+        let entry;
+        try {
+            entry = await this.store.get(this.cacheKey(key));
+        } catch (error) {
+            this.metrics.storeErrors++;
+            logger.warn('Result cache read failed', {
+                cache: this.name,
+                error: error.message
+            });
+            return null;
+        }
+
+        if (!entry) {
+            this.metrics.misses++;
+            return null;
+        }
+        if (Date.now() - entry.storedAt > maxAge) {
+            this.metrics.expired++;
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Store a result; failures are logged, never thrown
+     */
+    async set(key, value) {
+        try {
+            await this.store.put(this.cacheKey(key), { value, storedAt: Date.now() });
+            this.metrics.stored++;
+        } catch (error) {
+            this.metrics.storeErrors++;
+            logger.warn('Result cache write failed', {
+                cache: this.name,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Run `fn` and cache its result when `shouldCache` accepts it
+     */
+    async remember(key, fn) {
+        const result = await fn();
+        if (this.shouldCache(result)) {
+            await this.set(key, result);
+        }
+        return result;
+    }
+
+    /**
+     * Fallback for CircuitBreaker.execute / RetryPolicy.execute
+     * Serves the cached result marked stale, or rethrows the original error
+     * when there is none.
+     */
+    fallback(key, options = {}) {
+        return async (error) => {
+            const entry = await this.get(key, options);
+            if (!entry) {
+                if (error) {
+                    throw error;
+                }
+                throw new Error(`No cached result for ${this.name}`);
+            }
+
+            this.metrics.hits++;
+            const cachedAt = new Date(entry.storedAt).toISOString();
+
+            logger.warn('Serving stale result', {
+                cache: this.name,
+                cachedAt,
+                ageMs: Date.now() - entry.storedAt,
+                error: error?.message
+            });
+
+            logger.metric('StaleResultServed', 1, 'Count', {
+                ResultCache: this.name
+            });
+
+            return {
+                ...entry.value,
+                stale: true,
+                cachedAt,
+                staleReason: error?.message || null
+            };
+        };
+    }
+
+    getStatus() {
+        return {
+            name: this.name,
+            store: this.store.name,
+            maxAge: this.maxAge,
+            metrics: { ...this.metrics }
+        };
+    }
+}
+
+export { ResultCache };
+export default ResultCache;
@@ -0,0 +1,170 @@
+/**
+ * Result Cache Stores
+ * Keep the last good result per cache key so a later call can fall back to
+ * it while the service behind it is down (see resultCache.mjs)
+ *
+ * Entries are { value, storedAt }. Keys arrive already hashed, so no store
+ * ever sees the names or identifiers they were built from.
+ */
+
+import {
+    DynamoDBClient,
+    GetItemCommand,
+    PutItemCommand
+} from '@aws-sdk/client-dynamodb';
+import {
+    S3Client,
+    GetObjectCommand,
+    PutObjectCommand
+} from '@aws-sdk/client-s3';
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+class MemoryResultCacheStore {
+    constructor() {
+        this.name = 'memory';
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        return entry ? structuredClone(entry) : null;
+    }
+
+    async put(key, entry) {
+        this.entries.set(key, structuredClone(entry));
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * DynamoDB store: one item per key, `pk = result#<key>`, expiring via TTL
+ * Results must fit in an item (400 KB)
+ */
+class DynamoDBResultCacheStore {
+    constructor(options = {}) {
+        if (!options.tableName) {
+            throw new Error('DynamoDBResultCacheStore requires a tableName');
+        }
+
+        this.name = 'dynamodb';
+        this.tableName = options.tableName;
+        this.client = options.client || new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
+        this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+    }
+
+    key(key) {
+        return { pk: { S: `result#${key}` } };
+    }
+
+    async get(key) {
+        const response = await this.client.send(new GetItemCommand({
+            TableName: this.tableName,
+            Key: this.key(key)
+        }));
+
+        if (!response.Item) {
+            return null;
+        }
+        return {
+            value: JSON.parse(response.Item.value.S),
+            storedAt: Number(response.Item.storedAt.N)
+        };
+    }
+
+    async put(key, entry) {
+        await this.client.send(new PutItemCommand({
+            TableName: this.tableName,
+            Item: {
+                ...this.key(key),
+                value: { S: JSON.stringify(entry.value) },
+                storedAt: { N: String(entry.storedAt) },
+                ttl: { N: String(Math.floor(entry.storedAt / 1000) + this.ttlSeconds) }
+            }
+        }));
+    }
+}
+
+/**
+ * S3 store: one JSON object per key under `prefix`
+ * For results too large for DynamoDB; expire them with a lifecycle rule
+ */
+class S3ResultCacheStore {
+    constructor(options = {}) {
+        if (!options.bucket) {
+            throw new Error('S3ResultCacheStore requires a bucket');
+        }
+
+        this.name = 's3';
+        this.bucket = options.bucket;
+        this.prefix = options.prefix || 'result-cache/';
+        this.client = options.client || new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+    }
+
+    async get(key) {
+        try {
+            const response = await this.client.send(new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: `${this.prefix}${key}.json`
+            }));
+            return JSON.parse(await response.Body.transformToString());
+        } catch (error) {
+            if (error.name === 'NoSuchKey') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async put(key, entry) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: `${this.prefix}${key}.json`,
+            Body: JSON.stringify(entry),
+            ContentType: 'application/json',
+            ServerSideEncryption: 'AES256'
+        }));
+    }
+}
+
+let sharedStore;
+
+/**
+ * Shared store for the process
+ * RESULT_CACHE_STORE picks `dynamodb` (coordination table), `s3`
+ * (RESULT_CACHE_BUCKET, else DOCUMENTS_BUCKET) or `memory`. The default is
+ * DynamoDB when COORDINATION_TABLE is set, otherwise memory.
+ */
+const createResultCacheStore = () => {
+    if (sharedStore === undefined) {
+        const tableName = process.env.COORDINATION_TABLE;
+        const type = process.env.RESULT_CACHE_STORE || (tableName ? 'dynamodb' : 'memory');
+
+        switch (type) {
+            case 'dynamodb':
+                sharedStore = new DynamoDBResultCacheStore({ tableName });
+                break;
+            case 's3':
+                sharedStore = new S3ResultCacheStore({
+                    bucket: process.env.RESULT_CACHE_BUCKET || process.env.DOCUMENTS_BUCKET
+                });
+                break;
+            case 'memory':
+                sharedStore = new MemoryResultCacheStore();
+                break;
+            default:
+                throw new Error(`Unknown RESULT_CACHE_STORE: ${type}`);
+        }
+    }
+    return sharedStore;
+};
+
+export {
+    MemoryResultCacheStore,
+    DynamoDBResultCacheStore,
+    S3ResultCacheStore,
+    createResultCacheStore
+};
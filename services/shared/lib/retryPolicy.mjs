@@ -0,0 +1,243 @@
+/**
+ * Retry Policy
+ * Retries transient failures with jittered exponential backoff, bounded by a
+ * maximum number of attempts and an overall deadline
+ *
+ * Composes with CircuitBreaker: each attempt can run through a breaker, and
+ * an open circuit ends the retries instead of being hammered.
+ *
+ *   const policy = new RetryPolicy({ name: 'MyDorwaySearch', maxAttempts: 5, jitter: 'decorrelated' });
+ *   await policy.execute(() => search(), { circuitBreaker: mydorwayBreaker });
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+import Logger from './logger.mjs';
+
+const logger = new Logger('RetryPolicy');
+
+const Jitter = {
+    FULL: 'full',
+    DECORRELATED: 'decorrelated',
+    NONE: 'none'
+};
+
+// Transport, browser and throttling failures worth another attempt
+const RETRYABLE_ERROR_NAMES = new Set([
+    'TimeoutError',
+    'BulkheadRejectedError',
+    'ThrottlingException',
+    'Throttling',
+    'TooManyRequestsException',
+    'ProvisionedThroughputExceededException',
+    'RequestLimitExceeded',
+    'ServiceUnavailable',
+    'InternalError',
+    'InternalServerError'
+]);
+
+const RETRYABLE_ERROR_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ENOTFOUND'
+]);
+
+const RETRYABLE_MESSAGE_PATTERN = /timed? ?out|timeout|disconnected|socket hang up|net::ERR_|target closed|has been closed|page crashed|protocol error|session (closed|expired|not found)/i;
+
+/**
+ * Default classification: timeouts, disconnects, throttling and 5xx are
+ * retryable; everything else (validation failures, missing elements, an
+ * open circuit) is not
+ * An explicit `error.retryable` boolean always wins.
+ */
+const isRetryableError = (error) => {
+    if (!error) {
+        return false;
+    }
+    if (typeof error.retryable === 'boolean') {
+        return error.retryable;
+    }
+    if (error.name === 'CircuitOpenError' || error.name === 'AbortError') {
+        return false;
+    }
+    if (RETRYABLE_ERROR_NAMES.has(error.name) || RETRYABLE_ERROR_CODES.has(error.code)) {
+        return true;
+    }
+
+    // AWS SDK v3 errors
+    if (error.$retryable) {
+        return true;
+    }
+    const status = error.$metadata?.httpStatusCode;
+    if (status === 429 || status >= 500) {
+        return true;
+    }
+
+    return RETRYABLE_MESSAGE_PATTERN.test(error.message || '');
+};
+
+/**
+ * Mark an error as retryable (or not), overriding the default classification
+ */
+const markRetryable = (error, retryable = true) => {
+    error.retryable = retryable;
+    return error;
+};
+
+class RetryPolicy {
+    constructor(options = {}) {
+        this.name = options.name || 'default';
+        this.config = {
+            maxAttempts: options.maxAttempts || 3,  // Total attempts, including the first
+            baseDelay: options.baseDelay ?? 1000,   // First backoff step (ms)
+            maxDelay: options.maxDelay || 30000,    // Cap for a single delay (ms)
+            jitter: options.jitter || Jitter.FULL,  // full | decorrelated | none
+            deadline: options.deadline || null      // Overall time budget across attempts (ms)
+        };
+
+        if (!Object.values(Jitter).includes(this.config.jitter)) {
+            throw new Error(`Unknown retry jitter: ${this.config.jitter}`);
+        }
+
+        this.isRetryable = options.isRetryable || isRetryableError;
+        this.onRetry = options.onRetry || null;
+        this.circuitBreaker = options.circuitBreaker || null;
+    }
+
+    /**
+     * Run `fn` until it succeeds, fails with a non-retryable error, or the
+     * attempts or deadline run out; the last error is rethrown with
+     * `attempts` set
+     * `fn` receives `{ attempt, signal }`. `options.signal` cancels the
+     * retries (and, through a breaker, the running attempt); `options.operation`
+     * names the breaker call for adaptive timeouts. Per-call options
+     * override the policy's circuitBreaker, deadline and onRetry.
+     * `options.fallback(error)` supplies the result once the retries give up
+     * (not when cancelled), e.g. a ResultCache fallback.
+     */
+    async execute(fn, options = {}) {
+        if (!options.fallback) {
+            return await this.attemptAll(fn, options);
+        }
+
+        try {
+            return await this.attemptAll(fn, options);
+        } catch (error) {
+            if (options.signal?.aborted) {
+                throw error;
+            }
+
+            logger.warn('Retries gave up, using fallback', {
+                policy: this.name,
+                attempts: error.attempts,
+                error: error.message
+            });
+            return await options.fallback(error);
+        }
+    }
+
+    async attemptAll(fn, options) {
+        const circuitBreaker = options.circuitBreaker !== undefined ? options.circuitBreaker : this.circuitBreaker;
+        const deadline = options.deadline !== undefined ? options.deadline : this.config.deadline;
+        const onRetry = options.onRetry || this.onRetry;
+        const { signal, operation } = options;
+        const startTime = Date.now();
+
+        let previousDelay = this.config.baseDelay;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return circuitBreaker
+                    ? await circuitBreaker.execute(context => fn({ attempt, signal: context.signal }), null, { signal, operation })
+                    : await fn({ attempt, signal });
+
+            } catch (error) {
+                error.attempts = attempt;
+
+                if (signal?.aborted || !this.isRetryable(error)) {
+                    throw error;
+                }
+
+                if (attempt >= this.config.maxAttempts) {
+                    logger.error('Retry attempts exhausted', {
+                        policy: this.name,
+                        attempts: attempt,
+                        error: error.message
+                    });
+                    throw error;
+                }
+
+                const delay = this.getDelay(attempt, previousDelay);
+                previousDelay = delay;
+
+                const elapsed = Date.now() - startTime;
+                if (deadline && elapsed + delay >= deadline) {
+                    logger.error('Retry deadline exceeded', {
+                        policy: this.name,
+                        attempts: attempt,
+                        elapsed,
+                        deadline,
+                        error: error.message
+                    });
+                    throw error;
+                }
+
+                // Don't queue up another attempt behind a circuit that has
+                // just opened and won't allow it
+                if (circuitBreaker && circuitBreaker.state === 'OPEN' && circuitBreaker.nextAttempt > Date.now() + delay) {
+                    logger.warn('Circuit opened, giving up retries', {
+                        policy: this.name,
+                        circuitBreaker: circuitBreaker.name,
+                        attempts: attempt,
+                        error: error.message
+                    });
+                    throw error;
+                }
+
+                logger.warn('Retrying after error', {
+                    policy: this.name,
+                    attempt,
+                    nextAttempt: attempt + 1,
+                    delay,
+                    error: error.message
+                });
+
+                logger.metric('RetryAttempt', 1, 'Count', {
+                    RetryPolicy: this.name
+                });
+
+                if (onRetry) {
+                    await onRetry({ error, attempt, delay });
+                }
+
+                await sleep(delay, undefined, { signal });
+            }
+        }
+    }
+
+    /**
+     * Backoff before the attempt after `attempt`
+     * full: random in [0, base * 2^(attempt-1)]
+     * decorrelated: random in [base, previous * 3]
+     * none: base * 2^(attempt-1)
+     */
+    getDelay(attempt, previousDelay = this.config.baseDelay) {
+        const { baseDelay, maxDelay, jitter } = this.config;
+        const exponential = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+
+        switch (jitter) {
+            case Jitter.FULL:
+                return Math.floor(Math.random() * exponential);
+            case Jitter.DECORRELATED:
+                return Math.floor(Math.min(maxDelay, baseDelay + Math.random() * (previousDelay * 3 - baseDelay)));
+            default:
+                return exponential;
+        }
+    }
+}
+
+export { RetryPolicy, Jitter, isRetryableError, markRetryable };
+export default RetryPolicy;
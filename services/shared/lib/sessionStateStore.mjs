@@ -0,0 +1,237 @@
+/**
+ * Session State Stores
+ * Playwright storageState (cookies and localStorage) saved per site, so a
+ * new browser context can pick up where an earlier one left off
+ *
+ * Entries are { storageState, savedAt }. A store returns null for a state
+ * older than its maxAge; expired items are also removed by TTL/lifecycle.
+ */
+
+import {
+    DynamoDBClient,
+    PutItemCommand,
+    QueryCommand,
+    DeleteItemCommand
+} from '@aws-sdk/client-dynamodb';
+import {
+    S3Client,
+    GetObjectCommand,
+    PutObjectCommand,
+    DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+
+const DEFAULT_MAX_AGE = 12 * 60 * 60 * 1000; // 12 hours
+const KEY_PREFIX = 'site#';
+
+class MemorySessionStateStore {
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || Date.now() - entry.savedAt > this.maxAge) {
+            return null;
+        }
+        return structuredClone(entry);
+    }
+
+    async put(key, storageState) {
+        this.entries.set(key, structuredClone({ storageState, savedAt: Date.now() }));
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * DynamoDB store on the session table (sessionId + createdAt)
+ * Each save is a new item under `sessionId = site#<key>`; reads take the
+ * newest, and TTL removes the rest.
+ */
+class DynamoDBSessionStateStore {
+    constructor(options = {}) {
+        if (!options.tableName) {
+            throw new Error('DynamoDBSessionStateStore requires a tableName');
+        }
+
+        this.name = 'dynamodb';
+        this.tableName = options.tableName;
+        this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+        this.client = options.client || new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
+    }
+
+    async get(key) {
+        const response = await this.client.send(new QueryCommand({
+            TableName: this.tableName,
+            KeyConditionExpression: 'sessionId = :sessionId AND createdAt > :oldest',
+            ExpressionAttributeValues: {
+                ':sessionId': { S: `${KEY_PREFIX}${key}` },
+                ':oldest': { N: String(Date.now() - this.maxAge) }
+            },
+            ScanIndexForward: false,
+            Limit: 1
+        }));
+
+        const item = response.Items?.[0];
+        if (!item) {
+            return null;
+        }
+        return {
+            storageState: JSON.parse(item.storageState.S),
+            savedAt: Number(item.createdAt.N)
+        };
+    }
+
+    async put(key, storageState) {
+        const savedAt = Date.now();
+        await this.client.send(new PutItemCommand({
+            TableName: this.tableName,
+            Item: {
+                sessionId: { S: `${KEY_PREFIX}${key}` },
+                createdAt: { N: String(savedAt) },
+                storageState: { S: JSON.stringify(storageState) },
+                ttl: { N: String(Math.floor((savedAt + this.maxAge) / 1000)) }
+            }
+        }));
+    }
+
+    /**
+     * Delete every saved state for the key
+     */
+    async delete(key) {
+        let exclusiveStartKey;
+        do {
+            const response = await this.client.send(new QueryCommand({
+                TableName: this.tableName,
+                KeyConditionExpression: 'sessionId = :sessionId',
+                ExpressionAttributeValues: {
+                    ':sessionId': { S: `${KEY_PREFIX}${key}` }
+                },
+                ProjectionExpression: 'sessionId, createdAt',
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+
+            for (const item of response.Items || []) {
+                await this.client.send(new DeleteItemCommand({
+                    TableName: this.tableName,
+                    Key: {
+                        sessionId: item.sessionId,
+                        createdAt: item.createdAt
+                    }
+                }));
+            }
+
+            exclusiveStartKey = response.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+    }
+}
+
+/**
+ * S3 store: one JSON object per key under `prefix`
+ * For states too large for a DynamoDB item; expire them with a lifecycle rule
+ */
+class S3SessionStateStore {
+    constructor(options = {}) {
+        if (!options.bucket) {
+            throw new Error('S3SessionStateStore requires a bucket');
+        }
+
+        this.name = 's3';
+        this.bucket = options.bucket;
+        this.prefix = options.prefix || 'browser-sessions/';
+        this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+        this.client = options.client || new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+    }
+
+    objectKey(key) {
+        return `${this.prefix}${encodeURIComponent(key)}.json`;
+    }
+
+    async get(key) {
+        let entry;
+        try {
+            const response = await this.client.send(new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this.objectKey(key)
+            }));
+            entry = JSON.parse(await response.Body.transformToString());
+        } catch (error) {
+            if (error.name === 'NoSuchKey') {
+                return null;
+            }
+            throw error;
+        }
+
+        return Date.now() - entry.savedAt > this.maxAge ? null : entry;
+    }
+
+    async put(key, storageState) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            Body: JSON.stringify({ storageState, savedAt: Date.now() }),
+            ContentType: 'application/json',
+            ServerSideEncryption: 'AES256'
+        }));
+    }
+
+    async delete(key) {
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key)
+        }));
+    }
+}
+
+let sharedStore;
+
+/**
+ * Shared store for the process
+ * SESSION_STATE_STORE picks `dynamodb` (SESSION_TABLE), `s3`
+ * (SESSION_STATE_BUCKET, else DOCUMENTS_BUCKET), `memory` or `none`. The
+ * default is DynamoDB when SESSION_TABLE is set, otherwise memory.
+ * SESSION_STATE_MAX_AGE (ms) sets how long a saved state is used.
+ */
+const createSessionStateStore = () => {
+    if (sharedStore === undefined) {
+        const tableName = process.env.SESSION_TABLE;
+        const type = process.env.SESSION_STATE_STORE || (tableName ? 'dynamodb' : 'memory');
+        const maxAge = parseInt(process.env.SESSION_STATE_MAX_AGE || String(DEFAULT_MAX_AGE));
+
+        switch (type) {
+            case 'dynamodb':
+                sharedStore = new DynamoDBSessionStateStore({ tableName, maxAge });
+                break;
+            case 's3':
+                sharedStore = new S3SessionStateStore({
+                    bucket: process.env.SESSION_STATE_BUCKET || process.env.DOCUMENTS_BUCKET,
+                    maxAge
+                });
+                break;
+            case 'memory':
+                sharedStore = new MemorySessionStateStore({ maxAge });
+                break;
+            case 'none':
+                sharedStore = null;
+                break;
+            default:
+                throw new Error(`Unknown SESSION_STATE_STORE: ${type}`);
+        }
+    }
+    return sharedStore;
+};
+
+export {
+    MemorySessionStateStore,
+    DynamoDBSessionStateStore,
+    S3SessionStateStore,
+    createSessionStateStore
+};
@@ -0,0 +1,247 @@
+/**
+ * Span Tracing
+ * W3C Trace Context spans (https://www.w3.org/TR/trace-context/) and helpers
+ * that carry the `traceparent` through SQS message attributes, EventBridge
+ * details and Lambda invoke payloads
+ */
+
+import crypto from 'crypto';
+
+const TRACEPARENT_VERSION = '00';
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const FLAG_SAMPLED = 0x01;
+
+const SpanStatus = {
+    UNSET: 'UNSET',
+    OK: 'OK',
+    ERROR: 'ERROR'
+};
+
+const generateTraceId = () => crypto.randomBytes(16).toString('hex');
+const generateSpanId = () => crypto.randomBytes(8).toString('hex');
+
+/**
+ * Parse a traceparent header into a span context
+ * Returns null for missing or malformed values
+ */
+const parseTraceparent = (traceparent) => {
+    if (typeof traceparent !== 'string') {
+        return null;
+    }
+
+    const match = TRACEPARENT_PATTERN.exec(traceparent.trim().toLowerCase());
+    if (!match) {
+        return null;
+    }
+
+    const [, version, traceId, spanId, flags] = match;
+    if (version === 'ff' || traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) {
+        return null;
+    }
+
+    return {
+        traceId,
+        spanId,
+        sampled: (parseInt(flags, 16) & FLAG_SAMPLED) === FLAG_SAMPLED,
+        remote: true
+    };
+};
+
+/**
+ * Format a span context as a traceparent header
+ */
+const formatTraceparent = ({ traceId, spanId, sampled }) => {
+    return `${TRACEPARENT_VERSION}-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+};
+
+/**
+ * Root sampling decision; TRACE_SAMPLE_RATE is a fraction between 0 and 1
+ */
+const shouldSample = () => {
+    const rate = parseFloat(process.env.TRACE_SAMPLE_RATE ?? '1');
+    return Number.isFinite(rate) ? Math.random() < rate : true;
+};
+
+class Span {
+    constructor(name, options = {}) {
+        const parent = options.parent || null;
+
+        this.name = name;
+        this.traceId = parent?.traceId || generateTraceId();
+        this.spanId = generateSpanId();
+        this.parentSpanId = parent?.spanId || null;
+        this.sampled = parent ? parent.sampled !== false : shouldSample();
+        this.attributes = { ...options.attributes };
+        this.events = [];
+        this.status = SpanStatus.UNSET;
+        this.statusMessage = null;
+        this.startTime = Date.now();
+        this.endTime = null;
+        this.onEnd = options.onEnd || null;
+    }
+
+    get ended() {
+        return this.endTime !== null;
+    }
+
+    get duration() {
+        return (this.endTime ?? Date.now()) - this.startTime;
+    }
+
+    get traceparent() {
+        return formatTraceparent(this);
+    }
+
+    setAttribute(key, value) {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    /**
+     * Record a point-in-time event within the span
+     */
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, timestamp: new Date().toISOString(), attributes });
+        return this;
+    }
+
+    setStatus(status, message = null) {
+        this.status = status;
+        this.statusMessage = message;
+        return this;
+    }
+
+    /**
+     * Record an error and mark the span as failed
+     */
+    recordException(error) {
+        this.addEvent('exception', {
+            type: error?.name,
+            message: error?.message
+        });
+        return this.setStatus(SpanStatus.ERROR, error?.message);
+    }
+
+    /**
+     * End the span; later calls are ignored
+     * A span that ends without a recorded error is OK
+     */
+    end() {
+        if (this.ended) {
+            return;
+        }
+
+        this.endTime = Date.now();
+        if (this.status === SpanStatus.UNSET) {
+            this.status = SpanStatus.OK;
+        }
+        if (this.onEnd) {
+            this.onEnd(this);
+        }
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            traceId: this.traceId,
+            spanId: this.spanId,
+            parentSpanId: this.parentSpanId,
+            startTime: new Date(this.startTime).toISOString(),
+            endTime: this.endTime ? new Date(this.endTime).toISOString() : null,
+            durationMs: this.duration,
+            status: this.status,
+            statusMessage: this.statusMessage,
+            attributes: this.attributes,
+            events: this.events
+        };
+    }
+}
+
+/**
+ * Add the span's traceparent to SQS MessageAttributes
+ */
+const injectSqsAttributes = (attributes = {}, span) => {
+    if (!span) {
+        return attributes;
+    }
+
+    return {
+        ...attributes,
+        traceparent: {
+            DataType: 'String',
+            StringValue: formatTraceparent(span)
+        }
+    };
+};
+
+/**
+ * Add a `traceContext` field to an EventBridge Detail or Lambda invoke payload
+ */
+const injectTraceContext = (payload = {}, span) => {
+    if (!span) {
+        return payload;
+    }
+
+    return {
+        ...payload,
+        traceContext: {
+            traceparent: formatTraceparent(span)
+        }
+    };
+};
+
+/**
+ * Extract the upstream span context from an SQS record, EventBridge event,
+ * Lambda invoke payload or message body. Returns null when there is none.
+ */
+const extractTraceContext = (source) => {
+    if (!source || typeof source !== 'object') {
+        return null;
+    }
+
+    // SQS record attributes (Lambda event shape and SDK shape)
+    const attribute = source.messageAttributes?.traceparent?.stringValue ||
+        source.MessageAttributes?.traceparent?.StringValue;
+    if (attribute) {
+        return parseTraceparent(attribute);
+    }
+
+    const traceparent = source.traceContext?.traceparent ||
+        source.detail?.traceContext?.traceparent ||
+        source.headers?.traceparent;
+    if (traceparent) {
+        return parseTraceparent(traceparent);
+    }
+
+    // SQS body carrying an EventBridge event or invoke payload
+    if (source.body) {
+        try {
+            const body = typeof source.body === 'string' ? JSON.parse(source.body) : source.body;
+            return extractTraceContext(body);
+        } catch {
+            return null;
+        }
+    }
+
+    return null;
+};
+
+export {
+    Span,
+    SpanStatus,
+    parseTraceparent,
+    formatTraceparent,
+    generateTraceId,
+    generateSpanId,
+    injectSqsAttributes,
+    injectTraceContext,
+    extractTraceContext
+};
+export default Span;
@@ -0,0 +1,184 @@
+/**
+ * Browser pool endpoint tests
+ * Health checks must find out whether a remote browser endpoint is up
+ * without opening a browser session on it. No browser is launched here.
+ */
+
+import { jest } from '@jest/globals';
+import { createServer } from 'http';
+import { createServer as createTcpServer } from 'net';
+import BrowserPool from '../../lib/browserPool.mjs';
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+// A port nothing listens on
+const unusedPort = async () => {
+    const server = createTcpServer();
+    const port = await listen(server);
+    await close(server);
+    return port;
+};
+
+const createPool = (options = {}) => {
+    const pool = new BrowserPool({ sessionStore: null, endpointProbeTimeout: 1000, ...options });
+    pool.connectEndpoint = jest.fn(async () => {
+        throw new Error('health checks must not connect');
+    });
+    return pool;
+};
+
+describe('BrowserPool local fallback', () => {
+    afterEach(() => {
+        delete process.env.BROWSER_LOCAL_FALLBACK;
+    });
+
+    test('launches locally by default', () => {
+        expect(new BrowserPool({ sessionStore: null }).config.localFallback).toBe(true);
+    });
+
+    test('is turned off by BROWSER_LOCAL_FALLBACK=false or the option', () => {
+        process.env.BROWSER_LOCAL_FALLBACK = 'false';
+        expect(new BrowserPool({ sessionStore: null }).config.localFallback).toBe(false);
+
+        delete process.env.BROWSER_LOCAL_FALLBACK;
+        expect(new BrowserPool({ sessionStore: null, localFallback: false }).config.localFallback).toBe(false);
+    });
+});
+
+describe('BrowserPool endpoint probes', () => {
+    describe('DevTools endpoints', () => {
+        let server;
+        let port;
+        let requests;
+        let status;
+
+        beforeAll(async () => {
+            server = createServer((request, response) => {
+                requests.push({ url: request.url, token: request.headers['x-token'] });
+                response.writeHead(status, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ Browser: 'Chrome/120.0.0.0' }));
+            });
+            port = await listen(server);
+        });
+
+        afterAll(() => close(server));
+
+        beforeEach(() => {
+            requests = [];
+            status = 200;
+        });
+
+        test('asks /json/version instead of connecting', async () => {
+            const pool = createPool({
+                connectProtocol: 'cdp',
+                endpoints: [{ url: `ws://127.0.0.1:${port}/devtools/browser/abc`, headers: { 'x-token': 'secret' } }]
+            });
+
+            await pool.checkEndpoints();
+
+            expect(requests).toEqual([{ url: '/json/version', token: 'secret' }]);
+            expect(pool.connectEndpoint).not.toHaveBeenCalled();
+            expect(pool.endpoints[0].healthy).toBe(true);
+        });
+
+        test('marks an endpoint down when it answers with an error', async () => {
+            status = 503;
+            const pool = createPool({ connectProtocol: 'cdp', endpoints: [`http://127.0.0.1:${port}`] });
+
+            await pool.checkEndpoints();
+
+            expect(pool.endpoints[0]).toMatchObject({ healthy: false, failures: 1, lastError: 'DevTools endpoint answered 503' });
+        });
+
+        test('brings a down endpoint back once it answers', async () => {
+            const pool = createPool({ connectProtocol: 'cdp', endpoints: [`http://127.0.0.1:${port}`] });
+            Object.assign(pool.endpoints[0], { healthy: false, failures: 2, downUntil: 0 });
+
+            await pool.checkEndpoints();
+
+            expect(pool.endpoints[0]).toMatchObject({ healthy: true, failures: 0 });
+        });
+    });
+
+    describe('browser servers', () => {
+        test('only need to accept a connection', async () => {
+            const server = createTcpServer(socket => socket.end());
+            const port = await listen(server);
+            try {
+                const pool = createPool({ endpoints: [`ws://127.0.0.1:${port}/`] });
+
+                await pool.checkEndpoints();
+
+                expect(pool.connectEndpoint).not.toHaveBeenCalled();
+                expect(pool.endpoints[0].healthy).toBe(true);
+            } finally {
+                await close(server);
+            }
+        });
+
+        test('are down when nothing listens', async () => {
+            const pool = createPool({ endpoints: [`ws://127.0.0.1:${await unusedPort()}/`] });
+
+            await pool.checkEndpoints();
+
+            expect(pool.endpoints[0]).toMatchObject({ healthy: false, failures: 1 });
+            expect(pool.endpoints[0].downUntil).toBeGreaterThan(Date.now());
+        });
+    });
+
+    test('skips endpoints a pooled browser is connected to', async () => {
+        const pool = createPool({ endpoints: [`ws://127.0.0.1:${await unusedPort()}/`] });
+        pool.browsers.set('remote', { id: 'remote', endpoint: pool.endpoints[0] });
+
+        await pool.checkEndpoints();
+
+        expect(pool.endpoints[0]).toMatchObject({ healthy: true, failures: 0 });
+    });
+});
+
+describe('BrowserPool browser health', () => {
+    const fakeBrowser = (endpoint = null) => ({
+        id: 'browser',
+        endpoint,
+        isHealthy: true,
+        instance: {
+            isConnected: () => true,
+            contexts: () => [],
+            newContext: jest.fn(async () => ({
+                newPage: async () => ({ evaluate: async fn => fn(), close: async () => {} }),
+                close: async () => {}
+            }))
+        }
+    });
+
+    test('checks a remote browser through its connection only', async () => {
+        const pool = createPool();
+        const browser = fakeBrowser({ name: 'browsers.internal:3000' });
+
+        await pool.checkBrowserHealth(browser.id, browser);
+
+        expect(browser.instance.newContext).not.toHaveBeenCalled();
+        expect(browser.isHealthy).toBe(true);
+    });
+
+    test('marks a disconnected remote browser unhealthy', async () => {
+        const pool = createPool();
+        const browser = fakeBrowser({ name: 'browsers.internal:3000' });
+        browser.instance.isConnected = () => false;
+
+        await pool.checkBrowserHealth(browser.id, browser);
+
+        expect(browser.isHealthy).toBe(false);
+    });
+
+    test('still opens a test page on a local browser', async () => {
+        const pool = createPool();
+        const browser = fakeBrowser();
+
+        await pool.checkBrowserHealth(browser.id, browser);
+
+        expect(browser.instance.newContext).toHaveBeenCalledTimes(1);
+        expect(browser.isHealthy).toBe(true);
+    });
+});
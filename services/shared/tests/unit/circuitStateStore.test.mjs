@@ -0,0 +1,203 @@
+/**
+ * Circuit state store tests
+ * The memory store stands in for DynamoDB, so its conditional writes must
+ * behave the same way; breakers sharing one store act as separate containers.
+ */
+
+import { jest } from '@jest/globals';
+import CircuitBreaker, { CircuitOpenError } from '../../lib/circuitBreaker.mjs';
+import { MemoryCircuitStateStore } from '../../lib/circuitStateStore.mjs';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createBreaker = (store, options = {}) => new CircuitBreaker('SharedSite', {
+    stateStore: store,
+    registry: null,
+    stateSyncInterval: 0,
+    threshold: 1,
+    resetTimeout: 50,
+    ...options
+});
+
+const fail = async () => {
+    throw new Error('site down');
+};
+
+describe('MemoryCircuitStateStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MemoryCircuitStateStore();
+    });
+
+    test('markOpen on an open circuit keeps the first writer', async () => {
+        expect(await store.markOpen('site', 1000, 'a')).toBe(true);
+        expect(await store.markOpen('site', 2000, 'b')).toBe(false);
+
+        const item = await store.getState('site');
+        expect(item.state).toBe('OPEN');
+        expect(item.nextAttempt).toBe(1000);
+        expect(item.updatedBy).toBe('a');
+    });
+
+    test('only one owner acquires the probe', async () => {
+        await store.markOpen('site', Date.now() - 1, 'a');
+
+        const results = await Promise.all([
+            store.tryAcquireProbe('site', 'a', 1000),
+            store.tryAcquireProbe('site', 'b', 1000)
+        ]);
+        expect(results).toEqual([true, false]);
+        expect((await store.getState('site')).probeOwner).toBe('a');
+    });
+
+    test('an expired probe lease can be taken over', async () => {
+        await store.tryAcquireProbe('site', 'a', -1);
+        expect(await store.tryAcquireProbe('site', 'b', 1000)).toBe(true);
+        expect((await store.getState('site')).probeOwner).toBe('b');
+    });
+
+    test('markClosed with the wrong probe owner is ignored', async () => {
+        await store.markOpen('site', Date.now() - 1, 'a');
+        await store.tryAcquireProbe('site', 'a', 1000);
+
+        expect(await store.markClosed('site', 'b', 'b')).toBe(false);
+        expect((await store.getState('site')).state).toBe('HALF_OPEN');
+
+        expect(await store.markClosed('site', 'a', 'a')).toBe(true);
+        expect((await store.getState('site')).state).toBe('CLOSED');
+    });
+
+    test('markClosed without a probe owner always wins', async () => {
+        await store.forceOpen('site', Date.now() + 60000, 'operator', 'maintenance');
+        expect(await store.markClosed('site', 'operator')).toBe(true);
+        expect((await store.getState('site')).state).toBe('CLOSED');
+    });
+});
+
+describe('CircuitBreaker with a shared store', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MemoryCircuitStateStore();
+    });
+
+    test('a circuit opened by one breaker rejects calls on the other', async () => {
+        const a = createBreaker(store);
+        const b = createBreaker(store);
+
+        await expect(a.execute(fail)).rejects.toThrow('site down');
+        expect(a.state).toBe('OPEN');
+
+        const fn = jest.fn(async () => 'ok');
+        await expect(b.execute(fn)).rejects.toBeInstanceOf(CircuitOpenError);
+        expect(fn).not.toHaveBeenCalled();
+        expect(b.state).toBe('OPEN');
+        expect(b.nextAttempt).toBe(a.nextAttempt);
+    });
+
+    test('two breakers past the open period send a single probe', async () => {
+        const a = createBreaker(store);
+        const b = createBreaker(store);
+
+        await expect(a.execute(fail)).rejects.toThrow('site down');
+        await expect(b.execute(fail)).rejects.toBeInstanceOf(CircuitOpenError);
+        await sleep(60);
+
+        let release;
+        const probe = jest.fn(() => new Promise(resolve => {
+            release = resolve;
+        }));
+
+        const calls = [a.execute(probe), b.execute(probe)];
+        const rejected = await Promise.race(calls.map(call => call.then(() => null, error => error)));
+        expect(rejected).toBeInstanceOf(CircuitOpenError);
+        expect(probe).toHaveBeenCalledTimes(1);
+
+        release('ok');
+        await Promise.allSettled(calls);
+        expect((await store.getState('SharedSite')).state).toBe('CLOSED');
+    });
+
+    test('a successful probe on one breaker closes the other', async () => {
+        const a = createBreaker(store);
+        const b = createBreaker(store);
+
+        await expect(a.execute(fail)).rejects.toThrow('site down');
+        await expect(b.execute(fail)).rejects.toBeInstanceOf(CircuitOpenError);
+        await sleep(60);
+
+        await expect(a.execute(async () => 'ok')).resolves.toBe('ok');
+        expect(a.state).toBe('CLOSED');
+
+        await expect(b.execute(async () => 'ok')).resolves.toBe('ok');
+        expect(b.state).toBe('CLOSED');
+    });
+
+    test('a probe result from a breaker that lost its lease is not shared', async () => {
+        const a = createBreaker(store, { probeLease: 10 });
+        const b = createBreaker(store);
+
+        await expect(a.execute(fail)).rejects.toThrow('site down');
+        await sleep(60);
+
+        let release;
+        const slowProbe = a.execute(() => new Promise(resolve => {
+            release = resolve;
+        }));
+        await sleep(20);
+
+        // a's lease has expired; b takes the probe over and fails it
+        await expect(b.execute(fail)).rejects.toThrow('site down');
+        expect((await store.getState('SharedSite')).state).toBe('OPEN');
+
+        release('ok');
+        await slowProbe;
+        expect((await store.getState('SharedSite')).state).toBe('OPEN');
+    });
+
+    describe('registration', () => {
+        test('a breaker registers its config when it is created', async () => {
+            const a = createBreaker(store, { threshold: 3, maxConcurrent: 2 });
+            await a.pendingStateWrite;
+
+            const registration = await store.getRegistration('SharedSite');
+            expect(registration).toMatchObject({
+                lastState: 'CLOSED',
+                instanceId: a.instanceId,
+                config: { threshold: 3, resetTimeout: 50, maxConcurrent: 2 }
+            });
+            expect(await store.getState('SharedSite')).toBeNull();
+        });
+
+        test('state changes update the registration', async () => {
+            const a = createBreaker(store);
+
+            await expect(a.execute(fail)).rejects.toThrow('site down');
+            expect((await store.getRegistration('SharedSite')).lastState).toBe('OPEN');
+
+            await a.close();
+            expect((await store.getRegistration('SharedSite')).lastState).toBe('CLOSED');
+        });
+
+        test('an idle breaker refreshes its registration', async () => {
+            const a = createBreaker(store, { registrationInterval: 10 });
+            await a.pendingStateWrite;
+            const { lastSeen } = await store.getRegistration('SharedSite');
+
+            await sleep(20);
+            await a.execute(async () => 'ok');
+            expect((await store.getRegistration('SharedSite')).lastSeen).toBeGreaterThan(lastSeen);
+        });
+
+        test('a store that fails to register does not break the breaker', async () => {
+            store.register = async () => {
+                throw new Error('table unreachable');
+            };
+            const a = createBreaker(store);
+
+            await expect(a.execute(async () => 'ok')).resolves.toBe('ok');
+            expect(await store.listRegistrations()).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,223 @@
+/**
+ * CloudWatch log shipper tests
+ * Runs the shipper against the local CloudWatch Logs stand-in, which
+ * enforces the PutLogEvents limits and can inject failures.
+ */
+
+import { PutLogEventsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import CloudWatchLogShipper, { MAX_BATCH_BYTES, MAX_BATCH_EVENTS } from '../../lib/cloudWatchShipper.mjs';
+import LocalCloudWatchLogsClient from '../../lib/localCloudWatchLogs.mjs';
+
+const GROUP = '/scdor/test';
+const STREAM = 'unit';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const putCalls = (client) => client.calls.filter(call => call.command === 'PutLogEventsCommand');
+
+describe('CloudWatchLogShipper', () => {
+    let client;
+    let dropped;
+
+    const createShipper = (options = {}) => new CloudWatchLogShipper({
+        client,
+        logGroup: GROUP,
+        logStream: STREAM,
+        baseRetryDelay: 1,
+        maxRetryDelay: 1,
+        onDropped: (count, reason) => dropped.push({ count, reason }),
+        ...options
+    });
+
+    beforeEach(() => {
+        client = new LocalCloudWatchLogsClient();
+        dropped = [];
+    });
+
+    test('creates the group and stream and ships events in order', async () => {
+        const shipper = createShipper();
+        shipper.enqueue(2000, 'second');
+        shipper.enqueue(1000, 'first');
+
+        await shipper.flush();
+
+        expect(client.getEvents(GROUP, STREAM).map(event => event.message)).toEqual(['first', 'second']);
+        expect(shipper.getStats()).toMatchObject({ shipped: 2, batches: 1, dropped: 0, buffered: 0 });
+    });
+
+    describe('batch splitting', () => {
+        test(`splits at ${MAX_BATCH_EVENTS} events`, async () => {
+            const shipper = createShipper({ maxBufferSize: MAX_BATCH_EVENTS + 1 });
+            for (let i = 0; i <= MAX_BATCH_EVENTS; i++) {
+                shipper.enqueue(1000 + i, `event ${i}`);
+            }
+
+            await shipper.flush();
+
+            expect(putCalls(client).map(call => call.input.logEvents.length)).toEqual([MAX_BATCH_EVENTS, 1]);
+            expect(client.getEvents(GROUP, STREAM)).toHaveLength(MAX_BATCH_EVENTS + 1);
+        });
+
+        test('splits at 1 MB', async () => {
+            const shipper = createShipper();
+            const message = 'x'.repeat(200000);
+            for (let i = 0; i < 6; i++) {
+                shipper.enqueue(1000 + i, message);
+            }
+
+            await shipper.flush();
+
+            const batches = putCalls(client).map(call => call.input.logEvents);
+            expect(batches.map(batch => batch.length)).toEqual([5, 1]);
+            for (const batch of batches) {
+                const bytes = batch.reduce((total, event) => total + event.message.length + 26, 0);
+                expect(bytes).toBeLessThanOrEqual(MAX_BATCH_BYTES);
+            }
+            expect(shipper.getStats()).toMatchObject({ shipped: 6, batches: 2 });
+        });
+    });
+
+    describe('retries', () => {
+        test('retries injected failures and then ships', async () => {
+            const shipper = createShipper({ maxRetries: 3 });
+            client.failNext(2, 'ThrottlingException', 400);
+            shipper.enqueue(1000, 'hello');
+
+            await shipper.flush();
+
+            expect(client.getEvents(GROUP, STREAM)).toHaveLength(1);
+            expect(shipper.getStats()).toMatchObject({ shipped: 1, retries: 2, failedBatches: 0 });
+        });
+
+        test('requeues the batch once retries run out', async () => {
+            const shipper = createShipper({ maxRetries: 1 });
+            client.failNext(2);
+            shipper.enqueue(1000, 'hello');
+
+            await shipper.flush();
+
+            expect(shipper.getStats()).toMatchObject({ shipped: 0, retries: 1, failedBatches: 1, buffered: 1 });
+
+            await shipper.flush();
+            expect(client.getEvents(GROUP, STREAM).map(event => event.message)).toEqual(['hello']);
+        });
+
+        test('does not retry client errors', async () => {
+            const shipper = createShipper({ maxRetries: 3 });
+            client.failNext(1, 'InvalidParameterException', 400);
+            shipper.enqueue(1000, 'hello');
+
+            await shipper.flush();
+
+            expect(shipper.getStats()).toMatchObject({ retries: 0, failedBatches: 1, buffered: 1 });
+        });
+
+        test('treats $retryable as retryable only when it is set', () => {
+            const shipper = createShipper();
+            const error = (fields) => Object.assign(new Error('failed'), { name: 'SomeError', ...fields });
+
+            expect(shipper.isRetryable(error({ $retryable: undefined }))).toBe(false);
+            expect(shipper.isRetryable(error({ $retryable: { throttling: true } }))).toBe(true);
+        });
+
+        test('recreates the group and stream after they are deleted', async () => {
+            const shipper = createShipper();
+            shipper.enqueue(1000, 'before');
+            await shipper.flush();
+
+            client.deleteLogGroup(GROUP);
+            shipper.enqueue(2000, 'after');
+            await shipper.flush();
+
+            const creates = client.calls.filter(call => call.command === 'CreateLogGroupCommand');
+            expect(creates).toHaveLength(2);
+            expect(client.getEvents(GROUP, STREAM).map(event => event.message)).toEqual(['after']);
+            expect(shipper.getStats()).toMatchObject({ shipped: 2, failedBatches: 0 });
+        });
+    });
+
+    describe('dropped events', () => {
+        test('drops the oldest event when the buffer is full', () => {
+            const shipper = createShipper({ maxBufferSize: 2 });
+            shipper.enqueue(1000, 'one');
+            shipper.enqueue(2000, 'two');
+            shipper.enqueue(3000, 'three');
+
+            expect(shipper.buffer.map(event => event.message)).toEqual(['two', 'three']);
+            expect(dropped).toEqual([{ count: 1, reason: 'buffer_full' }]);
+        });
+
+        test('drops the oldest unsent events when a requeue overflows the buffer', async () => {
+            const shipper = createShipper({ maxBufferSize: 5, maxRetries: 0 });
+            for (let i = 0; i < 5; i++) {
+                shipper.enqueue(1000 + i, `old ${i}`);
+            }
+
+            // New entries arrive while the failing batch is in flight
+            const send = client.send.bind(client);
+            let arrived = false;
+            client.send = async (command) => {
+                if (command instanceof PutLogEventsCommand && !arrived) {
+                    arrived = true;
+                    for (let i = 0; i < 3; i++) {
+                        shipper.enqueue(2000 + i, `new ${i}`);
+                    }
+                }
+                return send(command);
+            };
+            client.failNext(1);
+
+            await shipper.flush();
+
+            expect(dropped).toEqual([{ count: 3, reason: 'retry_overflow' }]);
+            expect(shipper.buffer.map(event => event.message)).toEqual(['old 3', 'old 4', 'new 0', 'new 1', 'new 2']);
+            expect(shipper.getStats()).toMatchObject({ dropped: 3, failedBatches: 1 });
+        });
+
+        test('counts events CloudWatch rejects', async () => {
+            const shipper = createShipper();
+            client.putLogEvents = () => ({ rejectedLogEventsInfo: { tooOldLogEventEndIndex: 0 } });
+            shipper.enqueue(1000, 'stale');
+            shipper.enqueue(2000, 'fresh');
+
+            await shipper.flush();
+
+            expect(dropped).toEqual([{ count: 1, reason: 'rejected' }]);
+            expect(shipper.getStats()).toMatchObject({ shipped: 1, dropped: 1 });
+        });
+    });
+
+    test('serializes concurrent flushes', async () => {
+        const shipper = createShipper();
+        const send = client.send.bind(client);
+        let inFlight = 0;
+        let maxInFlight = 0;
+        client.send = async (command) => {
+            if (!(command instanceof PutLogEventsCommand)) {
+                return send(command);
+            }
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await sleep(10);
+            inFlight--;
+            return send(command);
+        };
+
+        shipper.enqueue(1000, 'first');
+        const first = shipper.flush();
+        await sleep(1);
+        shipper.enqueue(2000, 'second');
+        const second = shipper.flush();
+
+        let firstDone = false;
+        first.then(() => {
+            firstDone = true;
+        });
+        await second;
+
+        expect(firstDone).toBe(true);
+        expect(maxInFlight).toBe(1);
+        expect(putCalls(client)).toHaveLength(2);
+        expect(client.getEvents(GROUP, STREAM).map(event => event.message)).toEqual(['first', 'second']);
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Metrics tests
+ * The alarms in infrastructure/monitoring/alarms.yaml read these metrics
+ * from the `${ProjectName}/${Environment}` namespace without dimensions, so
+ * the document shape matters as much as the values.
+ */
+
+import MetricsRecorder, { MemoryMetricSink, CounterDeltas } from '../../lib/metrics.mjs';
+import Logger from '../../lib/logger.mjs';
+
+// Metrics alarms.yaml alarms on, as the services record them
+const ALARMED_METRICS = [
+    ['ErrorRate', 'Percent', {}],
+    ['BrowserCrashRate', 'Percent', {}],
+    ['CaptchaSuccessRate', 'Percent', {}],
+    ['ProcessingTime', 'Seconds', {}],
+    ['CircuitBreakerOpen', 'Count', { CircuitBreaker: 'MyDorwaySite' }],
+    ['AvailableBrowsers', 'Count', {}]
+];
+
+describe('MetricsRecorder', () => {
+    let sink;
+    let recorder;
+
+    beforeEach(() => {
+        sink = new MemoryMetricSink();
+        recorder = new MetricsRecorder({ namespace: 'scdor-rebuild/test', sink });
+    });
+
+    test('aggregates metrics with the same dimensions into one document', () => {
+        recorder.record('Processed', 1, 'Count', { Service: 'uitax-bot' });
+        recorder.record('Processed', 1, 'Count', { Service: 'uitax-bot' });
+        recorder.record('ProcessingTime', 12.5, 'Seconds', { Service: 'uitax-bot' });
+        recorder.flush();
+
+        expect(sink.documents).toHaveLength(1);
+        const [document] = sink.documents;
+        expect(document.Service).toBe('uitax-bot');
+        expect(document.Processed).toEqual([1, 1]);
+        expect(document.ProcessingTime).toBe(12.5);
+        expect(document._aws.CloudWatchMetrics[0].Metrics).toEqual([
+            { Name: 'Processed', Unit: 'Count' },
+            { Name: 'ProcessingTime', Unit: 'Seconds' }
+        ]);
+        expect(recorder.pendingCount()).toBe(0);
+    });
+
+    test('keeps dimension orders together and other dimensions apart', () => {
+        recorder.record('Requests', 1, 'Count', { Service: 'a', Site: 'x' });
+        recorder.record('Requests', 1, 'Count', { Site: 'x', Service: 'a' });
+        recorder.record('Requests', 1, 'Count', { Service: 'b', Site: 'x' });
+        recorder.flush();
+
+        expect(sink.documents).toHaveLength(2);
+        expect(sink.getValues('Requests', { Service: 'a' })).toEqual([1, 1]);
+        expect(sink.getValues('Requests', { Service: 'b' })).toEqual([1]);
+    });
+
+    test('flushes a group early at 100 values', () => {
+        for (let i = 0; i < 99; i++) {
+            recorder.record('Latency', i, 'Milliseconds');
+        }
+        expect(sink.documents).toHaveLength(0);
+        expect(recorder.pendingCount()).toBe(99);
+
+        recorder.record('Latency', 99, 'Milliseconds');
+        expect(sink.documents).toHaveLength(1);
+        expect(sink.documents[0].Latency).toHaveLength(100);
+        expect(recorder.pendingCount()).toBe(0);
+
+        recorder.record('Latency', 100, 'Milliseconds');
+        recorder.flush();
+        expect(sink.documents).toHaveLength(2);
+        expect(sink.getValues('Latency')).toHaveLength(101);
+    });
+
+    test('falls back to None for unknown units', () => {
+        recorder.record('Widgets', 3, 'widgets');
+        recorder.record('Elapsed', 2, 'Seconds');
+        recorder.flush();
+
+        expect(sink.getUnit('Widgets')).toBe('None');
+        expect(sink.getUnit('Elapsed')).toBe('Seconds');
+    });
+
+    test('ignores values that are not finite numbers', () => {
+        recorder.record('Rate', NaN, 'Percent');
+        recorder.record('Rate', Infinity, 'Percent');
+        recorder.record('Rate', '5', 'Percent');
+        expect(recorder.pendingCount()).toBe(0);
+    });
+
+    test('publishes a dimensionless set next to the dimensions', () => {
+        recorder.record('ErrorRate', 5, 'Percent', { Service: 'uitax-bot' });
+        recorder.record('Uptime', 1, 'Count');
+        recorder.flush();
+
+        const dimensionSets = sink.documents.map(document => document._aws.CloudWatchMetrics[0].Dimensions);
+        expect(dimensionSets).toEqual([[['Service'], []], [[]]]);
+    });
+
+    test('can leave the dimensionless set out', () => {
+        recorder = new MetricsRecorder({ namespace: 'scdor-rebuild/test', sink, includeDimensionless: false });
+        recorder.record('ErrorRate', 5, 'Percent', { Service: 'uitax-bot' });
+        recorder.flush();
+
+        expect(sink.documents[0]._aws.CloudWatchMetrics[0].Dimensions).toEqual([['Service']]);
+    });
+
+    test('defaults the namespace to the one alarms.yaml reads', () => {
+        const previous = { project: process.env.PROJECT_NAME, environment: process.env.ENVIRONMENT };
+        process.env.PROJECT_NAME = 'scdor-rebuild';
+        process.env.ENVIRONMENT = 'prod';
+        try {
+            expect(new MetricsRecorder({ sink }).namespace).toBe('scdor-rebuild/prod');
+        } finally {
+            for (const [key, value] of [['PROJECT_NAME', previous.project], ['ENVIRONMENT', previous.environment]]) {
+                if (value === undefined) {
+                    delete process.env[key];
+                } else {
+                    process.env[key] = value;
+                }
+            }
+        }
+    });
+});
+
+describe('Logger metrics', () => {
+    test.each(ALARMED_METRICS)('%s reaches the namespace without dimensions', (name, unit, dimensions) => {
+        const sink = new MemoryMetricSink();
+        const metricsRecorder = new MetricsRecorder({ namespace: 'scdor-rebuild/test', sink });
+        const logger = new Logger('test-service', { metricsRecorder, transports: [] });
+
+        logger.metric(name, 1, unit, dimensions);
+        logger.flushMetrics();
+
+        const [document] = sink.documents;
+        const [directive] = document._aws.CloudWatchMetrics;
+        expect(directive.Namespace).toBe('scdor-rebuild/test');
+        expect(directive.Dimensions).toContainEqual([]);
+        expect(directive.Metrics).toEqual([{ Name: name, Unit: unit }]);
+        expect(sink.getValues(name)).toEqual([1]);
+    });
+});
+
+describe('CounterDeltas', () => {
+    test('reports the change in numeric counters since the last call', () => {
+        const deltas = new CounterDeltas();
+
+        expect(deltas.next({ processed: 3, failed: 1 })).toEqual({ processed: 3, failed: 1 });
+        expect(deltas.next({ processed: 5, failed: 1 })).toEqual({ processed: 2, failed: 0 });
+        expect(deltas.next({ processed: 5, failed: 1 })).toEqual({ processed: 0, failed: 0 });
+    });
+
+    test('starts counters it has not seen at zero', () => {
+        const deltas = new CounterDeltas();
+        deltas.next({ processed: 2 });
+
+        expect(deltas.next({ processed: 2, crashed: 1 })).toEqual({ processed: 0, crashed: 1 });
+    });
+
+    test('returns the items appended to arrays since the last call', () => {
+        const deltas = new CounterDeltas();
+        const processingTimes = [100, 200];
+
+        expect(deltas.next({ processingTimes })).toEqual({ processingTimes: [100, 200] });
+        processingTimes.push(300);
+        expect(deltas.next({ processingTimes })).toEqual({ processingTimes: [300] });
+        expect(deltas.next({ processingTimes })).toEqual({ processingTimes: [] });
+    });
+
+    test('skips values that are not counters', () => {
+        const deltas = new CounterDeltas();
+        expect(deltas.next({ processed: 1, lastError: 'timeout', startedAt: null })).toEqual({ processed: 1 });
+    });
+});
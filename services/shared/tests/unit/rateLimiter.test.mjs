@@ -0,0 +1,219 @@
+/**
+ * Rate limiter tests
+ * Covers the token bucket math, quiet-hours windows (including ones that
+ * wrap midnight) and the local fallback when the shared store is down.
+ */
+
+import { jest } from '@jest/globals';
+import RateLimiter, { RateLimitExceededError, parseQuietHours } from '../../lib/rateLimiter.mjs';
+import { MemoryRateLimitStore } from '../../lib/rateLimitStore.mjs';
+
+const HOST = 'mydorway.dor.sc.gov';
+const at = (iso) => new Date(iso).getTime();
+
+describe('MemoryRateLimitStore', () => {
+    const limit = { rate: 2, burst: 3 };
+    let store;
+    let now;
+
+    beforeEach(() => {
+        store = new MemoryRateLimitStore();
+        now = at('2026-03-02T12:00:00Z');
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('starts full and drains one token per take', async () => {
+        const takes = [];
+        for (let i = 0; i < 3; i++) {
+            takes.push(await store.tryAcquire(HOST, limit));
+        }
+
+        expect(takes.map(take => take.tokens)).toEqual([2, 1, 0]);
+        expect(takes.every(take => take.acquired)).toBe(true);
+    });
+
+    test('reports how long until the next token', async () => {
+        await store.tryAcquire(HOST, limit, 3);
+
+        expect(await store.tryAcquire(HOST, limit)).toEqual({ acquired: false, tokens: 0, waitMs: 500 });
+        expect(await store.tryAcquire(HOST, limit, 2)).toEqual({ acquired: false, tokens: 0, waitMs: 1000 });
+    });
+
+    test('refills at rate tokens per second', async () => {
+        await store.tryAcquire(HOST, limit, 3);
+
+        now += 250;
+        expect(await store.tryAcquire(HOST, limit)).toEqual({ acquired: false, tokens: 0.5, waitMs: 250 });
+
+        now += 250;
+        expect(await store.tryAcquire(HOST, limit)).toEqual({ acquired: true, tokens: 0, waitMs: 0 });
+    });
+
+    test('never refills past burst', async () => {
+        await store.tryAcquire(HOST, limit, 3);
+
+        now += 60000;
+        const take = await store.tryAcquire(HOST, limit);
+        expect(take.tokens).toBe(2);
+        expect(await store.getBucket(HOST)).toEqual({ tokens: 2, updatedAt: now });
+    });
+
+    test('keeps a bucket per key', async () => {
+        await store.tryAcquire(HOST, limit, 3);
+        expect((await store.tryAcquire('uitax.sc.gov', limit)).acquired).toBe(true);
+    });
+});
+
+describe('parseQuietHours', () => {
+    test('parses strings, objects and lists', () => {
+        expect(parseQuietHours('01:00-05:30')).toEqual([{ start: 60, end: 330, rate: 0 }]);
+        expect(parseQuietHours('22:00-06:00,12:00-13:00')).toEqual([
+            { start: 1320, end: 360, rate: 0 },
+            { start: 720, end: 780, rate: 0 }
+        ]);
+        expect(parseQuietHours([{ start: '23:00', end: '02:00', rate: 0.1 }])).toEqual([
+            { start: 1380, end: 120, rate: 0.1 }
+        ]);
+        expect(parseQuietHours(undefined)).toEqual([]);
+    });
+
+    test.each(['25:00-01:00', '01:00-1:5', 'midnight-01:00'])('rejects %s', (value) => {
+        expect(() => parseQuietHours(value)).toThrow('Invalid quiet hours time');
+    });
+});
+
+describe('RateLimiter', () => {
+    const createLimiter = (limit, options = {}) => new RateLimiter({
+        name: 'Test',
+        timezone: 'UTC',
+        store: new MemoryRateLimitStore(),
+        limits: { [HOST]: limit },
+        ...options
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('quiet hours', () => {
+        const limiter = createLimiter({ rate: 1, quietHours: '22:00-06:00' });
+        const limit = limiter.limitFor(HOST);
+
+        test.each([
+            ['before midnight', '2026-03-02T23:30:15Z', '2026-03-03T06:00:00Z'],
+            ['after midnight', '2026-03-03T05:00:00Z', '2026-03-03T06:00:00Z'],
+            ['at the start', '2026-03-02T22:00:00Z', '2026-03-03T06:00:00Z']
+        ])('a window wrapping midnight covers %s', (label, now, endsAt) => {
+            expect(limiter.quietWindow(limit, at(now))).toEqual({ rate: 0, endsAt: at(endsAt) });
+        });
+
+        test.each([
+            ['at the end', '2026-03-03T06:00:00Z'],
+            ['in the day', '2026-03-03T12:00:00Z'],
+            ['just before the start', '2026-03-02T21:59:59Z']
+        ])('a window wrapping midnight is open %s', (label, now) => {
+            expect(limiter.quietWindow(limit, at(now))).toBeNull();
+        });
+
+        test('a same-day window ends the same day', () => {
+            const dayLimiter = createLimiter({ rate: 1, quietHours: '01:00-05:00' });
+            const dayLimit = dayLimiter.limitFor(HOST);
+
+            expect(dayLimiter.quietWindow(dayLimit, at('2026-03-03T00:59:00Z'))).toBeNull();
+            expect(dayLimiter.quietWindow(dayLimit, at('2026-03-03T03:00:00Z')))
+                .toEqual({ rate: 0, endsAt: at('2026-03-03T05:00:00Z') });
+        });
+
+        test('windows are read in the limiter time zone', () => {
+            const easternLimiter = createLimiter({ rate: 1, quietHours: '22:00-06:00' }, { timezone: 'America/New_York' });
+            const easternLimit = easternLimiter.limitFor(HOST);
+
+            // 02:00 UTC is 21:00 EST, 04:00 UTC is 23:00 EST
+            expect(easternLimiter.quietWindow(easternLimit, at('2026-01-15T02:00:00Z'))).toBeNull();
+            expect(easternLimiter.quietWindow(easternLimit, at('2026-01-15T04:00:00Z')))
+                .toEqual({ rate: 0, endsAt: at('2026-01-15T11:00:00Z') });
+        });
+
+        test('acquire rejects during a window without a rate', async () => {
+            jest.spyOn(Date, 'now').mockReturnValue(at('2026-03-02T23:30:00Z'));
+
+            const error = await limiter.acquire(`https://${HOST}/DORway/Delinquent.aspx`).catch(e => e);
+            expect(error).toBeInstanceOf(RateLimitExceededError);
+            expect(error.reason).toBe('quiet_hours');
+            expect(error.retryable).toBe(false);
+            expect(error.retryAfter).toBe(at('2026-03-03T06:00:00Z'));
+        });
+
+        test('acquire uses the window rate during a slow window', async () => {
+            const slowLimiter = createLimiter({ rate: 10, burst: 1, quietHours: [{ start: '22:00', end: '06:00', rate: 0.5 }] });
+            jest.spyOn(Date, 'now').mockReturnValue(at('2026-03-02T23:30:00Z'));
+
+            await slowLimiter.acquire(HOST);
+            const error = await slowLimiter.acquire(HOST, { maxWait: 1999 }).catch(e => e);
+            expect(error.reason).toBe('max_wait');
+        });
+    });
+
+    describe('maxWait', () => {
+        test('rejects when the next token is further away than maxWait', async () => {
+            const limiter = createLimiter({ rate: 0.1, burst: 1 }, { maxWait: 5000 });
+
+            await limiter.acquire(HOST);
+            const error = await limiter.acquire(HOST).catch(e => e);
+
+            expect(error).toBeInstanceOf(RateLimitExceededError);
+            expect(error.reason).toBe('max_wait');
+            expect(error.retryable).toBe(true);
+            expect(limiter.metrics).toMatchObject({ acquired: 1, rejected: 1 });
+        });
+
+        test('waits for a token that comes within maxWait', async () => {
+            const limiter = createLimiter({ rate: 20, burst: 1 });
+
+            await limiter.acquire(HOST);
+            const { waitedMs } = await limiter.acquire(HOST, { maxWait: 1000 });
+
+            expect(waitedMs).toBeGreaterThan(0);
+            expect(limiter.metrics).toMatchObject({ acquired: 2, waited: 1 });
+        });
+
+        test('the signal cancels a wait', async () => {
+            const limiter = createLimiter({ rate: 0.5, burst: 1 });
+            await limiter.acquire(HOST);
+
+            const controller = new AbortController();
+            const pending = limiter.acquire(HOST, { signal: controller.signal });
+            controller.abort();
+
+            await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+        });
+    });
+
+    test('lets hosts without a limit through', async () => {
+        const limiter = createLimiter({ rate: 0.1, burst: 1 });
+        expect(await limiter.acquire('https://example.com/')).toEqual({ host: 'example.com', waitedMs: 0 });
+    });
+
+    test('falls back to a local bucket when the store throws', async () => {
+        const store = {
+            name: 'dynamodb',
+            tryAcquire: jest.fn(async () => {
+                throw new Error('ProvisionedThroughputExceededException');
+            })
+        };
+        const limiter = createLimiter({ rate: 0.1, burst: 2 }, { store, maxWait: 1000 });
+
+        await limiter.acquire(HOST);
+        await limiter.acquire(HOST);
+        const error = await limiter.acquire(HOST).catch(e => e);
+
+        expect(store.tryAcquire).toHaveBeenCalledTimes(3);
+        expect(error.reason).toBe('max_wait');
+        expect(limiter.metrics).toMatchObject({ acquired: 2, rejected: 1, storeErrors: 3 });
+        expect((await limiter.localStore.getBucket(HOST)).tokens).toBeCloseTo(0, 1);
+    });
+});
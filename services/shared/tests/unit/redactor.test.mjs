@@ -0,0 +1,229 @@
+/**
+ * Redactor tests
+ * Title-insurance PII must never reach CloudWatch, so every data type and
+ * policy is covered here.
+ */
+
+import Redactor, { Policy } from '../../lib/redactor.mjs';
+
+describe('Redactor', () => {
+    describe('value patterns', () => {
+        const redactor = new Redactor({ policies: {} });
+
+        test.each([
+            ['formatted SSN', 'SSN 123-45-6789 on file', 'SSN ***-**-6789 on file'],
+            ['labelled unformatted SSN', 'ssn: 123456789', 'ssn: *****6789'],
+            ['EIN', 'EIN 12-3456789', 'EIN **-***6789'],
+            ['account number', 'acct # 1234567890', 'acct # ******7890'],
+            ['routing number', 'routing number: 021000021', 'routing number: *****0021'],
+            ['email', 'contact jane.doe@example.com today', 'contact j***@example.com today'],
+            ['phone', 'call (803) 555-1234', 'call (***) ***-1234'],
+            ['dashed phone', 'call 803-555-1234', 'call ***-***-1234']
+        ])('masks %s', (type, input, expected) => {
+            expect(redactor.redactString(input)).toBe(expected);
+        });
+
+        test('leaves unlabelled IDs and timestamps alone', () => {
+            const text = 'order 1234567890 at 1700000000000';
+            expect(redactor.redactString(text)).toBe(text);
+            expect(redactor.containsPII(text)).toBe(false);
+        });
+
+        test('detects PII in a string', () => {
+            expect(redactor.containsPII('reach me at a@b.com')).toBe(true);
+        });
+    });
+
+    describe('message strings', () => {
+        const redactor = new Redactor({ policies: {} });
+
+        test('redacts every match in a message', () => {
+            const message = 'Search for 123-45-6789 (jane@example.com, 803-555-1234) failed';
+            const redacted = redactor.redactString(message);
+
+            expect(redacted).toBe('Search for ***-**-6789 (j***@example.com, ***-***-1234) failed');
+            expect(redacted).not.toContain('123-45');
+            expect(redacted).not.toContain('jane@');
+        });
+
+        test('passes empty and non-string messages through', () => {
+            expect(redactor.redactString('')).toBe('');
+            expect(redactor.redactString(undefined)).toBeUndefined();
+        });
+    });
+
+    describe('nested values', () => {
+        const redactor = new Redactor({ policies: {} });
+
+        test('redacts objects and arrays at any depth', () => {
+            const redacted = redactor.redact({
+                borrower: {
+                    contact: { email: 'jane.doe@example.com' },
+                    phones: ['803-555-1234', 'none on file'],
+                    parties: [{ taxpayer: 'EIN 12-3456789' }]
+                },
+                count: 2
+            });
+
+            expect(redacted).toEqual({
+                borrower: {
+                    contact: { email: 'j***@example.com' },
+                    phones: ['***-***-1234', 'none on file'],
+                    parties: [{ taxpayer: 'EIN **-***6789' }]
+                },
+                count: 2
+            });
+        });
+
+        test('serializes errors and redacts their messages', () => {
+            const redacted = redactor.redact({ error: new Error('No match for 123-45-6789') });
+
+            expect(redacted.error.name).toBe('Error');
+            expect(redacted.error.message).toBe('No match for ***-**-6789');
+            expect(redacted.error.stack).not.toContain('123-45-6789');
+        });
+
+        test('handles circular references', () => {
+            const value = { email: 'a@b.com' };
+            value.self = value;
+
+            expect(redactor.redact(value)).toEqual({ email: 'a***@b.com', self: '[Circular]' });
+        });
+
+        test('does not modify the input', () => {
+            const value = { email: 'a@b.com' };
+            redactor.redact(value);
+
+            expect(value.email).toBe('a@b.com');
+        });
+
+        test('leaves logger-owned fields unscanned', () => {
+            const redacted = redactor.redact({ processingId: '123-45-6789', fileNumber: '123-45-6789' });
+
+            expect(redacted.processingId).toBe('123-45-6789');
+            expect(redacted.fileNumber).toBe('***-**-6789');
+        });
+    });
+
+    describe('sensitive keys', () => {
+        test('masks values under sensitive key names, case-insensitively', () => {
+            const redactor = new Redactor();
+            const redacted = redactor.redact({
+                password: 'hunter2',
+                captchaApiKey: 'abc123',
+                Authorization: 'Bearer xyz',
+                borrowerSsn: { value: '123456789' },
+                name: 'Jane'
+            });
+
+            expect(redacted).toEqual({
+                password: '***REDACTED***',
+                captchaApiKey: '***REDACTED***',
+                Authorization: '***REDACTED***',
+                borrowerSsn: '***REDACTED***',
+                name: 'Jane'
+            });
+        });
+
+        test('uses custom sensitive keys', () => {
+            const redactor = new Redactor({ sensitiveKeys: ['maidenName'] });
+
+            expect(redactor.redact({ maidenName: 'Smith', password: 'kept' })).toEqual({
+                maidenName: '***REDACTED***',
+                password: 'kept'
+            });
+        });
+
+        test('hashes sensitive keys with the hash key policy', () => {
+            const redactor = new Redactor({ keyPolicy: Policy.HASH, hashSalt: 'test' });
+            const first = redactor.redact({ token: 'abc' });
+            const second = redactor.redact({ token: 'abc' });
+
+            expect(first.token).toMatch(/^\[key:[0-9a-f]{12}\]$/);
+            expect(first.token).toBe(second.token);
+            expect(redactor.redact({ token: { nested: 'abc' } }).token).toBe('***REDACTED***');
+        });
+
+        test('drops sensitive keys with the drop key policy', () => {
+            const redactor = new Redactor({ keyPolicy: Policy.DROP });
+
+            expect(redactor.redact({ token: 'abc', ok: true })).toEqual({ ok: true });
+        });
+    });
+
+    describe('policies', () => {
+        test('mask keeps the shape and the last four digits', () => {
+            const redactor = new Redactor({ policies: { ssn: Policy.MASK } });
+
+            expect(redactor.redactString('123-45-6789')).toBe('***-**-6789');
+        });
+
+        test('hash replaces matches with a keyed, stable digest', () => {
+            const redactor = new Redactor({ policies: { ssn: Policy.HASH, email: Policy.HASH }, hashSalt: 'test' });
+            const first = redactor.redactString('SSN 123-45-6789 for a@b.com');
+            const second = redactor.redactString('SSN 123-45-6789 for a@b.com');
+
+            expect(first).toMatch(/^SSN \[ssn:[0-9a-f]{12}\] for \[email:[0-9a-f]{12}\]$/);
+            expect(first).toBe(second);
+            expect(first).not.toContain('6789');
+        });
+
+        test('hash digests depend on the salt', () => {
+            const one = new Redactor({ policies: { ssn: Policy.HASH }, hashSalt: 'one' });
+            const two = new Redactor({ policies: { ssn: Policy.HASH }, hashSalt: 'two' });
+
+            expect(one.redactString('123-45-6789')).not.toBe(two.redactString('123-45-6789'));
+        });
+
+        test('drop cuts matches out of messages', () => {
+            const redactor = new Redactor({ policies: { email: Policy.DROP } });
+
+            expect(redactor.redactString('mail a@b.com now')).toBe('mail [REDACTED] now');
+        });
+
+        test('drop removes fields and array items holding a match', () => {
+            const redactor = new Redactor({ policies: { phone: Policy.DROP } });
+
+            expect(redactor.redact({
+                note: 'call 803-555-1234',
+                phones: ['803-555-1234', 'none'],
+                email: 'a@b.com'
+            })).toEqual({
+                phones: ['none'],
+                email: 'a***@b.com'
+            });
+        });
+
+        test('reads policies from REDACTION_POLICIES', () => {
+            const previous = process.env.REDACTION_POLICIES;
+            process.env.REDACTION_POLICIES = 'email=drop, phone=bogus';
+
+            try {
+                const redactor = new Redactor();
+                expect(redactor.policies.email).toBe(Policy.DROP);
+                expect(redactor.policies.phone).toBe(Policy.MASK);
+            } finally {
+                if (previous === undefined) {
+                    delete process.env.REDACTION_POLICIES;
+                } else {
+                    process.env.REDACTION_POLICIES = previous;
+                }
+            }
+        });
+
+        test('options override REDACTION_POLICIES', () => {
+            const previous = process.env.REDACTION_POLICIES;
+            process.env.REDACTION_POLICIES = 'email=drop';
+
+            try {
+                expect(new Redactor({ policies: { email: Policy.HASH } }).policies.email).toBe(Policy.HASH);
+            } finally {
+                if (previous === undefined) {
+                    delete process.env.REDACTION_POLICIES;
+                } else {
+                    process.env.REDACTION_POLICIES = previous;
+                }
+            }
+        });
+    });
+});
@@ -9,9 +9,16 @@ import { SSMClient, GetParameterCommand } from '@aws-sdk/client-ssm';
 import { SQSClient, SendMessageCommand } from '@aws-sdk/client-sqs';
 import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
 import { v4 as uuidv4 } from 'uuid';
+import { setTimeout as sleep } from 'timers/promises';
 import BrowserPool from '../shared/lib/browserPool.mjs';
 import CircuitBreaker from '../shared/lib/circuitBreaker.mjs';
+import RetryPolicy, { isRetryableError } from '../shared/lib/retryPolicy.mjs';
+import RateLimiter from '../shared/lib/rateLimiter.mjs';
+import ResultCache from '../shared/lib/resultCache.mjs';
+import { parseList } from '../shared/lib/requestPolicy.mjs';
 import Logger from '../shared/lib/logger.mjs';
+import { CounterDeltas } from '../shared/lib/metrics.mjs';
+import { extractTraceContext, injectTraceContext } from '../shared/lib/tracing.mjs';
 
 // Initialize AWS clients
 const dynamodb = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
@@ -31,30 +38,105 @@ const CONFIG = {
     captchaApiKeyParam: process.env.CAPTCHA_API_KEY_PARAM || '/scdor-rebuild/dev/captcha_api_key',
     uitaxBaseUrl: 'https://uitax.sc.gov',
     maxRetries: 3,
+    baseRetryDelay: 2000, // 2 seconds
+    maxRetryDelay: 30000, // 30 seconds
+    retryDeadline: 600000, // 10 minutes across all attempts
     timeoutMs: 300000, // 5 minutes
     browserTimeout: 240000, // 4 minutes
-    captchaTimeout: 60000 // 1 minute
+    viewport: { width: 1280, height: 720 },
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+    captchaTimeout: 60000, // 1 minute
+    // Bulkhead: cap simultaneous sessions against the state site
+    maxConcurrentSessions: parseInt(process.env.MAX_CONCURRENT_SESSIONS || '2'),
+    maxQueuedSessions: parseInt(process.env.MAX_QUEUED_SESSIONS || '10'),
+    sessionQueueTimeout: parseInt(process.env.SESSION_QUEUE_TIMEOUT || '120000'), // 2 minutes
+    // Pacing shared by every container hitting the site
+    siteRateLimit: parseFloat(process.env.SITE_RATE_LIMIT || '0.5'), // navigations per second
+    siteRateLimitBurst: parseInt(process.env.SITE_RATE_LIMIT_BURST || '3'),
+    siteQuietHours: process.env.SITE_QUIET_HOURS || null, // e.g. "01:00-05:00" (America/New_York)
+    // Record a Playwright trace per search; kept only for failed or odd-looking runs
+    browserTracing: process.env.BROWSER_TRACING === 'true',
+    // Oldest prior result served when a search opts in to stale results
+    staleResultMaxAge: parseInt(process.env.STALE_RESULT_MAX_AGE || '86400000'), // 24 hours
+    // live, record (save each search's traffic as a HAR) or replay (serve it from the HARs)
+    networkMode: process.env.BOT_NETWORK_MODE || 'live',
+    harDir: process.env.HAR_DIR || './recordings/har',
+    // Remote browsers to connect to instead of launching Chromium in the Lambda
+    browserEndpoints: parseList(process.env.BROWSER_ENDPOINTS),
+    browserConnectProtocol: process.env.BROWSER_CONNECT_PROTOCOL || 'playwright', // or cdp
+    // Requests a search page may make; images stay on for the image CAPTCHA
+    requestPolicy: {
+        allowHosts: parseList(process.env.ALLOWED_HOSTS ?? 'uitax.sc.gov,google.com,gstatic.com,recaptcha.net,hcaptcha.com'),
+        blockResourceTypes: parseList(process.env.BLOCKED_RESOURCE_TYPES ?? 'font,media'),
+        blockPatterns: parseList(process.env.BLOCKED_URL_PATTERNS)
+    }
 };
 
 // Initialize browser pool and circuit breakers
 const browserPool = new BrowserPool({
     maxBrowsers: 3,
-    maxPagesPerBrowser: 2,
-    browserTimeout: CONFIG.browserTimeout,
-    pageTimeout: 30000,
+    minBrowsers: 1,
+    maxPages: 2,
+    launchTimeout: CONFIG.browserTimeout,
+    timeout: 30000,
+    queueTimeout: CONFIG.sessionQueueTimeout,
+    tracing: CONFIG.browserTracing,
+    networkMode: CONFIG.networkMode,
+    harDir: CONFIG.harDir,
+    endpoints: CONFIG.browserEndpoints,
+    connectProtocol: CONFIG.browserConnectProtocol,
     healthCheckInterval: 60000
 });
 
 const captchaBreaker = new CircuitBreaker('CaptchaSolver', {
     threshold: 3,
-    timeout: CONFIG.captchaTimeout,
-    resetTimeout: 300000 // 5 minutes
+    timeout: CONFIG.captchaTimeout, // Until enough solves have been timed
+    resetTimeout: 300000, // 5 minutes
+    adaptiveTimeout: true
 });
 
 const uitaxBreaker = new CircuitBreaker('UITaxSite', {
     threshold: 5,
     timeout: CONFIG.timeoutMs,
-    resetTimeout: 600000 // 10 minutes
+    resetTimeout: 600000, // 10 minutes
+    successThreshold: 2,
+    // Only site trouble (timeouts, disconnects, 5xx) trips the breaker;
+    // bad input, failed form validation and our own rate limiting don't
+    isFailure: error => error.name !== 'RateLimitExceededError' && isRetryableError(error),
+    maxConcurrent: CONFIG.maxConcurrentSessions,
+    maxQueue: CONFIG.maxQueuedSessions,
+    queueTimeout: CONFIG.sessionQueueTimeout
+});
+
+const siteLimiter = new RateLimiter({
+    name: 'UITaxSite',
+    // A replay never reaches the site, so it isn't paced
+    limits: CONFIG.networkMode === 'replay' ? {} : {
+        [new URL(CONFIG.uitaxBaseUrl).hostname]: {
+            rate: CONFIG.siteRateLimit,
+            burst: CONFIG.siteRateLimitBurst,
+            quietHours: CONFIG.siteQuietHours
+        }
+    }
+});
+
+const searchRetryPolicy = new RetryPolicy({
+    name: 'UITaxSearch',
+    maxAttempts: CONFIG.maxRetries,
+    baseDelay: CONFIG.baseRetryDelay,
+    maxDelay: CONFIG.maxRetryDelay,
+    jitter: 'decorrelated',
+    deadline: CONFIG.retryDeadline
+});
+
+// Result types that mean the page didn't look the way we expect
+const UNEXPECTED_RESULT_TYPES = new Set(['no_matches', 'processing_error']);
+
+// Last good result per subject, served while the site is down
+const searchResultCache = new ResultCache({
+    name: 'UITaxSearch',
+    maxAge: CONFIG.staleResultMaxAge,
+    shouldCache: result => !result.error
 });
 
 class UITaxBot {
@@ -67,8 +149,11 @@ class UITaxBot {
             captchaSolved: 0,
             captchaFailed: 0,
             browserCrashes: 0,
-            timeouts: 0
+            timeouts: 0,
+            retries: 0
         };
+        // Totals as of the last publishMetrics()
+        this.metricDeltas = new CounterDeltas();
         this.captchaApiKey = null;
     }
 
@@ -77,70 +162,78 @@ class UITaxBot {
      */
     async handler(event, context) {
         const correlationId = context.requestId || uuidv4();
-        logger.setCorrelationId(correlationId);
-        
-        logger.info('UITax bot processing started', {
-            sessionId: this.sessionId,
-            eventType: event.Records ? 'SQS' : 'Direct'
-        });
 
-        try {
-            // Initialize CAPTCHA API key
-            await this.initializeCaptchaApiKey();
+        // Pick up log level changes (and per-file DEBUG overrides) from SSM
+        await logger.refreshLevel();
 
-            // Process records
-            const results = [];
-            const records = event.Records || [event];
+        return await logger.withContext({ correlationId, logLevel: event.logLevel, sessionId: this.sessionId }, () => logger.withSpan('uitax-bot.handler', async span => {
+            logger.info('UITax bot processing started', {
+                sessionId: this.sessionId,
+                eventType: event.Records ? 'SQS' : 'Direct'
+            });
 
-            for (const record of records) {
-                try {
-                    const result = await this.processRecord(record, correlationId);
-                    results.push(result);
-                    this.metrics.processed++;
-                    this.metrics.successful++;
-                } catch (error) {
-                    logger.error('Record processing failed', { 
-                        error: error.message,
-                        recordId: record.messageId || 'direct'
-                    });
-                    results.push({
-                        success: false,
-                        error: error.message,
-                        recordId: record.messageId || 'direct'
-                    });
-                    this.metrics.processed++;
-                    this.metrics.failed++;
+            try {
+                // Initialize CAPTCHA API key
+                await this.initializeCaptchaApiKey();
+
+                // Process records
+                const results = [];
+                const records = event.Records || [event];
+
+                for (const record of records) {
+                    try {
+                        const result = await this.processRecord(record, correlationId);
+                        results.push(result);
+                        this.metrics.processed++;
+                        this.metrics.successful++;
+                    } catch (error) {
+                        logger.error('Record processing failed', { 
+                            error: error.message,
+                            recordId: record.messageId || 'direct'
+                        });
+                        results.push({
+                            success: false,
+                            error: error.message,
+                            recordId: record.messageId || 'direct'
+                        });
+                        this.metrics.processed++;
+                        this.metrics.failed++;
+                    }
                 }
-            }
 
-            // Publish metrics
-            await this.publishMetrics();
+                // Publish metrics
+                await this.publishMetrics();
 
-            return {
-                statusCode: 200,
-                body: JSON.stringify({
-                    message: 'UITax processing completed',
-                    results,
-                    metrics: this.metrics,
-                    correlationId
-                })
-            };
+                return {
+                    statusCode: 200,
+                    body: JSON.stringify({
+                        message: 'UITax processing completed',
+                        results,
+                        metrics: this.metrics,
+                        correlationId
+                    })
+                };
 
-        } catch (error) {
-            logger.error('UITax bot processing failed', { error: error.message });
+            } catch (error) {
+                logger.error('UITax bot processing failed', { error: error.message });
+                span.recordException(error);
             
-            return {
-                statusCode: 500,
-                body: JSON.stringify({
-                    error: 'UITax processing failed',
-                    message: error.message,
-                    correlationId
-                })
-            };
-        } finally {
-            // Cleanup browser pool
-            await browserPool.cleanup();
-        }
+                return {
+                    statusCode: 500,
+                    body: JSON.stringify({
+                        error: 'UITax processing failed',
+                        message: error.message,
+                        correlationId
+                    })
+                };
+            } finally {
+                // End the span first so its entry ships with this flush
+                span.end();
+
+                // Ship buffered logs before the container freezes
+                await logger.flush();
+            }
+        }, { parent: extractTraceContext(event) }));
     }
 
     /**
@@ -158,71 +251,86 @@ class UITaxBot {
             searchCount: searchData.names.length
         });
 
-        // Record processing start
-        await this.recordProcessingStart(processingId, correlationId, searchData);
+        return await logger.withContext({ processingId, fileNumber: searchData.fileNumber }, () => logger.withSpan('uitax-bot.processRecord', async () => {
+            // Record processing start
+            await this.recordProcessingStart(processingId, correlationId, searchData);
 
-        try {
-            // Search UITax for each name
-            const results = [];
+            try {
+                // Search UITax for each name
+                const results = [];
             
-            for (const nameData of searchData.names) {
-                const searchResult = await this.searchUITax(nameData, processingId);
-                results.push(searchResult);
-            }
+                for (const nameData of searchData.names) {
+                    const searchResult = await this.searchUITax(nameData, processingId, {
+                        allowStale: searchData.allowStaleResults,
+                        maxStaleAge: searchData.staleResultMaxAge,
+                        priority: searchData.priority
+                    });
+                    results.push(searchResult);
+                }
 
-            // Store results
-            const s3Key = await this.storeResults(processingId, results, searchData);
+                // Store results
+                const s3Key = await this.storeResults(processingId, results, searchData);
 
-            // Record completion
-            await this.recordProcessingComplete(processingId, {
-                resultCount: results.length,
-                s3Key,
-                duration: Date.now() - startTime
-            });
+                // Record completion
+                await this.recordProcessingComplete(processingId, {
+                    resultCount: results.length,
+                    s3Key,
+                    duration: Date.now() - startTime
+                });
+                logger.metric('ProcessingTime', (Date.now() - startTime) / 1000, 'Seconds');
 
-            // Publish completion event
-            await this.publishCompletionEvent(processingId, s3Key, results);
+                // Publish completion event
+                await this.publishCompletionEvent(processingId, s3Key, results);
 
-            return {
-                success: true,
-                processingId,
-                resultCount: results.length,
-                s3Key,
-                duration: Date.now() - startTime
-            };
+                return {
+                    success: true,
+                    processingId,
+                    resultCount: results.length,
+                    s3Key,
+                    duration: Date.now() - startTime
+                };
 
-        } catch (error) {
-            await this.recordProcessingError(processingId, error);
-            throw error;
-        }
+            } catch (error) {
+                await this.recordProcessingError(processingId, error);
+                throw error;
+            }
+        }, { parent: extractTraceContext(record) }));
     }
 
     /**
      * Search UITax for a specific name
+     * With `options.allowStale`, a search the site can't answer falls back
+     * to the last good result for the subject (no older than `maxStaleAge`),
+     * marked `stale: true`. `options.priority` orders the wait for a
+     * browser when the pool is full.
      */
-    async searchUITax(nameData, processingId) {
-        return await uitaxBreaker.execute(async () => {
-            const browser = await browserPool.getBrowser();
-            let page = null;
-            
+    async searchUITax(nameData, processingId, options = {}) {
+        const searchLogger = logger.child({
+            processingId,
+            subject: this.formatSubject(nameData)
+        });
+        const cacheKey = this.searchCacheKey(nameData);
+
+        return await searchLogger.withSpan('uitax-bot.search', () => searchRetryPolicy.execute(({ signal }) => searchResultCache.remember(cacheKey, () => browserPool.withPage(async (page, lease) => {
             try {
-                page = await browser.newPage();
-                
-                // Configure page
-                await page.setViewport({ width: 1280, height: 720 });
-                await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-                
                 // Navigate to UITax search
-                await page.goto(`${CONFIG.uitaxBaseUrl}/search`, { 
-                    waitUntil: 'networkidle0',
-                    timeout: 30000 
-                });
-
-                // Fill search form
-                await this.fillSearchForm(page, nameData);
+                await siteLimiter.acquire(CONFIG.uitaxBaseUrl, { signal });
+                await browserPool.withTimeout('uitax.search-page', timeout => page.goto(`${CONFIG.uitaxBaseUrl}/search`, { 
+                    waitUntil: 'networkidle',
+                    timeout
+                }), 30000);
+
+                // Fill search form; a saved session that doesn't reach the
+                // form is stale
+                try {
+                    await this.fillSearchForm(page, nameData);
+                } catch (error) {
+                    await lease.invalidateSession();
+                    throw error;
+                }
 
                 // Handle CAPTCHA if present
-                const captchaSolved = await this.solveCaptchaIfPresent(page, processingId);
+                const captchaSolved = await this.solveCaptchaIfPresent(page, processingId, signal);
                 
                 if (captchaSolved) {
                     this.metrics.captchaSolved++;
@@ -232,20 +340,28 @@ class UITaxBot {
                 }
 
                 // Submit search
+                await siteLimiter.acquire(CONFIG.uitaxBaseUrl, { signal });
                 await page.click('#search-button');
-                await page.waitForNavigation({ timeout: 30000 });
+                await browserPool.withTimeout('uitax.results', timeout => page.waitForNavigation({ timeout }), 30000);
 
                 // Process results
                 const searchResults = await this.processSearchResults(page, nameData);
+                await lease.saveSession();
 
                 // Take screenshot
-                const screenshotUrl = await this.takeScreenshot(page, processingId, nameData);
+                const screenshotUrl = await this.takeScreenshot(page, processingId, nameData, 'result', signal);
+
+                // Keep the trace when the results page looked wrong
+                const traceKey = UNEXPECTED_RESULT_TYPES.has(searchResults.details?.type)
+                    ? await this.uploadTrace(lease, processingId, nameData, signal)
+                    : null;
 
                 return {
                     name: nameData,
                     hit: searchResults.hit,
                     details: searchResults.details,
                     screenshotUrl,
+                    traceKey,
                     timestamp: new Date().toISOString()
                 };
 
@@ -254,19 +370,29 @@ class UITaxBot {
                     this.metrics.timeouts++;
                 }
                 
-                logger.error('UITax search failed', {
-                    name: nameData,
+                searchLogger.error('UITax search failed', {
                     error: error.message
                 });
+                logger.getActiveSpan()?.recordException(error);
 
-                // Take error screenshot
+                // Take error screenshot and keep the trace (not after an
+                // abort: the page is gone)
                 let errorScreenshotUrl = null;
-                if (page) {
+                let traceKey = null;
+                if (!signal.aborted) {
                     try {
                         errorScreenshotUrl = await this.takeScreenshot(page, processingId, nameData, 'error');
                     } catch (screenshotError) {
-                        logger.warn('Error screenshot failed', { error: screenshotError.message });
+                        searchLogger.warn('Error screenshot failed', { error: screenshotError.message });
                     }
+                    traceKey = await this.uploadTrace(lease, processingId, nameData);
+                }
+
+                // Transient failures go back to the retry policy (and count
+                // against the circuit), as do rate limit rejections so quiet
+                // hours fail the record; anything else is reported as a result
+                if (isRetryableError(error) || error.name === 'RateLimitExceededError') {
+                    throw error;
                 }
 
                 return {
@@ -275,22 +401,33 @@ class UITaxBot {
                     error: {
                         message: error.message,
                         type: error.name,
-                        screenshotUrl: errorScreenshotUrl
+                        screenshotUrl: errorScreenshotUrl,
+                        traceKey
                     },
                     timestamp: new Date().toISOString()
                 };
-            } finally {
-                if (page) {
-                    try {
-                        await page.close();
-                    } catch (closeError) {
-                        logger.warn('Failed to close page', { error: closeError.message });
-                    }
-                }
-                
-                await browserPool.releaseBrowser(browser);
             }
-        });
+        }, {
+            viewport: CONFIG.viewport,
+            userAgent: CONFIG.userAgent,
+            priority: options.priority,
+            // Start from the site's saved cookies to skip landing pages and CAPTCHAs
+            sessionKey: new URL(CONFIG.uitaxBaseUrl).hostname,
+            requestPolicy: CONFIG.requestPolicy,
+            // One HAR per site and subject in record/replay mode
+            harName: `${new URL(CONFIG.uitaxBaseUrl).hostname}/${cacheKey}`,
+            // Releasing the lease on abort stops a timed-out search from
+            // driving the browser
+            signal
+        })), {
+            circuitBreaker: uitaxBreaker,
+            onRetry: () => {
+                this.metrics.retries++;
+            },
+            fallback: options.allowStale
+                ? searchResultCache.fallback(cacheKey, { maxAge: options.maxStaleAge })
+                : undefined
+        }));
     }
 
     /**
@@ -314,7 +451,7 @@ class UITaxBot {
     /**
      * Solve CAPTCHA if present using 2Captcha service
      */
-    async solveCaptchaIfPresent(page, processingId) {
+    async solveCaptchaIfPresent(page, processingId, signal = null) {
         const captchaElement = await page.$('.captcha img, .g-recaptcha, .h-captcha');
         
         if (!captchaElement) {
@@ -323,40 +460,41 @@ class UITaxBot {
 
         logger.info('CAPTCHA detected, attempting to solve', { processingId });
 
-        return await captchaBreaker.execute(async () => {
+        // The search's signal also cancels a CAPTCHA still being solved
+        return await captchaBreaker.execute(async ({ signal: captchaSignal }) => {
             // Handle image CAPTCHA
             if (await page.$('.captcha img')) {
-                return await this.solveImageCaptcha(page, processingId);
+                return await this.solveImageCaptcha(page, processingId, captchaSignal);
             }
             
             // Handle reCAPTCHA
             if (await page.$('.g-recaptcha')) {
-                return await this.solveRecaptcha(page, processingId);
+                return await this.solveRecaptcha(page, processingId, captchaSignal);
             }
 
             // Handle hCaptcha
             if (await page.$('.h-captcha')) {
-                return await this.solveHCaptcha(page, processingId);
+                return await this.solveHCaptcha(page, processingId, captchaSignal);
             }
 
             return false;
-        });
+        }, null, { signal });
     }
 
     /**
      * Solve image CAPTCHA using 2Captcha
      */
-    async solveImageCaptcha(page, processingId) {
+    async solveImageCaptcha(page, processingId, signal = null) {
         try {
             // Take screenshot of CAPTCHA
             const captchaElement = await page.$('.captcha img');
-            const captchaImage = await captchaElement.screenshot({ encoding: 'base64' });
+            const captchaImage = (await captchaElement.screenshot()).toString('base64');
 
             // Submit to 2Captcha
             const captchaResult = await this.submit2Captcha({
                 method: 'base64',
                 body: captchaImage
-            });
+            }, signal);
 
             // Enter solution
             await page.type('#captcha-input', captchaResult);
@@ -376,7 +514,7 @@ class UITaxBot {
     /**
      * Solve reCAPTCHA using 2Captcha
      */
-    async solveRecaptcha(page, processingId) {
+    async solveRecaptcha(page, processingId, signal = null) {
         try {
             // Get site key
             const siteKey = await page.evaluate(() => {
@@ -393,7 +531,7 @@ class UITaxBot {
                 method: 'userrecaptcha',
                 googlekey: siteKey,
                 pageurl: page.url()
-            });
+            }, signal);
 
             // Execute solution
             await page.evaluate((token) => {
@@ -421,7 +559,7 @@ class UITaxBot {
     /**
      * Solve hCaptcha using 2Captcha
      */
-    async solveHCaptcha(page, processingId) {
+    async solveHCaptcha(page, processingId, signal = null) {
         try {
             // Get site key
             const siteKey = await page.evaluate(() => {
@@ -438,7 +576,7 @@ class UITaxBot {
                 method: 'hcaptcha',
                 sitekey: siteKey,
                 pageurl: page.url()
-            });
+            }, signal);
 
             // Execute solution
             await page.evaluate((token) => {
@@ -466,7 +604,7 @@ class UITaxBot {
     /**
      * Submit CAPTCHA to 2Captcha service
      */
-    async submit2Captcha(params) {
+    async submit2Captcha(params, signal = null) {
         if (!this.captchaApiKey) {
             throw new Error('CAPTCHA API key not configured');
         }
@@ -481,7 +619,8 @@ class UITaxBot {
             body: new URLSearchParams({
                 key: this.captchaApiKey,
                 ...params
-            })
+            }),
+            signal
         });
 
         const submitResult = await submitResponse.text();
@@ -494,7 +633,7 @@ class UITaxBot {
 
         // Poll for result
         for (let i = 0; i < 20; i++) {
-            await new Promise(resolve => setTimeout(resolve, 3000));
+            await sleep(3000, undefined, { signal: signal || undefined });
 
             const resultResponse = await fetch(resultUrl, {
                 method: 'GET',
@@ -503,7 +642,8 @@ class UITaxBot {
                     key: this.captchaApiKey,
                     action: 'get',
                     id: captchaId
-                })
+                }),
+                signal
             });
 
             const result = await resultResponse.text();
@@ -590,7 +730,7 @@ class UITaxBot {
     /**
      * Take screenshot for evidence
      */
-    async takeScreenshot(page, processingId, nameData, type = 'result') {
+    async takeScreenshot(page, processingId, nameData, type = 'result', signal = null) {
         try {
             const timestamp = Date.now();
             const fileName = `${processingId}-${nameData.firstName}-${nameData.lastName || 'unknown'}-${type}-${timestamp}.png`;
@@ -606,7 +746,7 @@ class UITaxBot {
                 Key: s3Key,
                 Body: screenshot,
                 ContentType: 'image/png'
-            }));
+            }), { abortSignal: signal || undefined });
 
             const screenshotUrl = `https://${CONFIG.documentsBucket}.s3.amazonaws.com/${s3Key}`;
             logger.info('Screenshot saved', { s3Key, type });
@@ -619,6 +759,53 @@ class UITaxBot {
         }
     }
 
+    /**
+     * Upload the lease's Playwright trace next to the screenshots
+     * Returns the S3 key, or null when the lease wasn't tracing
+     */
+    async uploadTrace(lease, processingId, nameData, signal = null) {
+        try {
+            const trace = await lease.stopTrace();
+            if (!trace) {
+                return null;
+            }
+
+            const timestamp = Date.now();
+            const fileName = `${processingId}-${nameData.firstName}-${nameData.lastName || 'unknown'}-trace-${timestamp}.zip`;
+            const s3Key = `screenshots/uitax/${processingId}/${fileName}`;
+
+            await s3.send(new PutObjectCommand({
+                Bucket: CONFIG.documentsBucket,
+                Key: s3Key,
+                Body: trace,
+                ContentType: 'application/zip'
+            }), { abortSignal: signal || undefined });
+
+            logger.info('Trace saved', { s3Key });
+            return s3Key;
+
+        } catch (error) {
+            logger.error('Trace upload failed', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Format a subject's name for log bindings
+     */
+    formatSubject(nameData) {
+        return [nameData.firstName, nameData.lastName].filter(Boolean).join(' ') || 'unknown';
+    }
+
+    /**
+     * Result cache key for a subject: the search inputs, normalized
+     */
+    searchCacheKey(nameData) {
+        return [nameData.lastName, nameData.firstName]
+            .map(part => String(part || '').trim().toLowerCase())
+            .join('|');
+    }
+
     /**
      * Extract search data from event record
      */
@@ -630,7 +817,10 @@ class UITaxBot {
                 names: body.names || [body],
                 user: body.user || 'unknown',
                 fileNumber: body.fileNumber || 'unknown',
-                uuid: body.uuid || uuidv4()
+                uuid: body.uuid || uuidv4(),
+                allowStaleResults: body.allowStaleResults === true,
+                staleResultMaxAge: body.staleResultMaxAge || null,
+                priority: body.priority || 'NORMAL'
             };
         }
 
@@ -639,7 +829,10 @@ class UITaxBot {
             names: record.names || [record],
             user: record.user || 'unknown', 
             fileNumber: record.fileNumber || 'unknown',
-            uuid: record.uuid || uuidv4()
+            uuid: record.uuid || uuidv4(),
+            allowStaleResults: record.allowStaleResults === true,
+            staleResultMaxAge: record.staleResultMaxAge || null,
+            priority: record.priority || 'NORMAL'
         };
     }
 
@@ -772,13 +965,13 @@ class UITaxBot {
             Entries: [{
                 Source: 'scdor-rebuild.uitax-bot',
                 DetailType: 'UITax Search Completed',
-                Detail: JSON.stringify({
+                Detail: JSON.stringify(injectTraceContext({
                     processingId,
                     s3Key,
                     resultCount: results.length,
                     hitCount,
                     timestamp: new Date().toISOString()
-                }),
+                }, logger.getActiveSpan())),
                 EventBusName: CONFIG.eventBus
             }]
         }));
@@ -790,19 +983,37 @@ class UITaxBot {
      * Publish metrics to CloudWatch
      */
     async publishMetrics() {
-        logger.metric('UITaxProcessed', this.metrics.processed);
-        logger.metric('UITaxSuccessful', this.metrics.successful);
-        logger.metric('UITaxFailed', this.metrics.failed);
-        logger.metric('UITaxCaptchaSolved', this.metrics.captchaSolved);
-        logger.metric('UITaxCaptchaFailed', this.metrics.captchaFailed);
-        logger.metric('UITaxBrowserCrashes', this.metrics.browserCrashes);
-        logger.metric('UITaxTimeouts', this.metrics.timeouts);
+        const delta = this.metricDeltas.next(this.metrics);
+
+        logger.metric('UITaxProcessed', delta.processed);
+        logger.metric('UITaxSuccessful', delta.successful);
+        logger.metric('UITaxFailed', delta.failed);
+        logger.metric('UITaxCaptchaSolved', delta.captchaSolved);
+        logger.metric('UITaxCaptchaFailed', delta.captchaFailed);
+        logger.metric('UITaxBrowserCrashes', delta.browserCrashes);
+        logger.metric('UITaxTimeouts', delta.timeouts);
+        logger.metric('UITaxRetries', delta.retries);
         
-        // Calculate success rate
-        const successRate = this.metrics.processed > 0 
-            ? (this.metrics.successful / this.metrics.processed) * 100 
-            : 0;
-        logger.metric('UITaxSuccessRate', successRate);
+        // Rates only for invocations that processed something, so idle
+        // ones don't read as 0% success
+        if (delta.processed > 0) {
+            const successRate = (delta.successful / delta.processed) * 100;
+            logger.metric('UITaxSuccessRate', successRate, 'Percent');
+
+            // Namespace-level metrics feeding the monitoring alarms
+            logger.metric('ErrorRate', (delta.failed / delta.processed) * 100, 'Percent');
+            logger.metric('SuccessRate', successRate, 'Percent');
+        }
+
+        const captchaAttempts = delta.captchaSolved + delta.captchaFailed;
+        if (captchaAttempts > 0) {
+            logger.metric('CaptchaAttempts', captchaAttempts);
+            logger.metric('CaptchaSuccess', delta.captchaSolved);
+            logger.metric('CaptchaSuccessRate', (delta.captchaSolved / captchaAttempts) * 100, 'Percent');
+        }
+
+        browserPool.publishMetrics();
+        logger.flushMetrics();
     }
 }
 